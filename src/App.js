@@ -1,6 +1,34 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { Navigate, useLocation, useNavigate } from "react-router";
 import "./App.css";
-import Papa from "papaparse";
+import { loadTransitionData, loadTimeSeriesData, loadJson, buildTransitionHistory, parseDataFile, parseReferenceSampleFile } from "./dataLoader";
+import { readStored, writeStored, removeStored } from "./storage";
+import { validateRegionGeoJson, getRegionId, getRegionDistancesKm } from "./geoMap";
+import RegionMap from "./RegionMap";
+import LoginScreen from "./LoginScreen";
+import ArchivedReport from "./ArchivedReport";
+import { listReports, archiveReport, deleteReport, diffReports, isEmptyDiff } from "./reportArchive";
+import { buildReportPdf, renderChartImage, reportPdfFileName } from "./reportPdf";
+import { DEFAULT_VIEW, parseViewState, serializeViewState } from "./viewState";
+import { DEFAULT_TAB, isRegionalTab, parseRoute, routePath } from "./routes";
+import { DECISION_LOG_FORMATS, buildDecisionLog, exportDecisionLog, decisionLogFileName } from "./decisionLog";
+import { deriveClassSeries } from "./regionAnalytics";
+import { buildTransitionMatrix } from "./transitionMatrix";
+import TransitionHeatmap from "./TransitionHeatmap";
+import { computeClassAccounting, reconcileWithTimeSeries } from "./landAccounting";
+import { buildMarkovModel, scaleTransitionRates, projectMarkov } from "./markovProjection";
+import { simulateProjectionBands } from "./projectionUncertainty";
+import { DEFAULT_ALERT_RULES, evaluateAlertRules, validateAlertRules, loadAlertRules, saveAlertRules, resetAlertRules } from "./alertRules";
+import { ALERT_DEPARTMENTS, withAlertIdentity, getAlertState, loadAlertStates, loadAlertAudit, recordAlertAction } from "./alertLifecycle";
+import { SURVEY_VERDICTS, VERDICT_LABELS, MAX_PHOTO_BYTES, listSurveys, dispatchSurvey, completeSurvey, deleteSurvey, applyFieldVerdicts, sameTarget, targetMatches } from "./fieldSurveys";
+import { ANY_CLASS, BAU_SCENARIO_ID, listPolicyScenarios, savePolicyScenario, deletePolicyScenario, validatePolicyScenario, scenarioRateMultiplier } from "./policyScenarios";
+import { BUILTIN_DATASET_ID, listDatasets, getActiveDatasetId, setActiveDatasetId, saveDataset, deleteDataset, getReferenceSample, saveReferenceSample, deleteReferenceSample } from "./datasetStore";
+import { assessAccuracy } from "./accuracyAssessment";
+import { buildSurveyCandidates, optimizeSurveyBudget } from "./surveyOptimizer";
+import { loadSettings, saveSettings, resetSettings, validateSettings, parseSettingsForm, exportSettings, parseSettingsImport, DEFAULT_SETTINGS } from "./systemSettings";
+import { ROLES, ROLE_LABELS, can, getSessionUser, signOut, getInitials, listUsers, addUser, setUserRole, removeUser } from "./accessControl";
+import { DEFAULT_PERSONAS, PERSONA_TEMPLATE, loadPersonas, savePersonas, resetPersonas, validatePersonas, getPersona, getPersonaWeight, isPersonaFocus, sortByPersonaFocus, composeNarrative, composeStory } from "./personas";
+import { LULC_CLASS_NAMES, isClass, isEcologicalClass, isUrbanClass, getClassCategory, getClassColor } from "./lulcClasses";
 import { Line } from "react-chartjs-2";
 import {
   Chart as ChartJS,
@@ -8,6 +36,7 @@ import {
   LinearScale,
   LineElement,
   PointElement,
+  Filler,
   Tooltip,
   Legend
 } from "chart.js";
@@ -17,76 +46,657 @@ ChartJS.register(
   LinearScale,
   LineElement,
   PointElement,
+  Filler,
   Tooltip,
   Legend
 );
 
+// Bundled sample files. District values and thresholds live in the settings store (systemSettings.js).
 const SYSTEM_CONFIG = {
-  region: "Tirupati District",
-  masterPlanYear: 2030,
-  analysisPeriod: { start: 2023, end: 2024 },
-  dataVersion: "v2.1 (Sentinel-2)",
-  temporalReady: true
+  temporalReady: true,
+  // Transition source may be Option A CSV or Option B JSON (see DATA_SCHEMA.md)
+  dataSources: { transitions: "/transition_data.csv", timeSeries: "/lulc_timeseries.csv", regionBoundaries: "/region_boundaries.geojson" }
+};
+
+// Saves a Blob through a temporary download link
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
 };
 
 function App() {
-  const [data, setData] = useState([]);
+  // NAVIGATION (the path holds the tab and the region, transition, alert or report in view; see routes.js)
+  const location = useLocation();
+  const navigate = useNavigate();
+  const matchedRoute = parseRoute(location.pathname);
+  const route = matchedRoute || parseRoute(`/${DEFAULT_TAB}`);
+  const { tab: activeTab, regionId: activeRegion, transition: activeTransition, alertId: focusedAlertId, reportId: openArchivedId } = route;
+
+  // Settings has no region in its path; the last one comes back with the next regional tab
+  const [lastRegion, setLastRegion] = useState(activeRegion);
+  useEffect(() => {
+    if (isRegionalTab(activeTab)) setLastRegion(activeRegion);
+  }, [activeTab, activeRegion]);
+
+  // Pushes a history entry, so the browser's back button retraces it. The query (view state) is kept.
+  const goTo = (changes) => navigate({ pathname: routePath({ ...route, ...changes }), search: location.search });
+  const selectTab = (tab) => goTo({ tab, regionId: isRegionalTab(activeTab) ? activeRegion : lastRegion, transition: null, alertId: null, reportId: null });
+  const selectRegion = (regionId) => goTo({ regionId, alertId: null }); // alert ids are scoped to a region
+  const selectTransition = (transition) => goTo({ transition, alertId: null });
+  const selectAlert = (alertId) => goTo({ alertId, transition: null });
+  const selectArchivedReport = (reportId) => goTo({ reportId });
+
+  // DISTRICT SETTINGS (persisted; thresholds feed every engine below)
+  const [settings, setSettings] = useState(loadSettings);
+  const [settingsDraft, setSettingsDraft] = useState(settings);
+  const [settingsError, setSettingsError] = useState(null);
+  const [settingsSaved, setSettingsSaved] = useState(false);
+  const { decision: decisionThresholds, cpri: cpriThresholds } = settings.thresholds;
+
+  const [loadedData, setData] = useState([]);
   const [timeData, setTimeData] = useState([]);
+  const [dataIssues, setDataIssues] = useState({ transitions: [], timeSeries: [] });
+  const [dataSourceNames, setDataSourceNames] = useState(SYSTEM_CONFIG.dataSources);
+
+  // DATASET MANAGEMENT (Built-in sample + user uploads kept in browser storage)
+  const [datasets, setDatasets] = useState(listDatasets);
+  const [activeDatasetId, setActiveDataset] = useState(getActiveDatasetId);
+  const [uploadError, setUploadError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  // GEOSPATIAL STATE (region polygons keyed by region_id)
+  const [regionBoundaries, setRegionBoundaries] = useState(() => readStored('regionBoundaries', null));
+  const [boundaryError, setBoundaryError] = useState(null);
+  const [mapMetric, setMapMetric] = useState('area'); // area, cpri, confidence
+  const [accountingPeriod, setAccountingPeriod] = useState(null); // null = latest period, 'all', or a year
 
   // STATE HOISTING (Fixed ReferenceError)
-  const [activePersona, setActivePersona] = useState('policy_maker'); 
-  const [activeScenario, setActiveScenario] = useState('all'); 
-  const [activeTab, setActiveTab] = useState('dashboard'); // dashboard, reports, map, settings // urban_planner, environmental_officer, policy_maker
-  const [minConfidence, setMinConfidence] = useState(0);
-  const [policyIntensity, setPolicyIntensity] = useState(0); // 0% = BAU, 100% = Max Regulation
-  const [budget, setBudget] = useState(5000); // Default user budget input
+  // SIGNED-IN OFFICER (roles gate uploads, rule edits, alert handling and publishing)
+  const [currentUser, setCurrentUser] = useState(getSessionUser);
+  const [users, setUsers] = useState(listUsers);
+  const [userDraft, setUserDraft] = useState({ username: '', name: '', role: 'viewer', password: '' });
+  const [userError, setUserError] = useState(null);
+
+  const [personas, setPersonas] = useState(loadPersonas);
+  // A shared link restores its view (see viewState.js); whatever it leaves out keeps the defaults
+  const [linkedView] = useState(() => parseViewState(location.search, {
+    personaIds: personas.map(p => p.id),
+    policyScenarioIds: listPolicyScenarios().map(s => s.id)
+  }));
+  const [activePersona, setActivePersona] = useState(linkedView.persona ?? DEFAULT_VIEW.persona);
+  const [activeScenario, setActiveScenario] = useState(() => linkedView.scenario ?? getPersona(personas, activePersona).defaultScenario);
+  const [minConfidence, setMinConfidence] = useState(linkedView.minConfidence ?? DEFAULT_VIEW.minConfidence);
+  const [projectionYear, setProjectionYear] = useState(settings.masterPlanYear);
+
+  // POLICY SCENARIOS (built-in + user-defined, compared on the Markov projection)
+  const [policyScenarios, setPolicyScenarios] = useState(listPolicyScenarios);
+  const [activePolicyScenarioId, setActivePolicyScenarioId] = useState(linkedView.policyScenario ?? DEFAULT_VIEW.policyScenario);
+  const [comparedScenarioIds, setComparedScenarioIds] = useState(() => listPolicyScenarios().filter(s => s.builtin).map(s => s.id));
+  const [comparisonClass, setComparisonClass] = useState('Built-up');
+  const [scenarioDraft, setScenarioDraft] = useState(null); // scenario being created or edited
+  const [scenarioError, setScenarioError] = useState(null);
+
+  // GOVERNANCE ALERT RULES (JSON, editable in Settings)
+  const [alertRules, setAlertRules] = useState(loadAlertRules);
+  const [rulesDraft, setRulesDraft] = useState(() => JSON.stringify(loadAlertRules(), null, 2));
+  const [rulesError, setRulesError] = useState(null);
+  const [rulesSaved, setRulesSaved] = useState(false);
+
+  // PERSONA CONFIG (editable JSON, see personas.js)
+  const [personasDraft, setPersonasDraft] = useState(() => JSON.stringify(loadPersonas(), null, 2));
+  const [personasError, setPersonasError] = useState(null);
+  const [personasSaved, setPersonasSaved] = useState(false);
+
+  // ALERT LIFECYCLE (acknowledge / assign / resolve, with a local audit log)
+  const [alertStates, setAlertStates] = useState(loadAlertStates);
+  const [alertAudit, setAlertAudit] = useState(loadAlertAudit);
+  const [alertActionError, setAlertActionError] = useState(null);
+  const [resolvingAlert, setResolvingAlert] = useState(null); // { id, note } while a resolution note is typed
+
+  // FIELD SURVEYS (dispatched tasks + ground-truth verdicts)
+  const [fieldSurveys, setFieldSurveys] = useState(listSurveys);
+  const [surveyDrafts, setSurveyDrafts] = useState({}); // survey id -> { verdict, observedClass, notes, photo }
+  const [surveyError, setSurveyError] = useState(null);
+
+  // ACCURACY ASSESSMENT (ground-truth reference sample of the active dataset)
+  const [referenceSample, setReferenceSample] = useState(null);
+  const [referenceError, setReferenceError] = useState(null);
+
+  const persona = getPersona(personas, activePersona);
+
+  const canUploadData = can(currentUser, 'data.upload');
+  const canEditScenarios = can(currentUser, 'scenarios.edit');
+  const canManageSurveys = can(currentUser, 'surveys.manage');
+  const canResolveAlerts = can(currentUser, 'alerts.resolve');
+  const canEditRules = can(currentUser, 'rules.edit');
+  const canPublishReports = can(currentUser, 'reports.publish');
+  const canManageUsers = can(currentUser, 'users.manage');
+
+  // Every engine below sees confidence corrected by completed field surveys.
+  // Memoized so the Monte Carlo forecast below can tell when the records really changed.
+  const data = useMemo(() => applyFieldVerdicts(loadedData, fieldSurveys, activeDatasetId), [loadedData, fieldSurveys, activeDatasetId]);
+  const [budget, setBudget] = useState(linkedView.budget ?? DEFAULT_VIEW.budget); // Default user budget input
+  const [surveyLocks, setSurveyLocks] = useState(() => readStored('surveyLocks', {})); // candidate id -> 'in' | 'out'
   const [showLogic, setShowLogic] = useState(false); // Toggle for Explainable AI
-  const [rankMode, setRankMode] = useState('impact'); 
+  const [rankMode, setRankMode] = useState(linkedView.rankMode ?? DEFAULT_VIEW.rankMode); 
+  const [decisionLogFormat, setDecisionLogFormat] = useState('csv');
+  const [decisionLogError, setDecisionLogError] = useState(null);
   const [reportOpen, setReportOpen] = useState(false);
+  const [archivedReports, setArchivedReports] = useState(listReports);
+  const [compareReportIds, setCompareReportIds] = useState([]);
+  const [archiveError, setArchiveError] = useState(null);
+  const [pdfError, setPdfError] = useState(null);
+  const [loadErrors, setLoadErrors] = useState([]); // bundled sample files that could not be loaded
 
   useEffect(() => {
-    // Load Transition Data
-    Papa.parse("/transition_data.csv", {
-      download: true,
-      header: true,
-      complete: (result) => {
-        setData(result.data);
-      },
-    });
+    setActiveDatasetId(activeDatasetId);
+    setLoadErrors([]);
+    setAccountingPeriod(null);
+    setReferenceSample(getReferenceSample(activeDatasetId));
+    setReferenceError(null);
+
+    // Uploaded datasets are already parsed and validated
+    const uploaded = listDatasets().find(d => d.id === activeDatasetId);
+    if (uploaded) {
+      setData(uploaded.transitions);
+      setTimeData(uploaded.timeSeries);
+      setDataIssues(uploaded.issues);
+      setDataSourceNames(uploaded.sources);
+      return;
+    }
+
+    let cancelled = false;
+    setDataSourceNames(SYSTEM_CONFIG.dataSources);
+    const reportLoadError = (what, source) => (err) => {
+      console.error(`${what} failed to load:`, err);
+      if (!cancelled) setLoadErrors(prev => [...prev, `${what} (${source}) failed to load: ${err.message || err}`]);
+    };
+
+    // Load Transition Data (Unified Schema, CSV or nested JSON)
+    loadTransitionData(SYSTEM_CONFIG.dataSources.transitions)
+      .then(({ records, issues }) => {
+        if (cancelled) return;
+        setData(records);
+        setDataIssues(prev => ({ ...prev, transitions: issues }));
+      })
+      .catch(reportLoadError('Transition data', SYSTEM_CONFIG.dataSources.transitions));
 
     // Load Time Series Data
-    Papa.parse("/lulc_timeseries.csv", {
-      download: true,
-      header: true,
-      complete: (result) => {
-        setTimeData(result.data);
-      },
+    loadTimeSeriesData(SYSTEM_CONFIG.dataSources.timeSeries)
+      .then(({ records, issues }) => {
+        if (cancelled) return;
+        setTimeData(records);
+        setDataIssues(prev => ({ ...prev, timeSeries: issues }));
+      })
+      .catch(reportLoadError('Time series data', SYSTEM_CONFIG.dataSources.timeSeries));
+
+    return () => { cancelled = true; };
+  }, [activeDatasetId]);
+
+  // Fall back to the bundled sample boundaries until the user supplies their own
+  useEffect(() => {
+    if (regionBoundaries) return;
+    loadJson(SYSTEM_CONFIG.dataSources.regionBoundaries)
+      .then(geojson => setRegionBoundaries({ ...validateRegionGeoJson(geojson), sourceName: SYSTEM_CONFIG.dataSources.regionBoundaries }))
+      .catch(err => {
+        console.error("Region boundaries failed to load:", err);
+        setBoundaryError(`Sample boundaries (${SYSTEM_CONFIG.dataSources.regionBoundaries}) failed to load: ${err.message}`);
+      });
+  }, [regionBoundaries]);
+
+  // Keep the address bar in step with the view so it can be bookmarked or shared
+  const viewQuery = serializeViewState({
+    persona: activePersona,
+    scenario: activeScenario,
+    minConfidence,
+    rankMode,
+    policyScenario: activePolicyScenarioId,
+    budget
+  }, { ...DEFAULT_VIEW, scenario: persona.defaultScenario });
+
+  useEffect(() => {
+    if (location.search !== viewQuery) navigate({ pathname: location.pathname, search: viewQuery, hash: location.hash }, { replace: true });
+  }, [viewQuery, location.pathname, location.search, location.hash, navigate]);
+
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  const handleCopyLink = () => {
+    const url = window.location.href;
+    // Clipboard access needs a secure context; otherwise let the user copy it by hand
+    if (!navigator.clipboard) {
+      window.prompt('Copy this link to share the current view:', url);
+      return;
+    }
+    navigator.clipboard.writeText(url)
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 2000);
+      })
+      .catch(() => window.prompt('Copy this link to share the current view:', url));
+  };
+
+  const handleBoundaryFile = (file) => {
+    if (!file || !can(currentUser, 'data.upload')) return;
+    setBoundaryError(null);
+    file.text()
+      .then(text => {
+        const geojson = { ...validateRegionGeoJson(JSON.parse(text)), sourceName: file.name };
+        setRegionBoundaries(geojson);
+        if (!writeStored('regionBoundaries', geojson)) throw new Error("Browser storage is full. The boundaries are shown but will not survive a reload.");
+      })
+      .catch(err => setBoundaryError(err.message));
+  };
+
+  const resetBoundaries = () => {
+    if (!can(currentUser, 'data.upload')) return;
+    removeStored('regionBoundaries');
+    setRegionBoundaries(null);
+  };
+
+  // Region ids and transitions differ between districts, so switching drops them from the route
+  const selectDataset = (id) => {
+    setActiveDataset(id);
+    setLastRegion(null);
+    goTo({ regionId: null, transition: null, alertId: null });
+  };
+
+  // USER UPLOAD HANDLER
+  // Dropped files are parsed client-side; a transition file is required, the time series is optional.
+  const handleDatasetFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0 || !can(currentUser, 'data.upload')) return;
+    setUploadError(null);
+
+    Promise.all(files.map(parseDataFile))
+      .then(parsed => {
+        const transitions = parsed.find(p => p.kind === 'transitions');
+        const timeSeries = parsed.find(p => p.kind === 'timeSeries');
+        if (!transitions) throw new Error("Drop at least one transition file (CSV or JSON).");
+
+        const dataset = {
+          id: `ds-${Date.now()}`,
+          name: transitions.fileName.replace(/\.(csv|json)$/i, ''),
+          uploadedAt: new Date().toISOString(),
+          sources: { transitions: transitions.fileName, timeSeries: timeSeries ? timeSeries.fileName : null },
+          transitions: transitions.records,
+          timeSeries: timeSeries ? timeSeries.records : [],
+          issues: { transitions: transitions.issues, timeSeries: timeSeries ? timeSeries.issues : [] }
+        };
+
+        const saved = saveDataset(dataset);
+        if (!saved) throw new Error("Browser storage is full. Remove an older dataset and try again.");
+        setDatasets(saved);
+        selectDataset(dataset.id);
+      })
+      .catch(err => setUploadError(err.message));
+  };
+
+  const handleDeleteDataset = (id) => {
+    if (!can(currentUser, 'data.upload')) return;
+    setDatasets(deleteDataset(id));
+    if (activeDatasetId === id) selectDataset(BUILTIN_DATASET_ID);
+  };
+
+  // Reference samples belong to the dataset whose map they validate
+  const handleReferenceFile = (file) => {
+    if (!file || !can(currentUser, 'data.upload')) return;
+    setReferenceError(null);
+    parseReferenceSampleFile(file)
+      .then(({ fileName, samples, issues }) => {
+        if (samples.length === 0) throw new Error(`${fileName}: no usable sample rows (${issues.length} rejected).`);
+        const sample = { fileName, importedAt: new Date().toISOString(), samples, issues };
+        setReferenceSample(sample);
+        if (!saveReferenceSample(activeDatasetId, sample)) throw new Error("Browser storage is full. The assessment is shown but will not survive a reload.");
+      })
+      .catch(err => setReferenceError(err.message));
+  };
+
+  const handleRemoveReference = () => {
+    if (!can(currentUser, 'data.upload')) return;
+    deleteReferenceSample(activeDatasetId);
+    setReferenceSample(null);
+  };
+
+  // Built-in scenarios are read-only, so "editing" one starts a renamed copy
+  const startScenarioDraft = (base = null) => {
+    if (!can(currentUser, 'scenarios.edit')) return;
+    setScenarioError(null);
+    setScenarioDraft({
+      id: base && !base.builtin ? base.id : `ps-${Date.now()}`,
+      name: base ? (base.builtin ? `${base.name} (copy)` : base.name) : '',
+      description: base?.description || '',
+      modifiers: base ? base.modifiers.map(m => ({ ...m })) : [{ from: 'Forest', to: 'Built-up', multiplier: 0.5 }]
     });
-  }, []);
+  };
+
+  const updateDraftModifier = (index, changes) => {
+    setScenarioDraft(draft => ({ ...draft, modifiers: draft.modifiers.map((m, i) => (i === index ? { ...m, ...changes } : m)) }));
+  };
+
+  const handleSaveScenario = () => {
+    if (!can(currentUser, 'scenarios.edit')) return;
+    const problems = validatePolicyScenario(scenarioDraft);
+    if (problems.length > 0) {
+      setScenarioError(problems.join(' • '));
+      return;
+    }
+    if (!savePolicyScenario(scenarioDraft)) {
+      setScenarioError("Browser storage is full. Remove an older scenario or dataset and try again.");
+      return;
+    }
+    setPolicyScenarios(listPolicyScenarios());
+    setComparedScenarioIds(ids => (ids.includes(scenarioDraft.id) ? ids : [...ids, scenarioDraft.id]));
+    setScenarioDraft(null);
+    setScenarioError(null);
+  };
+
+  const handleDeleteScenario = (id) => {
+    if (!can(currentUser, 'scenarios.edit')) return;
+    deletePolicyScenario(id);
+    setPolicyScenarios(listPolicyScenarios());
+    setComparedScenarioIds(ids => ids.filter(x => x !== id));
+    if (activePolicyScenarioId === id) setActivePolicyScenarioId(BAU_SCENARIO_ID);
+  };
+
+  const handleSaveRules = () => {
+    if (!can(currentUser, 'rules.edit')) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(rulesDraft);
+    } catch (err) {
+      setRulesError(`Invalid JSON: ${err.message}`);
+      return;
+    }
+    const problems = validateAlertRules(parsed);
+    if (problems.length > 0) {
+      setRulesError(problems.join(' • '));
+      return;
+    }
+    if (!saveAlertRules(parsed)) {
+      setRulesError("Browser storage is full. The rules apply until the page is reloaded.");
+    } else {
+      setRulesError(null);
+      setRulesSaved(true);
+    }
+    setAlertRules(parsed);
+  };
+
+  const handleResetRules = () => {
+    if (!can(currentUser, 'rules.edit')) return;
+    resetAlertRules();
+    setAlertRules(DEFAULT_ALERT_RULES);
+    setRulesDraft(JSON.stringify(DEFAULT_ALERT_RULES, null, 2));
+    setRulesError(null);
+    setRulesSaved(false);
+  };
+
+  const handleSignOut = () => {
+    signOut();
+    setCurrentUser(null);
+  };
+
+  const handleAddUser = () => {
+    if (!can(currentUser, 'users.manage')) return;
+    setUserError(null);
+    addUser(userDraft)
+      .then(next => {
+        if (!next) throw new Error("Browser storage is full. The account was not saved.");
+        setUsers(next);
+        setUserDraft({ username: '', name: '', role: 'viewer', password: '' });
+      })
+      .catch(err => setUserError(err.message));
+  };
+
+  const handleUserChange = (change) => {
+    if (!can(currentUser, 'users.manage')) return;
+    setUserError(null);
+    try {
+      const next = change();
+      if (!next) throw new Error("Browser storage is full. The change was not saved.");
+      setUsers(next);
+      setCurrentUser(getSessionUser());
+    } catch (err) {
+      setUserError(err.message);
+    }
+  };
+
+  // Switching persona also switches to the planning scenario it works in
+  const selectPersona = (id) => {
+    setActivePersona(id);
+    setActiveScenario(getPersona(personas, id).defaultScenario);
+  };
+
+  const applyPersonas = (next) => {
+    setPersonas(next);
+    if (!next.some(p => p.id === activePersona)) setActivePersona(next[0].id);
+  };
+
+  const handleSavePersonas = () => {
+    if (!can(currentUser, 'rules.edit')) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(personasDraft);
+    } catch (err) {
+      setPersonasError(`Invalid JSON: ${err.message}`);
+      return;
+    }
+    const problems = validatePersonas(parsed);
+    if (problems.length > 0) {
+      setPersonasError(problems.join(' • '));
+      return;
+    }
+    if (!savePersonas(parsed)) {
+      setPersonasError("Browser storage is full. The personas apply until the page is reloaded.");
+    } else {
+      setPersonasError(null);
+      setPersonasSaved(true);
+    }
+    applyPersonas(parsed);
+  };
+
+  const handleResetPersonas = () => {
+    if (!can(currentUser, 'rules.edit')) return;
+    resetPersonas();
+    applyPersonas(DEFAULT_PERSONAS);
+    setPersonasDraft(JSON.stringify(DEFAULT_PERSONAS, null, 2));
+    setPersonasError(null);
+    setPersonasSaved(false);
+  };
+
+  // Appends the template to the draft; the admin edits it and saves
+  const handleAddPersonaDraft = () => {
+    if (!can(currentUser, 'rules.edit')) return;
+    let current;
+    try {
+      current = JSON.parse(personasDraft);
+    } catch (err) {
+      setPersonasError(`Fix the JSON before adding a persona: ${err.message}`);
+      return;
+    }
+    if (!Array.isArray(current)) {
+      setPersonasError('Fix the JSON before adding a persona: personas must be a JSON array');
+      return;
+    }
+    const taken = new Set(current.map(p => p && p.id));
+    let id = PERSONA_TEMPLATE.id;
+    for (let n = 2; taken.has(id); n++) id = `${PERSONA_TEMPLATE.id}_${n}`;
+    setPersonasDraft(JSON.stringify([...current, { ...PERSONA_TEMPLATE, id }], null, 2));
+    setPersonasSaved(false);
+  };
+
+  // path is dotted, e.g. 'thresholds.cpri.ready'
+  const updateSettingsDraft = (path, value) => {
+    const keys = path.split('.');
+    const setIn = (obj, [key, ...rest]) => ({ ...obj, [key]: rest.length === 0 ? value : setIn(obj[key], rest) });
+    setSettingsDraft(prev => setIn(prev, keys));
+    setSettingsSaved(false);
+  };
+
+  const applySettings = (next) => {
+    setSettings(next);
+    setSettingsDraft(next);
+    setProjectionYear(next.masterPlanYear);
+  };
+
+  const handleSaveSettings = () => {
+    if (!can(currentUser, 'rules.edit')) return;
+    const next = parseSettingsForm(settingsDraft);
+    const problems = validateSettings(next);
+    if (problems.length > 0) {
+      setSettingsError(problems.join(' • '));
+      return;
+    }
+    if (!saveSettings(next)) {
+      setSettingsError("Browser storage is full. The settings apply until the page is reloaded.");
+    } else {
+      setSettingsError(null);
+      setSettingsSaved(true);
+    }
+    applySettings(next);
+  };
+
+  const handleResetSettings = () => {
+    if (!can(currentUser, 'rules.edit')) return;
+    resetSettings();
+    applySettings(DEFAULT_SETTINGS);
+    setSettingsError(null);
+    setSettingsSaved(false);
+  };
+
+  const handleExportSettings = () => {
+    downloadBlob(new Blob([exportSettings(settings)], { type: 'application/json' }), `lulc-settings-${settings.region.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`);
+  };
+
+  // Imported settings land in the draft; the admin reviews them and saves
+  const handleImportSettings = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !can(currentUser, 'rules.edit')) return;
+    file.text()
+      .then(text => {
+        setSettingsDraft(parseSettingsImport(text));
+        setSettingsError(null);
+        setSettingsSaved(false);
+      })
+      .catch(err => setSettingsError(`${file.name}: ${err.message}`));
+  };
+
+  const handleAlertAction = (alert, action, payload) => {
+    try {
+      if (!can(currentUser, 'alerts.resolve')) throw new Error('Your role cannot change alert status');
+      const { states, audit } = recordAlertAction(alert, action, { ...payload, by: currentUser.username });
+      setAlertStates(states);
+      setAlertAudit(audit);
+      setAlertActionError(null);
+      if (action === 'resolve') setResolvingAlert(null);
+    } catch (err) {
+      setAlertActionError(err.message);
+    }
+  };
+
+  const handleDispatchSurvey = (suggestion) => {
+    if (!can(currentUser, 'surveys.manage')) return;
+    const next = dispatchSurvey(activeDatasetId, suggestion);
+    if (!next) {
+      setSurveyError("Browser storage is full. Remove completed surveys and try again.");
+      return;
+    }
+    setFieldSurveys(next);
+    setSurveyError(null);
+  };
+
+  const updateSurveyDraft = (id, changes) => {
+    setSurveyDrafts(drafts => ({ ...drafts, [id]: { ...drafts[id], ...changes } }));
+  };
+
+  const handleSurveyPhoto = (id, file) => {
+    if (!file || !can(currentUser, 'surveys.manage')) return;
+    if (file.size > MAX_PHOTO_BYTES) {
+      setSurveyError(`${file.name} is larger than ${(MAX_PHOTO_BYTES / 1024 / 1024).toFixed(1)} MB. Attach a smaller photo.`);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      updateSurveyDraft(id, { photo: { name: file.name, type: file.type, dataUrl: reader.result } });
+      setSurveyError(null);
+    };
+    reader.onerror = () => setSurveyError(`Could not read ${file.name}`);
+    reader.readAsDataURL(file);
+  };
+
+  const handleCompleteSurvey = (id) => {
+    if (!can(currentUser, 'surveys.manage')) return;
+    try {
+      const next = completeSurvey(id, surveyDrafts[id] || {});
+      if (!next) throw new Error("Browser storage is full. Try again without the photo.");
+      setFieldSurveys(next);
+      setSurveyDrafts(drafts => {
+        const rest = { ...drafts };
+        delete rest[id];
+        return rest;
+      });
+      setSurveyError(null);
+    } catch (err) {
+      setSurveyError(err.message);
+    }
+  };
+
+  const handleDeleteSurvey = (id) => {
+    if (!can(currentUser, 'surveys.manage')) return;
+    setFieldSurveys(deleteSurvey(id));
+  };
+
+  const toggleComparedScenario = (id) => {
+    setComparedScenarioIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]));
+  };
 
 
 
 
 
   // TIME SERIES PROCESSING
-  const years = [...new Set(timeData.map(d => d.year))].sort();
+  const years = [...new Set(timeData.map(d => d.year))].sort((a, b) => a - b);
   const builtUpTrend = years.map(y => {
-     const record = timeData.find(d => d.year === y && d.lulc_class === 'Built-up');
+     const record = timeData.find(d => d.year === y && isClass(d.lulc_class, 'Built-up'));
      return record ? parseFloat(record.area_sq_km) : 0;
   });
   const forestTrend = years.map(y => {
-     const record = timeData.find(d => d.year === y && d.lulc_class === 'Forest');
+     const record = timeData.find(d => d.year === y && isClass(d.lulc_class, 'Forest'));
      return record ? parseFloat(record.area_sq_km) : 0;
   });
 
 
   const waterTrend = years.map(y => {
-     const record = timeData.find(d => d.year === y && d.lulc_class === 'Water');
+     const record = timeData.find(d => d.year === y && isClass(d.lulc_class, 'Water'));
      return record ? parseFloat(record.area_sq_km) : 0;
   });
 
+  // CLASS AREA SERIES
+  // The engines below take a { years, builtUp, forest, water } series so they can run on the
+  // district time series or on a single region's trajectory rebuilt from its transitions.
+  const districtSeries = {
+     years,
+     byClass: LULC_CLASS_NAMES.reduce((acc, cls) => ({
+        ...acc,
+        [cls]: years.map(y => timeData.find(d => d.year === y && d.lulc_class === cls)?.area_sq_km ?? 0)
+     }), {}),
+     builtUp: builtUpTrend,
+     forest: forestTrend,
+     water: waterTrend,
+     isDerived: false
+  };
+
+  // REGION SCOPE (set from the region selector or the Geospatial Explorer; null = whole district)
+  const regionScopedData = activeRegion ? data.filter(d => d.region_id === activeRegion) : data;
+  const activeSeries = activeRegion ? deriveClassSeries(regionScopedData) : districtSeries;
+
   // ECOLOGICAL TRAJECTORY ENGINE
-  const getEcoRiskAssessment = () => {
+  const getEcoRiskAssessment = (series) => {
+    const { years, forest: forestTrend, water: waterTrend } = series;
     if (years.length < 2) return null;
 
     // Forest Stats
@@ -131,10 +741,11 @@ function App() {
     };
   };
 
-  const ecoRisk = getEcoRiskAssessment();
+  const ecoRisk = getEcoRiskAssessment(activeSeries);
 
   // POLICY IMPACT ANALYTICS
-  const getPolicyEvaluation = () => {
+  const getPolicyEvaluation = (series) => {
+     const { years, builtUp: builtUpTrend } = series;
      if (years.length < 4) return null;
      
      // Pre-Policy: 2018-2020 
@@ -176,49 +787,144 @@ function App() {
      return { preRate: preUrbanRate.toFixed(1), postRate: postUrbanRate.toFixed(1), assessment, color, desc };
   };
 
-  const policyEval = getPolicyEvaluation();
+  const policyEval = getPolicyEvaluation(activeSeries);
   
   // POLICY SIMULATION STATE
 
 
-  // FUTURE PROJECTION ENGINE (Extrapolation + Simulation)
-  const getFutureProjection = () => {
-     if (years.length < 3) return null;
-     
-     // Use last 4 years (2020-2024) for baseline trend
-     const lastIdx = years.length - 1;
-     const startIdx = years.length - 3 >= 0 ? years.length - 3 : 0;
-     
-     const timeSpan = years[lastIdx] - years[startIdx];
-     const urbanChange = builtUpTrend[lastIdx] - builtUpTrend[startIdx];
-     let annualRate = urbanChange / timeSpan;
-
-     // APPLY SIMULATION LOGIC
-     // 100% Intensity = 60% Reduction in Growth Rate
-     const reduction = (policyIntensity / 100) * 0.60;
-     annualRate = annualRate * (1 - reduction);
-     
-     const yearsToProject = 2; // Project to 2026
-     const projectedUrban = builtUpTrend[lastIdx] + (annualRate * yearsToProject);
-     const projectedIncrease = projectedUrban - builtUpTrend[lastIdx];
-     
+  // FUTURE PROJECTION ENGINE (Markov Chain + Simulation)
+  // Calibrated on the complete district records: the chain needs class stock areas,
+  // which only the district time series provides.
+  const markovModel = buildMarkovModel(data, timeData);
+  const projectionHorizon = markovModel ? Math.max(projectionYear, markovModel.baseYear + 1) : projectionYear;
+
+  // APPLY SIMULATION LOGIC
+  // The active policy scenario scales individual transition rates (see policyScenarios.js)
+  const activePolicyScenario = policyScenarios.find(s => s.id === activePolicyScenarioId) || policyScenarios[0];
+  const projectScenario = (scenario) => (
+     markovModel ? projectMarkov(scaleTransitionRates(markovModel, scenarioRateMultiplier(scenario)), projectionHorizon) : []
+  );
+  const bauProjection = markovModel ? projectMarkov(markovModel, projectionHorizon) : [];
+  const policyProjection = projectScenario(activePolicyScenario);
+  const isPolicyActive = activePolicyScenario.id !== BAU_SCENARIO_ID;
+
+  // FORECAST UNCERTAINTY (P10/P50/P90 from Monte Carlo resampling of record confidence)
+  // 200 resampled Markov runs: only rerun when the records, horizon or scenario change,
+  // not on every keystroke or route change. Null without a calibratable model.
+  const projectionBands = useMemo(
+     () => simulateProjectionBands(data, timeData, { horizonYear: projectionHorizon, multiplierFor: scenarioRateMultiplier(activePolicyScenario) }),
+     [data, timeData, projectionHorizon, activePolicyScenario]
+  );
+  const horizonBands = projectionBands ? projectionBands[projectionBands.length - 1].classes : null;
+
+  // regionRecords: null for the district; otherwise the district's projected urban inflows are
+  // downscaled by the region's observed share of each from → to flow.
+  const getFutureProjection = (regionRecords = null) => {
+     if (policyProjection.length < 2) return null;
+
+     const flowShare = (from, to) => {
+        if (!regionRecords) return 1;
+        const flowArea = (rows) => rows.filter(d => d.from === from && d.to === to).reduce((sum, d) => sum + d.area_sq_km, 0);
+        const total = flowArea(data);
+        return total > 0 ? flowArea(regionRecords) / total : 0;
+     };
+     const urbanIncrease = (projection) => {
+        const base = projection[0];
+        const end = projection[projection.length - 1];
+        if (!regionRecords) {
+           return LULC_CLASS_NAMES.filter(isUrbanClass).reduce((sum, cls) => sum + end.areas[cls] - base.areas[cls], 0);
+        }
+        return LULC_CLASS_NAMES.filter(isUrbanClass).reduce((sum, to) => (
+           sum + LULC_CLASS_NAMES.filter(from => !isUrbanClass(from)).reduce((s2, from) => s2 + end.flows[from][to] * flowShare(from, to), 0)
+        ), 0);
+     };
+
+     const baseYear = policyProjection[0].year;
+     const targetYear = policyProjection[policyProjection.length - 1].year;
+     const projectedIncrease = urbanIncrease(policyProjection);
+     const bauIncrease = urbanIncrease(bauProjection);
+     const annualIncrease = projectedIncrease / (targetYear - baseYear);
+
      let riskLevel = 'Low';
      let color = '#10B981';
-     if (projectedIncrease > 10) { riskLevel = 'Critical 🚨'; color = '#EF4444'; }
-     else if (projectedIncrease > 5) { riskLevel = 'High ⚠️'; color = '#F59E0B'; }
-     
+     if (annualIncrease > 5) { riskLevel = 'Critical 🚨'; color = '#EF4444'; }
+     else if (annualIncrease > 2.5) { riskLevel = 'High ⚠️'; color = '#F59E0B'; }
+
+     const endAreas = policyProjection[policyProjection.length - 1].areas;
+     const urbanBand = !regionRecords && horizonBands ? horizonBands['Built-up'] : null;
      return {
-        targetYear: years[lastIdx] + yearsToProject,
-        projectedArea: projectedUrban.toFixed(1),
+        baseYear,
+        targetYear,
+        projectedArea: regionRecords ? null : LULC_CLASS_NAMES.filter(isUrbanClass).reduce((sum, cls) => sum + endAreas[cls], 0).toFixed(1),
         increase: projectedIncrease.toFixed(1),
         riskLevel,
         color,
-        reduction: reduction > 0 ? (reduction * 100).toFixed(0) : null,
-        savedArea: reduction > 0 ? ((urbanChange / timeSpan * yearsToProject) - projectedIncrease).toFixed(1) : null
+        scenario: isPolicyActive ? activePolicyScenario.name : null,
+        savedArea: isPolicyActive && bauIncrease - projectedIncrease > 0.05 ? (bauIncrease - projectedIncrease).toFixed(1) : null,
+        // Prediction interval for the district urban footprint at the target year
+        interval: urbanBand ? { p10: urbanBand.p10.toFixed(1), p50: urbanBand.p50.toFixed(1), p90: urbanBand.p90.toFixed(1) } : null
      };
   };
 
-  const futureProj = getFutureProjection();
+  const futureProj = getFutureProjection(activeRegion ? regionScopedData : null);
+
+  const projectionChartData = {
+    labels: policyProjection.map(p => p.year),
+    datasets: LULC_CLASS_NAMES.map((cls, i) => ({
+      label: cls,
+      data: policyProjection.map(p => parseFloat(p.areas[cls].toFixed(1))),
+      borderColor: getClassColor(cls),
+      backgroundColor: `${getClassColor(cls)}99`,
+      fill: i === 0 ? 'origin' : '-1',
+      tension: 0.3,
+      pointRadius: 2
+    }))
+  };
+
+  // SCENARIO COMPARISON (every compared scenario projected to the same horizon)
+  const SCENARIO_COLORS = ['#64748B', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#0EA5E9', '#EF4444'];
+  const scenarioComparison = policyScenarios
+     .filter(s => comparedScenarioIds.includes(s.id))
+     .map(s => ({ scenario: s, projection: projectScenario(s), color: SCENARIO_COLORS[policyScenarios.indexOf(s) % SCENARIO_COLORS.length] }));
+
+  const scenarioChartData = {
+    labels: bauProjection.map(p => p.year),
+    datasets: scenarioComparison.map(({ scenario, projection, color }) => ({
+      label: scenario.name,
+      data: projection.map(p => parseFloat(p.areas[comparisonClass].toFixed(1))),
+      borderColor: color,
+      backgroundColor: color,
+      borderDash: scenario.id === BAU_SCENARIO_ID ? [6, 4] : undefined,
+      tension: 0.3,
+      pointRadius: 2
+    }))
+  };
+
+  const projectionChartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: true, position: 'top', labels: { font: { family: "'Inter', sans-serif", size: 12 }, boxWidth: 10 } },
+      tooltip: { backgroundColor: "#1E293B", mode: 'index', intersect: false, padding: 12, cornerRadius: 8 }
+    },
+    scales: {
+      x: { grid: { display: false }, ticks: { font: { family: "'Inter', sans-serif", size: 11 }, color: "#64748B" } },
+      y: {
+        stacked: true,
+        grid: { color: "#E2E8F0", borderDash: [4, 4] },
+        ticks: { font: { family: "'Inter', sans-serif", size: 11 }, color: "#64748B" },
+        title: { display: true, text: 'Area (sq km)', font: { size: 10 } }
+      }
+    }
+  };
+
+  const scenarioChartOptions = {
+    ...projectionChartOptions,
+    scales: {
+      ...projectionChartOptions.scales,
+      y: { ...projectionChartOptions.scales.y, stacked: false, title: { display: true, text: `${comparisonClass} area (sq km)`, font: { size: 10 } } }
+    }
+  };
 
   // TEMPORAL EXPLAINABILITY ENGINE
   const getTemporalExplanations = () => {
@@ -249,21 +955,8 @@ function App() {
 
   const temporalAnomalies = getTemporalExplanations();
 
-  // MOCK MULTI-YEAR TRANSITION DATA (Flows per year)
-  const temporalTransitionData = [
-     { year: 2018, from: 'Forest', to: 'Built-up', area: 2.1, confidence: 0.92 },
-     { year: 2020, from: 'Forest', to: 'Built-up', area: 5.4, confidence: 0.88 },
-     { year: 2022, from: 'Forest', to: 'Built-up', area: 8.2, confidence: 0.85 }, 
-     { year: 2024, from: 'Forest', to: 'Built-up', area: 14.2, confidence: 0.82 }, // Accelerating flow
-
-     { year: 2018, from: 'Agriculture', to: 'Built-up', area: 15.0, confidence: 0.85 },
-     { year: 2020, from: 'Agriculture', to: 'Built-up', area: 19.5, confidence: 0.84 },
-     { year: 2022, from: 'Agriculture', to: 'Built-up', area: 20.1, confidence: 0.86 }, 
-     { year: 2024, from: 'Agriculture', to: 'Built-up', area: 21.6, confidence: 0.85 }, // Saturated/Stable flow
-
-     { year: 2020, from: 'Water', to: 'Barren', area: 0.5, confidence: 0.60 },
-     { year: 2024, from: 'Water', to: 'Barren', area: 1.3, confidence: 0.75 }
-  ];
+  // MULTI-YEAR TRANSITION HISTORY (Flows per year, aggregated across regions)
+  const temporalTransitionData = buildTransitionHistory(regionScopedData.filter(d => d.from !== d.to));
 
   // TEMPORAL ANALYTICS ENGINE: TRANSITION EVOLUTION
   const analyzeTransitionEvolution = (data) => {
@@ -281,16 +974,16 @@ function App() {
          const latest = sorted[sorted.length-1];
          
          // Compute Cumulative Volume
-         const cumulativeVolume = sorted.reduce((sum, d) => sum + d.area, 0);
+         const cumulativeVolume = sorted.reduce((sum, d) => sum + d.area_sq_km, 0);
 
          // 1. ANOMALY DETECTION (Baseline Deviation)
          // Baseline = Average of all previous years
          const baselineRecs = sorted.slice(0, sorted.length-1);
          const baselineAvg = baselineRecs.length > 0 
-            ? baselineRecs.reduce((sum, d) => sum + d.area, 0) / baselineRecs.length
-            : latest.area; 
+            ? baselineRecs.reduce((sum, d) => sum + d.area_sq_km, 0) / baselineRecs.length
+            : latest.area_sq_km; 
          
-         const deviationRatio = baselineAvg > 0 ? (latest.area / baselineAvg) : 1.0;
+         const deviationRatio = baselineAvg > 0 ? (latest.area_sq_km / baselineAvg) : 1.0;
          
          let anomaly = "Normal";
          let anomalyColor = "#64748B";
@@ -306,8 +999,8 @@ function App() {
          let trend = 'Stable';
          let trendColor = '#64748B';
          if (sorted.length > 1) {
-             const lastFlow = sorted[sorted.length-1].area;
-             const prevFlow = sorted[sorted.length-2].area;
+             const lastFlow = sorted[sorted.length-1].area_sq_km;
+             const prevFlow = sorted[sorted.length-2].area_sq_km;
              if (lastFlow > prevFlow * 1.15) { trend = 'Accelerating'; trendColor = '#EF4444'; }
              else if (lastFlow < prevFlow * 0.85) { trend = 'Decelerating'; trendColor = '#10B981'; } 
          }
@@ -316,7 +1009,7 @@ function App() {
          // CPRI = Normalized Impact (0-1) * Temporal Trust (0-1) * Latest Confidence (0-1)
          
          // Normalized Impact (using log scale to dampen dominance of very large areas)
-         const logVolume = Math.log10(parseFloat(latest.area) + 1);
+         const logVolume = Math.log10(parseFloat(latest.area_sq_km) + 1);
          const normalizedImpact = Math.min(logVolume / 2, 1); // Normalize against threshold of ~100 sq km
 
          // Temporal Trust (Stability)
@@ -331,14 +1024,14 @@ function App() {
          let readiness = "Field Validation";
          let readinessColor = "#EF4444";
          
-         if (cpri >= 0.75) { readiness = "Ready for Action ✅"; readinessColor = "#10B981"; }
-         else if (cpri >= 0.45) { readiness = "Policy Review ⚠️"; readinessColor = "#F59E0B"; }
+         if (cpri >= cpriThresholds.ready) { readiness = "Ready for Action ✅"; readinessColor = "#10B981"; }
+         else if (cpri >= cpriThresholds.review) { readiness = "Policy Review ⚠️"; readinessColor = "#F59E0B"; }
 
          return {
              transition: key,
              history: sorted,
              totalVolume: cumulativeVolume.toFixed(1),
-             latestFlow: latest.area,
+             latestFlow: latest.area_sq_km,
              trend,
              trendColor,
              deviationRatio: deviationRatio.toFixed(1),
@@ -355,30 +1048,27 @@ function App() {
 
   const transitionTrends = analyzeTransitionEvolution(temporalTransitionData);
 
+  // REGIONAL METRICS (Choropleth inputs, always computed across every region)
+  const latestYear = data.length > 0 ? Math.max(...data.map(d => d.year)) : settings.analysisPeriod.end;
+  const regionIds = [...new Set(data.map(d => d.region_id).filter(Boolean))].sort();
+  const regionMetrics = regionIds.map(id => {
+     const regionHistory = data.filter(d => d.region_id === id);
+     const latestRows = regionHistory.filter(d => d.year === latestYear && d.from !== d.to);
+     const area = latestRows.reduce((sum, d) => sum + d.area_sq_km, 0);
+     const confidence = area > 0 ? latestRows.reduce((sum, d) => sum + d.area_sq_km * d.confidence, 0) / area : null;
+     const trends = analyzeTransitionEvolution(buildTransitionHistory(regionHistory.filter(d => d.from !== d.to)));
+     const cpri = trends.length > 0 ? Math.max(...trends.map(t => parseFloat(t.cpri))) : null;
+     return { regionId: id, area, confidence, cpri, transitionCount: latestRows.length };
+  });
+
 
 
    // ACTION RECOMMENDATION ENGINE
    const getActionRecommendations = () => {
       if (transitionTrends.length === 0) return [];
       
-      // Filter/Rank based on Persona
-      let targetedTrends = [...transitionTrends];
-      
-      if (activePersona === 'urban_planner') {
-         // Prioritize Built-up related
-         targetedTrends.sort((a,b) => {
-             const aIsUrban = a.history[0].to === 'Built-up';
-             const bIsUrban = b.history[0].to === 'Built-up';
-             return bIsUrban - aIsUrban;
-         });
-      } else if (activePersona === 'environmental_officer') {
-         // Prioritize Forest/Water loss
-         targetedTrends.sort((a,b) => {
-             const aIsEco = a.history[0].from === 'Forest' || a.history[0].from === 'Water Body';
-             const bIsEco = b.history[0].from === 'Forest' || b.history[0].from === 'Water Body';
-             return bIsEco - aIsEco;
-         });
-      }
+      // Rank based on Persona: its focus transitions first
+      const targetedTrends = sortByPersonaFocus(persona, transitionTrends, t => t.history[0]);
 
       const topItems = targetedTrends.slice(0, 3);
       
@@ -391,17 +1081,17 @@ function App() {
          let color = "#F59E0B";
 
          const cpri = parseFloat(item.cpri);
-         const area = parseFloat(latest.area);
+         const area = parseFloat(latest.area_sq_km);
          const fromClass = latest.from;
          const toClass = latest.to;
          
-         if (cpri >= 0.75) {
+         if (cpri >= cpriThresholds.ready) {
             urgency = "Immediate"; color = "#10B981"; // Green
-            if (fromClass === 'Forest') { action = `Issue Halt Order & Eco-Restoration Plan`; dept = "Environment Dept"; icon = "🛑"; }
-            else if (toClass === 'Built-up') { action = `Formalize Zoning & Collect Development Tax`; dept = "Urban Planning"; icon = "🏗️"; }
+            if (isClass(fromClass, 'Forest')) { action = `Issue Halt Order & Eco-Restoration Plan`; dept = "Environment Dept"; icon = "🛑"; }
+            else if (isUrbanClass(toClass)) { action = `Formalize Zoning & Collect Development Tax`; dept = "Urban Planning"; icon = "🏗️"; }
             else { action = `Update Land Records Registry`; dept = "Revenue Dept"; icon = "✅"; }
          } 
-         else if (cpri >= 0.45) {
+         else if (cpri >= cpriThresholds.review) {
             urgency = "High"; color = "#3B82F6"; // Blue
             action = `Schedule Committee Review for ${area} sq km change`; dept = "Planning Committee"; icon = "⚖️";
          }
@@ -412,13 +1102,14 @@ function App() {
 
          return {
             id: Math.random(),
+            transition: item.transition,
             details: `${fromClass} → ${toClass} (${area} sq km)`,
             action, urgency, dept, icon, color,
             readiness: (cpri * 100).toFixed(0),
             logic: {
                section_1: { label: "1. Data Inputs", value: `Area: ${area}km² | Conf: ${latest.confidence} | Stable: ${item.isConfStable ? 'Yes' : 'No'}` },
                section_2: { label: "2. Calculated CPRI", value: `${cpri} (Norm. Impact × Trust × Conf)` },
-               section_3: { label: "3. Decision Rule", value: cpri >= 0.75 ? "Score ≥ 0.75 → Auto-Route to Dept" : cpri >= 0.45 ? "Score ≥ 0.45 → Committee Review" : "Score < 0.45 → Field Validation" }
+               section_3: { label: "3. Decision Rule", value: cpri >= cpriThresholds.ready ? `Score ≥ ${cpriThresholds.ready} → Auto-Route to Dept` : cpri >= cpriThresholds.review ? `Score ≥ ${cpriThresholds.review} → Committee Review` : `Score < ${cpriThresholds.review} → Field Validation` }
             }
          };
       });
@@ -428,34 +1119,21 @@ function App() {
 
   // BUDGET SURVEY OPTIMIZER
 
-  const surveyCostPerSite = 1200; // Cost in INR/USD per site visit
+  // Sites are costed individually; travel is measured from the district centre
+  const regionDistancesKm = regionBoundaries ? getRegionDistancesKm(regionBoundaries.features) : {};
 
   const getBudgetOptimizedSurveys = () => {
-    // 1. Filter: Candidate sites (Low CPRI < 0.45 requiring Field Survey)
-    const candidates = transitionTrends.filter(d => parseFloat(d.cpri) < 0.45);
-    
-    // 2. Rank: Sort by CPRI (Lowest first = Highest Ambiguity Risk)
-    // Or Sort by Volume (Highest Impact Risk) - Let's blend: Volume matters more for "Risk"
-    const rankedCandidates = candidates.sort((a,b) => parseFloat(b.latestFlow) - parseFloat(a.latestFlow));
-    
-    // 3. Optimize: Select max sites within budget
-    const maxSites = Math.floor(budget / surveyCostPerSite);
-    
-    const selectedSites = rankedCandidates.slice(0, maxSites);
-    const deferredSites = rankedCandidates.slice(maxSites);
+    // Candidate sites: every region of each transition below the CPRI review cut-off (field survey required)
+    const candidates = buildSurveyCandidates(transitionTrends, regionScopedData, { distancesKm: regionDistancesKm, cpriThreshold: cpriThresholds.review });
+    return optimizeSurveyBudget(candidates, budget, { locks: surveyLocks });
+  };
 
-    return {
-       selected: selectedSites.map(s => ({
-           from: s.history[s.history.length-1].from,
-           to: s.history[s.history.length-1].to,
-           confidence: s.history[s.history.length-1].confidence,
-           area_sq_km: s.latestFlow,
-           id: s.transition
-       })),
-       deferredCount: deferredSites.length,
-       totalCost: selectedSites.length * surveyCostPerSite,
-       maxPossible: maxSites
-    };
+  const setSurveyLock = (id, lock) => {
+    if (!can(currentUser, 'surveys.manage')) return;
+    const { [id]: previous, ...rest } = surveyLocks;
+    const next = lock ? { ...rest, [id]: lock } : rest;
+    setSurveyLocks(next);
+    writeStored('surveyLocks', next);
   };
 
   // NARRATIVE INTELLIGENCE ENGINE
@@ -463,15 +1141,8 @@ function App() {
       if (transitionTrends.length === 0) return { title: "Insufficient Data", body: "No trends detected." };
 
       // 1. Identify Dominant Transition (Persona Aware)
-      let candidateTrends = [...transitionTrends];
-      
-      if (activePersona === 'urban_planner') {
-         candidateTrends = candidateTrends.filter(t => t.history[0].to === 'Built-up' || t.history[0].from === 'Built-up');
-         if(candidateTrends.length === 0) candidateTrends = [...transitionTrends]; // Fallback
-      } else if (activePersona === 'environmental_officer') {
-         candidateTrends = candidateTrends.filter(t => t.history[0].from === 'Forest' || t.history[0].from === 'Water Body');
-         if(candidateTrends.length === 0) candidateTrends = [...transitionTrends]; // Fallback
-      }
+      let candidateTrends = transitionTrends.filter(t => isPersonaFocus(persona, t.history[0]));
+      if (candidateTrends.length === 0) candidateTrends = [...transitionTrends]; // Fallback
       
       const top = candidateTrends[0];
       const isAccelerating = top.trend.includes('Accelerating') || top.trend.includes('Rapid');
@@ -484,23 +1155,14 @@ function App() {
       else if (isAccelerating) { title = `📈 Accelerating Scale: ${top.transition}`; color = '#F59E0B'; }
 
       // 3. Draft Body (Stakeholder Tailored)
-      let body = `The most significant land-use change is the conversion of ${top.history[0].from} to ${top.history[0].to}. `;
-      
-      if (activePersona === 'urban_planner') {
-         body = `Urban Expansion Alert: ${top.history[0].to} zones are expanding at ${top.latestFlow} sq km/yr. `;
-         body += isAccelerating ? `Growth is accelerating rapidly, requiring immediate infrastructure scaling. ` : `Growth is steady, allowing for planned zoning updates. `;
-      } else if (activePersona === 'environmental_officer') {
-         body = `Ecological Warning: ${top.history[0].from} loss is tracking at ${top.latestFlow} sq km/yr. `;
-         body += `This represents a critical depletion of natural capital. Conservation enforcement is ${top.cpri > 0.75 ? 'urgently required' : 'dependent on field verification'}. `;
-      } else {
-          // Policy Maker (Default)
-          body += `This trend is currently ${top.trend.toLowerCase()} with a flow of ${top.latestFlow} sq km/yr. `;
-          if (parseFloat(top.cpri) > 0.75) {
-              body += `Given the high certainty (CPRI ${top.cpri}), immediate policy intervention is recommended.`;
-          } else {
-              body += `However, ambiguity remains (CPRI ${top.cpri}), necessitating field verification before regulation.`;
-          }
-      }
+      const body = composeNarrative(persona, {
+         from: top.history[0].from,
+         to: top.history[0].to,
+         transition: top.transition,
+         flow: top.latestFlow,
+         trend: top.trend.toLowerCase(),
+         cpri: top.cpri
+      }, { isAccelerating, isCertain: parseFloat(top.cpri) >= cpriThresholds.ready });
 
       return { title, body, color };
   };
@@ -509,27 +1171,42 @@ function App() {
 
   const optimizedSurveys = getBudgetOptimizedSurveys();
 
+  // Projected years extend the observed axis; bands start from the last observed year
+  const bandYears = projectionBands ? projectionBands.slice(1).map(b => b.year) : [];
+  const padObserved = (values) => [...values, ...bandYears.map(() => null)];
+  const bandSeries = (cls, pick) => [
+    ...years.map(y => (projectionBands && y === projectionBands[0].year ? projectionBands[0].classes[cls][pick] : null)),
+    ...(projectionBands ? projectionBands.slice(1).map(b => parseFloat(b.classes[cls][pick].toFixed(1))) : [])
+  ];
+  const bandDatasets = (cls, rgb) => (projectionBands ? [
+    { label: `${cls} P90`, data: bandSeries(cls, 'p90'), borderWidth: 0, pointRadius: 0, backgroundColor: `rgba(${rgb}, 0.15)`, fill: '+1', tension: 0.3 },
+    { label: `${cls} P10`, data: bandSeries(cls, 'p10'), borderWidth: 0, pointRadius: 0, backgroundColor: `rgba(${rgb}, 0.15)`, fill: false, tension: 0.3 },
+    { label: `${cls} P50 (projected)`, data: bandSeries(cls, 'p50'), borderColor: getClassColor(cls), borderDash: [6, 4], pointRadius: 2, fill: false, tension: 0.3 }
+  ] : []);
+
   const trendChartData = {
-    labels: years,
+    labels: [...years, ...bandYears],
     datasets: [
       {
         label: 'Built-up Area',
-        data: builtUpTrend,
-        borderColor: '#EF4444', // Red for Urban Growth
+        data: padObserved(builtUpTrend),
+        borderColor: getClassColor('Built-up'), // Red for Urban Growth
         backgroundColor: 'rgba(239, 68, 68, 0.1)',
         tension: 0.4,
         fill: true,
-        pointBackgroundColor: '#EF4444'
+        pointBackgroundColor: getClassColor('Built-up')
       },
       {
         label: 'Forest Cover',
-        data: forestTrend,
-        borderColor: '#10B981', // Green for Forest
+        data: padObserved(forestTrend),
+        borderColor: getClassColor('Forest'), // Green for Forest
         backgroundColor: 'rgba(16, 185, 129, 0.1)',
         tension: 0.4,
         fill: true,
-        pointBackgroundColor: '#10B981'
-      }
+        pointBackgroundColor: getClassColor('Forest')
+      },
+      ...bandDatasets('Built-up', '239, 68, 68'),
+      ...bandDatasets('Forest', '16, 185, 129')
     ]
   };
 
@@ -568,7 +1245,7 @@ function App() {
 
   const getConfidenceStability = (lulcClass, years) => {
      const confValues = years.map(y => {
-        const record = timeData.find(d => d.year === y && d.lulc_class === lulcClass);
+        const record = timeData.find(d => d.year === y && isClass(d.lulc_class, lulcClass));
         return record ? parseFloat(record.confidence) : 0;
      }).filter(v => v > 0);
 
@@ -629,7 +1306,7 @@ function App() {
       legend: { 
         display: true,
         position: 'top',
-        labels: { font: { family: "'Inter', sans-serif", size: 12 }, boxWidth: 10 }
+        labels: { font: { family: "'Inter', sans-serif", size: 12 }, boxWidth: 10, filter: (item) => !/ P(10|90)$/.test(item.text) }
       },
       tooltip: {
         backgroundColor: "#1E293B",
@@ -665,13 +1342,13 @@ function App() {
 
   // DECISION LOGIC LAYER
   const getDecisionStatus = (confidence) => {
-    if (confidence >= 0.85) return { 
+    if (confidence >= decisionThresholds.act) return { 
       label: "Safe to Act", 
       class: "badge-safe", 
       icon: "✅",
       desc: "Proceed with policy implementation" 
     };
-    if (confidence >= 0.75) return { 
+    if (confidence >= decisionThresholds.review) return { 
       label: "Review Required", 
       class: "badge-review", 
       icon: "⚠️",
@@ -689,16 +1366,25 @@ function App() {
   // FILTER STATE
 
 
+  // CURRENT ANALYSIS PERIOD (latest year in the transition records)
+  const currentPeriodYear = latestYear;
+  const currentPeriodData = regionScopedData.filter(d => d.year === currentPeriodYear);
+
   // Apply filters to data
-  const filteredData = data.filter(d => {
+  const passesViewFilters = (d) => {
+    // 0. Persistence rows (from == to) are not change; they only feed the matrix diagonal
+    if (d.from === d.to) return false;
+
     // 1. Confidence Filter
     if (d.confidence < minConfidence) return false;
     
     // 2. Scenario Filter
-    if (activeScenario === 'urban') return d.to === 'Built-up';
-    if (activeScenario === 'eco') return (d.from === 'Forest' || d.from === 'Water Body') && (d.to === 'Built-up' || d.to === 'Barren');
+    if (activeScenario === 'urban') return isUrbanClass(d.to);
+    if (activeScenario === 'eco') return isEcologicalClass(d.from) && (isUrbanClass(d.to) || getClassCategory(d.to) === 'degraded');
     return true;
-  });
+  };
+
+  const filteredData = currentPeriodData.filter(passesViewFilters);
 
   // Calculate Metrics based on FILTERED data
   // [Metrics calculation code remains same...]
@@ -713,123 +1399,93 @@ function App() {
     return acc;
   }, { safe: 0, review: 0, field: 0 });
 
-  // GOVERNANCE ALERT ENGINE
-  const generateGovernanceAlerts = (data, trends) => {
-    const alerts = [];
-    
-    // Rule 1: High Ecological Risk
-    const ecoRiskItems = data.filter(d => 
-      (d.from === 'Forest' || d.from === 'Water Body') && 
-      (d.to === 'Built-up' || d.to === 'Barren') && 
-      d.confidence > 0.80
-    );
-    if (ecoRiskItems.length > 0) {
-      alerts.push({
-        type: 'high',
-        title: activePersona === 'environmental_officer' ? 'Critical Ecosystem Loss' : 'Ecological Risk',
-        desc: activePersona === 'environmental_officer' 
-          ? `Urgent: ${ecoRiskItems.length} protected zones compromised. Immediate enforcement action required.` 
-          : `Detected ${ecoRiskItems.length} verified zones of forest/water depletion. Recommend halt.`,
-        icon: '🛑',
-        items: ecoRiskItems
-      });
-    }
-
-    // Rule 2: Urban Sprawl Detection
-    const urbanSprawl = data.filter(d => d.from === 'Agriculture' && d.to === 'Built-up');
-    const totalSprawlArea = urbanSprawl.reduce((acc, curr) => acc + Number(curr.area_sq_km), 0);
-    if (totalSprawlArea > 5) { 
-      alerts.push({
-        type: 'medium',
-        title: activePersona === 'urban_planner' ? 'Unplanned Sprawl Detected' : 'Urban Sprawl Alert',
-        desc: activePersona === 'urban_planner' 
-           ? `Infrastructure misalignment: ${totalSprawlArea.toFixed(1)} sq km of agri-land converted outside zoning limits.`
-           : `${totalSprawlArea.toFixed(1)} sq km of agricultural land converted to urban use. Zoning review needed.`,
-        icon: '🏗️',
-        items: urbanSprawl
-      });
-    }
-
-    // Rule 3: Dominance Logic (Planning Blind Spots)
-    const lowConfChanges = data.filter(d => d.confidence < 0.60);
-    if (lowConfChanges.length > 2) {
-      alerts.push({
-        type: 'low',
-        title: 'Data Gap Identified',
-        desc: `High uncertainty in ${lowConfChanges.length} regions. Satellite shadow or cloud cover suspected.`,
-        icon: '📡',
-        items: lowConfChanges
-      });
-    }
-
-    // Rule 4: Baseline Deviation Index (BDI)
-    if (trends && trends.builtUp && trends.builtUp.length >= 4) {
-       const vals = trends.builtUp;
-       const yrs = trends.years;
-       const n = vals.length;
-       
-       // Baseline: 2018 (idx 0) to 2022 (idx n-2)
-       const baselineStartIdx = 0;
-       const baselineEndIdx = n - 2;
-       const baselineYears = yrs[baselineEndIdx] - yrs[baselineStartIdx];
-       const baselineChange = vals[baselineEndIdx] - vals[baselineStartIdx];
-       const baselineRate = baselineChange / baselineYears; // Annual rate
-
-       // Recent: 2022 (idx n-2) to 2024 (idx n-1)
-       const recentYears = yrs[n-1] - yrs[n-2];
-       const recentChange = vals[n-1] - vals[n-2];
-       const recentRate = recentChange / recentYears;
-
-       // BDI Score
-       const bdi = baselineRate !== 0 ? (recentRate / baselineRate) : 0;
-       
-       if (bdi > 1.5) {
-          alerts.push({
-            type: 'high',
-            title: 'Abnormal Growth Spike',
-            desc: `ALERT: Urban expansion rate is ${bdi.toFixed(1)}x higher than historical baseline (2018-2022). Verify immediately.`,
-            icon: '⚡',
-            items: []
-          });
-       } else if (bdi > 1.2) {
-          alerts.push({
-             type: 'medium',
-             title: 'Growth Acceleration',
-             desc: `Urban growth is ${(bdi * 100 - 100).toFixed(0)}% faster than the 4-year average.`,
-             icon: '📈',
-             items: []
-          });
-       }
-    }
+  // DATA QUALITY SUMMARY
+  const dataQualityIssues = [
+    ...dataIssues.transitions.map(i => ({ ...i, file: dataSourceNames.transitions })),
+    ...dataIssues.timeSeries.map(i => ({ ...i, file: dataSourceNames.timeSeries }))
+  ];
+  const rejectedRowCount = new Set(dataQualityIssues.filter(i => i.severity === 'error').map(i => `${i.file}|${i.row}`)).size;
+  const flaggedRowCount = new Set(dataQualityIssues.filter(i => i.severity === 'warning').map(i => `${i.file}|${i.row}`)).size;
 
-    return alerts;
-  };
+  // GOVERNANCE ALERT ENGINE
+  // Rules are declarative JSON (see alertRules.js). trends: { years, byClass };
+  // history: every period's rows under the same filters, for multi-period rules.
+  const generateGovernanceAlerts = (data, trends, history = []) => (
+    evaluateAlertRules(alertRules, { records: data, history, trends, persona: activePersona })
+  );
 
   // PRIORITY INDEX LOGIC
-  const getPolicyWeight = (from, to) => {
-    // Persona-based weighting
-    if (activePersona === 'environmental_officer') {
-       if (from === 'Forest' || from === 'Water Body') return 3.0; // Higher weight for eco
-       return 1.0;
-    }
-    if (activePersona === 'urban_planner') {
-       if (to === 'Built-up') return 2.0; // Higher weight for urban
-       return 1.0;
-    }
-    // Default Policy Maker
-    if (from === 'Forest' && to === 'Built-up') return 1.5;
-    if (from === 'Water Body') return 2.0;
-    if (from === 'Agriculture' && to === 'Built-up') return 1.2;
-    return 1.0;
-  };
-
-  const prioritizedData = filteredData.map(d => {
-    const weight = getPolicyWeight(d.from, d.to);
+  // Persona-based weighting (see personas.js)
+  const prioritize = (rows) => rows.map(d => {
+    const weight = getPersonaWeight(persona, d);
     const score = (d.area_sq_km * d.confidence * weight).toFixed(1);
     return { ...d, impactScore: score, weight };
   }).sort((a,b) => b.impactScore - a.impactScore);
 
-  const governanceAlerts = generateGovernanceAlerts(filteredData, { builtUp: builtUpTrend, years: years });
+  const prioritizedData = prioritize(activeTransition
+    ? filteredData.filter(d => d.from === activeTransition.from && d.to === activeTransition.to)
+    : filteredData);
+
+  // LAND-COVER ACCOUNTING
+  // Uses the complete records (no confidence/scenario filters) so the books balance.
+  // Reconciliation needs the district time series, so it is skipped while a region is selected.
+  const transitionYears = [...new Set(data.map(d => d.year))].sort((a, b) => a - b);
+  const accountingYear = accountingPeriod ?? currentPeriodYear;
+  const accountingRecords = accountingYear === 'all' ? regionScopedData : regionScopedData.filter(d => d.year === accountingYear);
+  const classAccounting = computeClassAccounting(accountingRecords);
+  const reconciliation = activeRegion ? [] : reconcileWithTimeSeries(data, timeData);
+  const periodReconciliation = accountingYear === 'all' ? reconciliation : reconciliation.filter(r => r.year === accountingYear);
+  const reconciledNetByClass = periodReconciliation.reduce((acc, r) => {
+    if (!acc[r.cls]) acc[r.cls] = { reportedNet: 0, transitionNet: 0, reconciled: true };
+    acc[r.cls].reportedNet += r.reportedNet;
+    acc[r.cls].transitionNet += r.transitionNet;
+    acc[r.cls].reconciled = acc[r.cls].reconciled && r.reconciled;
+    return acc;
+  }, {});
+  const reconciliationMismatches = reconciliation.filter(r => !r.reconciled);
+
+  // TRANSITION MATRIX (change under the current filters + any supplied persistence)
+  const transitionMatrix = buildTransitionMatrix([
+    ...filteredData,
+    ...currentPeriodData.filter(d => d.from === d.to)
+  ]);
+
+  // Each alert carries a stable id and its lifecycle state; resolved alerts sink to the bottom
+  const ALERT_STATUS_ORDER = { open: 0, acknowledged: 1, resolved: 2 };
+  // Identity comes from the unfiltered change records, so changing the filters keeps each alert's handling
+  const isChange = (d) => d.from !== d.to;
+  const governanceAlerts = withAlertIdentity(
+     generateGovernanceAlerts(filteredData, activeSeries, regionScopedData.filter(passesViewFilters)),
+     activeRegion || 'district',
+     generateGovernanceAlerts(currentPeriodData.filter(isChange), activeSeries, regionScopedData.filter(isChange))
+  )
+     .map(a => ({ ...a, lifecycle: getAlertState(a, alertStates) }))
+     .sort((a, b) => ALERT_STATUS_ORDER[a.lifecycle.status] - ALERT_STATUS_ORDER[b.lifecycle.status]);
+  const openAlertCount = governanceAlerts.filter(a => a.lifecycle.status !== 'resolved').length;
+  const focusedAlertRaised = governanceAlerts.some(a => a.id === focusedAlertId);
+
+  // A linked alert is only raised once the data has loaded
+  useEffect(() => {
+    if (focusedAlertRaised) document.getElementById(`alert-${focusedAlertId}`)?.scrollIntoView?.({ block: 'center' });
+  }, [focusedAlertId, focusedAlertRaised]);
+
+  // REGIONAL COMPARISON (every engine rerun per region under the current persona & filters)
+  const regionComparison = regionIds.map(id => {
+     const regionRows = data.filter(d => d.region_id === id);
+     const series = deriveClassSeries(regionRows);
+     const regionFiltered = regionRows.filter(d => d.year === currentPeriodYear).filter(passesViewFilters);
+     const regionPriorities = prioritize(regionFiltered);
+     const alerts = generateGovernanceAlerts(regionFiltered, series, regionRows.filter(passesViewFilters));
+     return {
+        regionId: id,
+        area: regionFiltered.reduce((sum, d) => sum + d.area_sq_km, 0),
+        topPriority: regionPriorities[0] || null,
+        ecoRisk: getEcoRiskAssessment(series),
+        policyEval: getPolicyEvaluation(series),
+        futureProj: getFutureProjection(regionRows),
+        alerts
+     };
+  }).sort((a, b) => (parseFloat(b.topPriority?.impactScore) || 0) - (parseFloat(a.topPriority?.impactScore) || 0));
   
   // TRANSITION HEAT RANKING LOGIC
  
@@ -843,6 +1499,35 @@ function App() {
 
   const rankedData = getRankedData();
 
+  // DECISION LOG EXPORT (the ranked view with its derived columns and the settings behind it)
+  const handleExportDecisionLog = () => {
+    const log = buildDecisionLog(rankedData, {
+      decisionOf: (d) => getDecisionStatus(d.confidence).label,
+      trendOf: (d) => transitionTrends.find(t => t.transition === `${d.from} → ${d.to}`),
+      settings: {
+        exportedAt: new Date().toISOString(),
+        exportedBy: currentUser.username,
+        region: settings.region,
+        dataVersion: settings.dataVersion,
+        dataset: activeDatasetId === BUILTIN_DATASET_ID ? 'Built-in Sample' : datasets.find(d => d.id === activeDatasetId)?.name || activeDatasetId,
+        regionScope: activeRegion || 'district',
+        analysisYear: currentPeriodYear,
+        persona: persona.id,
+        scenario: activeScenario,
+        minConfidence,
+        transition: activeTransition ? `${activeTransition.from} → ${activeTransition.to}` : 'all',
+        rankMode,
+        thresholds: settings.thresholds
+      }
+    });
+    exportDecisionLog(log, decisionLogFormat)
+      .then(blob => {
+        downloadBlob(blob, decisionLogFileName(log, decisionLogFormat));
+        setDecisionLogError(null);
+      })
+      .catch(err => setDecisionLogError(`Export failed: ${err.message}`));
+  };
+
   // CHANGE STORY ENGINE
   const generateChangeStory = (data) => {
     if (!data || data.length === 0) return [{id:0, text:"No sufficient data.", icon:"?"}];
@@ -853,30 +1538,13 @@ function App() {
     const largestChange = [...data].sort((a,b) => parseFloat(b.area_sq_km) - parseFloat(a.area_sq_km))[0];
     if (!largestChange) return [{id:0, text:"Analyzing landscape changes...", icon:"⏳"}];
     
-    if (activePersona === 'urban_planner') {
-       const urbanGrowth = data.filter(d => d.to === 'Built-up').reduce((acc, c) => acc + parseFloat(c.area_sq_km), 0);
-       stories.push({
-         id: 1,
-         text: <span><strong>Urban Report:</strong> Total built-up expansion is <strong>{urbanGrowth.toFixed(1)} sq km</strong>. Focus infrastructure audit on {largestChange.to} zones.</span>,
-         icon: "🏗️"
-       });
-    } else if (activePersona === 'environmental_officer') {
-       const ecoLoss = data.filter(d => (d.from === 'Forest' || d.from === 'Water Body') && d.to !== 'Forest').reduce((acc, c) => acc + parseFloat(c.area_sq_km), 0);
-       stories.push({
-         id: 1,
-         text: <span><strong>Eco-Status:</strong> Critical loss of <strong>{ecoLoss.toFixed(1)} sq km</strong> in protected biomes. Immediate conservation orders recommended.</span>,
-         icon: "🌲"
-       });
-    } else {
-       // Policy Maker (Default)
-       if (largestChange) {
-        stories.push({
-          id: 1,
-          text: <span><strong>Executive Summary:</strong> Primary transition trend is <strong>{largestChange.from} → {largestChange.to}</strong> covering {largestChange.area_sq_km} sq km.</span>,
-          icon: "📉"
-        });
-       }
-    }
+    // **text** in the persona template is emphasised
+    const storyText = composeStory(persona, data, largestChange).split('**').map((part, i) => (i % 2 === 1 ? <strong key={i}>{part}</strong> : part));
+    stories.push({
+      id: 1,
+      text: <span><strong>{persona.story.label}:</strong> {storyText}</span>,
+      icon: persona.story.icon || "📉"
+    });
 
     return stories;
   };
@@ -888,39 +1556,140 @@ function App() {
   // FIELD SURVEY LOGIC
   const generateFieldSurveyTasks = (data) => {
     // Filter conditions:
-    // 1. Confidence < 0.75 (Uncertain) OR
-    // 2. High Impact Score (> 2.0) but moderate confidence (<0.85)
+    // 1. Confidence below the review threshold (Uncertain) OR
+    // 2. High Impact Score (> 2.0) but confidence below the act threshold
     return data
-      .filter(d => (d.confidence < 0.75 && parseFloat(d.area_sq_km) > 0.5) || (d.impactScore > 2.0 && d.confidence < 0.85))
+      .filter(d => (d.confidence < decisionThresholds.review && parseFloat(d.area_sq_km) > 0.5) || (d.impactScore > 2.0 && d.confidence < decisionThresholds.act))
       .sort((a,b) => b.area_sq_km - a.area_sq_km)
       .slice(0, 5) // Top 5
       .map(d => ({
         task: `Validate ${d.from} → ${d.to}`,
-        reason: d.confidence < 0.75 ? "Low model confidence due to spectral mixing" : "High-impact transition requires on-ground verification",
-        location: `${d.area_sq_km} sq km zone`,
-        priority: d.impactScore > 2.5 ? "High" : "Medium"
+        reason: d.confidence < decisionThresholds.review ? "Low model confidence due to spectral mixing" : "High-impact transition requires on-ground verification",
+        location: d.region_id ? `${d.area_sq_km} sq km zone in ${d.region_id}` : `${d.area_sq_km} sq km zone`,
+        priority: d.impactScore > 2.5 ? "High" : "Medium",
+        target: { year: d.year, from: d.from, to: d.to, region_id: d.region_id || null }
       }));
   };
 
   const surveyTasks = generateFieldSurveyTasks(prioritizedData);
 
+  const datasetSurveys = fieldSurveys.filter(s => s.datasetId === activeDatasetId);
+  const openSurveyFor = (target) => datasetSurveys.find(s => s.status === 'dispatched' && sameTarget(s.target, target));
+  // Targets already surveyed (or out in the field) are not suggested again
+  const pendingSuggestions = surveyTasks.filter(t => !datasetSurveys.some(s => sameTarget(s.target, t.target)));
+
+  // ACCURACY ASSESSMENT
+  // The sample is stratified by the latest mapped year, so its class areas weight the estimators
+  const latestMapYear = years[years.length - 1];
+  const mappedClassAreas = latestMapYear === undefined ? null : Object.fromEntries(LULC_CLASS_NAMES.map(cls => [
+    cls, parseFloat(timeData.find(d => d.year === latestMapYear && d.lulc_class === cls)?.area_sq_km) || 0
+  ]));
+  const accuracy = referenceSample ? assessAccuracy(referenceSample.samples, { mapAreas: mappedClassAreas }) : null;
+  const formatPct = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+  const formatCi = (ci, digits = 1, scale = 100) => (ci ? `${(ci[0] * scale).toFixed(digits)}–${(ci[1] * scale).toFixed(digits)}` : 'n/a');
+
+
+
+
+
+  // REPORT ARCHIVE
+  const activeDatasetName = activeDatasetId === BUILTIN_DATASET_ID
+     ? `${settings.region} (Built-in Sample)`
+     : datasets.find(d => d.id === activeDatasetId)?.name || activeDatasetId;
+
+  // The Planning Intelligence Report as currently shown, in snapshot form
+  const buildCurrentReport = () => ({
+     context: {
+        region: settings.region,
+        dataVersion: settings.dataVersion,
+        datasetId: activeDatasetId,
+        datasetName: activeDatasetName,
+        regionScope: activeRegion || null,
+        persona: { id: persona.id, name: persona.name },
+        scenario: activeScenario
+     },
+     thresholds: settings.thresholds,
+     narrative: { title: narrative.title, body: narrative.body },
+     metrics: {
+        urbanVelocity: urbanMetrics.velocity,
+        urbanStatus: urbanMetrics.status,
+        stabilityScore: urbanStability.score,
+        stabilityLabel: urbanStability.label,
+        topCpri: transitionTrends.length > 0 ? transitionTrends[0].cpri : '0.0'
+     },
+     alerts: governanceAlerts.map(a => ({ id: a.id, title: a.title, desc: a.desc, severity: a.type, icon: a.icon, status: a.lifecycle.status })),
+     actions: recommendedActions.map(a => ({ transition: a.transition, action: a.action, details: a.details, dept: a.dept, urgency: a.urgency })),
+     fieldTasks: surveyTasks.map(t => ({ task: t.task, reason: t.reason, priority: t.priority, status: openSurveyFor(t.target) ? 'dispatched' : 'pending' }))
+  });
+
+  // Charts are redrawn off-screen for the PDF, so the export works from any tab
+  const currentReportCharts = () => [
+     { title: 'Temporal Trends: Built-up Area and Forest Cover', data: trendChartData, options: trendChartOptions },
+     { title: `Land-Use Projection to ${projectionHorizon} (${activePolicyScenario.name})`, data: projectionChartData, options: projectionChartOptions },
+     ...(scenarioComparison.length > 0 ? [{ title: `Policy Scenario Comparison: ${comparisonClass}`, data: scenarioChartData, options: scenarioChartOptions }] : [])
+  ];
+
+  const handleDownloadPdf = (report, charts = []) => {
+    if (!can(currentUser, 'reports.publish')) return;
+    try {
+      buildReportPdf(report, { charts: charts.map(c => renderChartImage(c)) }).save(reportPdfFileName(report));
+      setPdfError(null);
+    } catch (err) {
+      setPdfError(`PDF export failed: ${err.message}`);
+    }
+  };
+
+  const handleArchiveReport = () => {
+    if (!can(currentUser, 'reports.publish')) return;
+    const next = archiveReport(buildCurrentReport(), currentUser);
+    if (!next) {
+      setArchiveError("Browser storage is full. Delete old reports and try again.");
+      return;
+    }
+    setArchivedReports(next);
+    setArchiveError(null);
+  };
 
+  const handleDeleteReport = (id) => {
+    if (!can(currentUser, 'reports.publish')) return;
+    const next = deleteReport(id);
+    if (!next) return;
+    setArchivedReports(next);
+    setCompareReportIds(ids => ids.filter(x => x !== id));
+    if (openArchivedId === id) selectArchivedReport(null);
+  };
 
+  // Keeps the two most recently ticked reports
+  const toggleCompareReport = (id) => {
+    setCompareReportIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id].slice(-2)));
+  };
 
+  const openArchivedReport = archivedReports.find(r => r.id === openArchivedId);
+  // Older snapshot on the left
+  const comparedReports = compareReportIds
+     .map(id => archivedReports.find(r => r.id === id))
+     .filter(Boolean)
+     .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const reportDiff = comparedReports.length === 2 ? diffReports(comparedReports[0], comparedReports[1]) : null;
 
   // REPORT GENERATOR STATE
 
 
   const ReportView = () => (
     <div className="report-overlay">
-       <button className="report-print-btn" onClick={() => window.print()}>🖨️ Print Report</button>
+       {canPublishReports && <button className="report-print-btn" onClick={() => handleDownloadPdf(buildCurrentReport(), currentReportCharts())}>⬇️ Download PDF</button>}
        <button className="report-close-btn" onClick={() => setReportOpen(false)}>×</button>
        <div className="report-paper">
+          {pdfError && (
+             <div className="no-print" style={{marginBottom: '15px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                {pdfError}
+             </div>
+          )}
           <div className="report-header-section">
              <h1 className="report-title">District Land Use Policy Report</h1>
-             <div className="report-subtitle">Actionable Intelligence for Master Plan 2030</div>
+             <div className="report-subtitle">Actionable Intelligence for Master Plan {settings.masterPlanYear}</div>
              <div className="report-meta">
-               Generated on: {new Date().toLocaleDateString()} | Scenario: {activeScenario.toUpperCase()} | Persona: {activePersona.replace('_', ' ').toUpperCase()} | Data: {SYSTEM_CONFIG.dataVersion}
+               Generated on: {new Date().toLocaleDateString()} | Scenario: {activeScenario.toUpperCase()} | Persona: {persona.name.toUpperCase()} | Data: {settings.dataVersion}
              </div>
           </div>
 
@@ -949,7 +1718,7 @@ function App() {
                          <td>{d.from} → {d.to}</td>
                          <td>{d.area_sq_km}</td>
                          <td><span className="report-badge">{d.impactScore > 2.0 ? 'HIGH' : 'MED'}</span></td>
-                         <td>{d.confidence < 0.75 ? 'Field Verification' : 'Policy Intervention'}</td>
+                         <td>{d.confidence < decisionThresholds.review ? 'Field Verification' : 'Policy Intervention'}</td>
                       </tr>
                    ))}
                 </tbody>
@@ -960,7 +1729,7 @@ function App() {
              <div className="report-section-title">3. Governance Alerts</div>
              <div className="report-content">
                 {governanceAlerts.length > 0 ? governanceAlerts.map((alert, i) => (
-                   <p key={i}><strong>{alert.icon} {alert.title}:</strong> {alert.desc}</p>
+                   <p key={i}><strong>{alert.icon} {alert.title}:</strong> {alert.desc}{alert.lifecycle.status === 'resolved' && <em> (Resolved: {alert.lifecycle.note})</em>}</p>
                 )) : <p>No critical alerts triggered for this dataset.</p>}
              </div>
           </div>
@@ -969,7 +1738,10 @@ function App() {
              <div className="report-section-title">4. Field Validation Tasks</div>
              <div className="report-content">
                 {surveyTasks.map((task, i) => (
-                   <p key={i}>[ ] <strong>{task.task}:</strong> {task.reason} (Priority: {task.priority})</p>
+                   <p key={i}>{openSurveyFor(task.target) ? '[→]' : '[ ]'} <strong>{task.task}:</strong> {task.reason} (Priority: {task.priority})</p>
+                ))}
+                {datasetSurveys.filter(s => s.status === 'completed').map(sv => (
+                   <p key={sv.id}>[✓] <strong>{sv.title}:</strong> {VERDICT_LABELS[sv.verdict]}{sv.observedClass ? ` (${sv.observedClass})` : ''}{sv.notes ? ` — ${sv.notes}` : ''}</p>
                 ))}
              </div>
           </div>
@@ -981,9 +1753,13 @@ function App() {
     </div>
   );
 
+  if (!currentUser) return <LoginScreen onSignIn={setCurrentUser} />;
+  if (!matchedRoute) return <Navigate to={{ pathname: routePath(route), search: location.search }} replace />;
+
   return (
     <div className="App">
        {reportOpen && <ReportView />}
+       {openArchivedReport && <ArchivedReport report={openArchivedReport} onClose={() => selectArchivedReport(null)} onDownloadPdf={canPublishReports ? () => handleDownloadPdf(openArchivedReport) : null} error={pdfError} />}
        {/* Sidebar Navigation logic remains same... */}
       <aside className="sidebar">
         <div className="logo-container">
@@ -991,25 +1767,25 @@ function App() {
           <div className="logo-text">LULC Analytics</div>
         </div>
         <nav className="nav-links">
-          <div className={`nav-item ${activeTab === 'dashboard' ? 'active' : ''}`} onClick={() => setActiveTab('dashboard')}>
+          <div className={`nav-item ${activeTab === 'dashboard' ? 'active' : ''}`} onClick={() => selectTab('dashboard')}>
             <span>Dashboard</span>
           </div>
-          <div className={`nav-item ${activeTab === 'reports' ? 'active' : ''}`} onClick={() => setActiveTab('reports')}>
+          <div className={`nav-item ${activeTab === 'reports' ? 'active' : ''}`} onClick={() => selectTab('reports')}>
              <span>Reports</span>
           </div>
-          <div className={`nav-item ${activeTab === 'map' ? 'active' : ''}`} onClick={() => setActiveTab('map')}>
+          <div className={`nav-item ${activeTab === 'map' ? 'active' : ''}`} onClick={() => selectTab('map')}>
              <span>Map View</span>
           </div>
-          <div className={`nav-item ${activeTab === 'settings' ? 'active' : ''}`} onClick={() => setActiveTab('settings')}>
+          <div className={`nav-item ${activeTab === 'settings' ? 'active' : ''}`} onClick={() => selectTab('settings')}>
              <span>Settings</span>
           </div>
         </nav>
         <div className="sidebar-footer">
           <div className="user-profile">
-            <div className="avatar">JD</div>
+            <div className="avatar">{getInitials(currentUser.name)}</div>
             <div className="user-info">
-              <h4>John Doe</h4>
-              <p>City Planner</p>
+              <h4>{currentUser.name}</h4>
+              <p>{ROLE_LABELS[currentUser.role]} • <button onClick={handleSignOut} style={{background: 'none', border: 'none', padding: 0, color: '#2563EB', cursor: 'pointer', fontSize: 'inherit'}}>Sign out</button></p>
             </div>
           </div>
         </div>
@@ -1022,39 +1798,53 @@ function App() {
         <header className="top-header">
           <div className="page-title">
             <h1>Decision Support System</h1>
-            <p><strong>Priority Action Dashboard</strong> • Tirupati District Master Plan 2030</p>
+            <p><strong>Priority Action Dashboard</strong> • {settings.region} Master Plan {settings.masterPlanYear}</p>
           </div>
           <div className="header-actions">
-            <button onClick={() => setActiveTab('reports')} style={{marginRight: '12px', background: '#4F46E5'}}>📄 Generate Report</button>
-            <button onClick={() => window.open("/transition_data.csv")}>Download Decision Log</button>
+            <button onClick={handleCopyLink} title="Copy a link that reopens this exact view" style={{marginRight: '12px', background: '#0F766E'}}>{linkCopied ? '✅ Link Copied' : '🔗 Copy Link'}</button>
+            <button onClick={() => selectTab('reports')} style={{marginRight: '12px', background: '#4F46E5'}}>📄 Generate Report</button>
+            <select
+               value={decisionLogFormat}
+               onChange={(e) => setDecisionLogFormat(e.target.value)}
+               aria-label="Decision log format"
+               style={{marginRight: '8px', padding: '12px 10px', borderRadius: '12px', border: '1px solid #CBD5E1', fontWeight: '600'}}
+            >
+               {Object.entries(DECISION_LOG_FORMATS).map(([id, f]) => <option key={id} value={id}>{f.label}</option>)}
+            </select>
+            <button onClick={handleExportDecisionLog} title={`${rankedData.length} transitions in the current view`}>Download Decision Log</button>
+            {decisionLogError && <div style={{marginTop: '6px', fontSize: '0.8rem', color: '#991B1B'}}>{decisionLogError}</div>}
           </div>
         </header>
 
+        {loadErrors.length > 0 && (
+           <div style={{marginBottom: '20px', padding: '10px 14px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '8px', color: '#991B1B', fontSize: '0.85rem'}}>
+              {loadErrors.map(message => <div key={message}>⚠️ {message}</div>)}
+              <div style={{marginTop: '4px', color: '#7F1D1D'}}>The dashboard stays empty until the data loads. Reload the page or upload a dataset.</div>
+           </div>
+        )}
+
+        {/* A linked region may come from another dataset or another browser's upload */}
+        {activeRegion && data.length > 0 && !regionIds.includes(activeRegion) && (
+           <div style={{marginBottom: '20px', padding: '10px 14px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '8px', color: '#991B1B', fontSize: '0.85rem'}}>
+              Region {activeRegion} is not in the active dataset, so nothing matches it.
+              <button className="rank-btn" onClick={() => selectRegion(null)} style={{marginLeft: '8px'}}>Show the whole district</button>
+           </div>
+        )}
+
         {activeTab === 'dashboard' && (
         <>
         {/* PLANNER PERSONAS MODE TOGGLE */}
-        <div className={`persona-toggle-container persona-${activePersona === 'urban_planner' ? 'urban' : activePersona === 'environmental_officer' ? 'eco' : 'policy'}`}>
-           <button 
-             className={`persona-btn ${activePersona === 'urban_planner' ? 'active' : ''}`}
-             onClick={() => setActivePersona('urban_planner')}
-           >
-             🏙️ Urban Planner
-             {activePersona === 'urban_planner' && <span className="persona-badge">Infrastructure Focus</span>}
-           </button>
-           <button 
-             className={`persona-btn ${activePersona === 'environmental_officer' ? 'active' : ''}`}
-             onClick={() => setActivePersona('environmental_officer')}
-           >
-             🌱 Environmental Officer
-             {activePersona === 'environmental_officer' && <span className="persona-badge">Conservation Focus</span>}
-           </button>
-           <button 
-             className={`persona-btn ${activePersona === 'policy_maker' ? 'active' : ''}`}
-             onClick={() => setActivePersona('policy_maker')}
-           >
-             🏛️ Policy Maker
-             {activePersona === 'policy_maker' && <span className="persona-badge">Action Focus</span>}
-           </button>
+        <div className={`persona-toggle-container persona-${persona.id}`}>
+           {personas.map(p => (
+              <button 
+                key={p.id}
+                className={`persona-btn ${persona.id === p.id ? 'active' : ''}`}
+                onClick={() => selectPersona(p.id)}
+              >
+                {p.icon} {p.name}
+                {persona.id === p.id && p.badge && <span className="persona-badge">{p.badge}</span>}
+              </button>
+           ))}
         </div>
 
         {/* SMART FILTERS & SCENARIOS */}
@@ -1096,13 +1886,30 @@ function App() {
                  {(minConfidence * 100).toFixed(0)}%
               </span>
            </div>
+           <div className="filter-group">
+              <span className="filter-label">Region:</span>
+              <select
+                 value={activeRegion || ''}
+                 onChange={(e) => selectRegion(e.target.value || null)}
+                 disabled={regionIds.length === 0}
+                 style={{padding: '6px 10px', borderRadius: '6px', border: '1px solid #CBD5E1', fontWeight: '600', color: '#1E293B'}}
+              >
+                 <option value="">All Regions (District)</option>
+                 {regionIds.map(id => <option key={id} value={id}>{id}</option>)}
+              </select>
+           </div>
         </div>
 
         {/* POLICY NOTE */}
         <div className="policy-note">
-           <strong>ℹ️ Governance Protocol:</strong> Showing {filteredData.length} active transitions. 
+           <strong>ℹ️ Governance Protocol:</strong> Showing {filteredData.length} active transitions{activeRegion ? ` in ${activeRegion}` : ''}. 
            {activeScenario === 'urban' && " Focused on Verified Urban Expansion."}
            {activeScenario === 'eco' && " Focused on Critical Environmental Loss."}
+           {activeRegion && (
+              <button onClick={() => selectRegion(null)} style={{marginLeft: '10px', fontSize: '0.75rem', padding: '2px 8px', borderRadius: '12px', border: '1px solid #CBD5E1', background: 'white', cursor: 'pointer'}}>
+                 📍 {activeRegion} ✕
+              </button>
+           )}
         </div>
 
         {/* DECISION SUMMARY PANEL */}
@@ -1133,6 +1940,101 @@ function App() {
            </div>
         </div>
 
+        {/* DATASET MANAGER */}
+        <div className="card" style={{marginBottom: '20px'}}>
+           <div className="card-header">
+              <h3 className="card-title">🗂️ Active Dataset</h3>
+              <div style={{display: 'flex', gap: '10px', alignItems: 'center'}}>
+                 <select
+                    value={activeDatasetId}
+                    onChange={(e) => selectDataset(e.target.value)}
+                    style={{padding: '6px 10px', borderRadius: '6px', border: '1px solid #CBD5E1', fontWeight: '600', color: '#1E293B'}}
+                 >
+                    <option value={BUILTIN_DATASET_ID}>{settings.region} (Built-in Sample)</option>
+                    {datasets.map(d => (
+                       <option key={d.id} value={d.id}>{d.name} • uploaded {new Date(d.uploadedAt).toLocaleDateString()}</option>
+                    ))}
+                 </select>
+                 {activeDatasetId !== BUILTIN_DATASET_ID && canUploadData && (
+                    <button
+                       onClick={() => handleDeleteDataset(activeDatasetId)}
+                       style={{fontSize: '0.8rem', color: '#991B1B', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', padding: '6px 10px', cursor: 'pointer'}}
+                    >
+                       🗑️ Remove
+                    </button>
+                 )}
+              </div>
+           </div>
+           {canUploadData ? (
+              <div
+                 onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                 onDragLeave={() => setIsDragging(false)}
+                 onDrop={(e) => { e.preventDefault(); setIsDragging(false); handleDatasetFiles(e.dataTransfer.files); }}
+                 style={{padding: '20px', textAlign: 'center', borderRadius: '8px', border: `2px dashed ${isDragging ? '#2563EB' : '#CBD5E1'}`, background: isDragging ? '#EFF6FF' : '#F8FAFC', fontSize: '0.9rem', color: '#475569', transition: 'all 0.2s'}}
+              >
+                 📥 Drop a transition CSV/JSON and, optionally, a time-series CSV here, or{' '}
+                 <label style={{color: '#2563EB', fontWeight: '600', cursor: 'pointer'}}>
+                    browse files
+                    <input type="file" multiple accept=".csv,.json" onChange={(e) => { handleDatasetFiles(e.target.files); e.target.value = ''; }} style={{display: 'none'}} />
+                 </label>
+                 <div style={{fontSize: '0.75rem', color: '#94A3B8', marginTop: '6px'}}>
+                    Parsed in your browser • Source: {dataSourceNames.transitions}{dataSourceNames.timeSeries ? ` + ${dataSourceNames.timeSeries}` : ' (no time series)'}
+                 </div>
+              </div>
+           ) : (
+              <div style={{fontSize: '0.75rem', color: '#94A3B8'}}>
+                 Source: {dataSourceNames.transitions}{dataSourceNames.timeSeries ? ` + ${dataSourceNames.timeSeries}` : ' (no time series)'} • Uploading data requires the Analyst role.
+              </div>
+           )}
+           {uploadError && (
+              <div style={{marginTop: '10px', padding: '10px', background: '#FEF2F2', borderRadius: '6px', border: '1px solid #FECACA', color: '#991B1B', fontSize: '0.85rem'}}>
+                 ⚠️ {uploadError}
+              </div>
+           )}
+        </div>
+
+        {/* DATA QUALITY REPORT */}
+        <div className="card" style={{marginBottom: '30px', borderLeft: `4px solid ${rejectedRowCount > 0 ? '#EF4444' : flaggedRowCount > 0 ? '#F59E0B' : '#10B981'}`}}>
+           <div className="card-header">
+              <h3 className="card-title">🧪 Data Quality Report</h3>
+              <span className="card-action">{rejectedRowCount} Rejected • {flaggedRowCount} Flagged</span>
+           </div>
+           {dataQualityIssues.length === 0 ? (
+              <div style={{fontSize: '0.9rem', color: '#065F46'}}>
+                 ✅ All {data.length} transition rows and {timeData.length} time-series rows passed schema validation.
+              </div>
+           ) : (
+              <div className="action-table-container">
+                 <table className="modern-table" style={{width: '100%'}}>
+                    <thead>
+                       <tr>
+                          <th>File</th>
+                          <th>Row</th>
+                          <th>Field</th>
+                          <th>Issue</th>
+                          <th>Outcome</th>
+                       </tr>
+                    </thead>
+                    <tbody>
+                       {dataQualityIssues.map((item, i) => (
+                          <tr key={i}>
+                             <td style={{fontFamily: 'monospace', fontSize: '0.8rem'}}>{item.file}</td>
+                             <td style={{fontWeight: 'bold'}}>{item.row}</td>
+                             <td style={{fontFamily: 'monospace', fontSize: '0.8rem'}}>{item.field}</td>
+                             <td>{item.message}</td>
+                             <td>
+                                <span style={{fontSize: '0.75rem', fontWeight: '700', color: item.severity === 'error' ? '#EF4444' : '#F59E0B'}}>
+                                   {item.severity === 'error' ? 'Rejected' : 'Flagged'}
+                                </span>
+                             </td>
+                          </tr>
+                       ))}
+                    </tbody>
+                 </table>
+              </div>
+           )}
+        </div>
+
          </> )}
          {activeTab === 'reports' && (
             <div className="report-container" style={{maxWidth: '800px', margin: '0 auto', background: 'white', padding: '40px', boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'}}>
@@ -1141,11 +2043,11 @@ function App() {
                <div style={{borderBottom: '2px solid #0F172A', paddingBottom: '20px', marginBottom: '30px', display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end'}}>
                   <div>
                      <h1 style={{fontSize: '2rem', fontWeight: '800', color: '#0F172A', margin: 0}}>Planning Intelligence Report</h1>
-                     <div style={{color: '#64748B', marginTop: '5px'}}>Official Strategic Briefing • {SYSTEM_CONFIG.region}</div>
+                     <div style={{color: '#64748B', marginTop: '5px'}}>Official Strategic Briefing • {settings.region}</div>
                   </div>
                   <div style={{textAlign: 'right'}}>
                      <div style={{fontSize: '0.9rem', fontWeight: 'bold'}}>Date: {new Date().toLocaleDateString()}</div>
-                     <div style={{fontSize: '0.8rem', color: '#94A3B8'}}>Ref: PLAN-2024-X8</div>
+                     <div style={{fontSize: '0.8rem', color: '#94A3B8'}}>Ref: {archivedReports[0] ? `Live view • last archived ${archivedReports[0].id}` : 'Live view • not archived'}</div>
                   </div>
                </div>
 
@@ -1217,7 +2119,15 @@ function App() {
                         <ul style={{fontSize: '0.85rem', color: '#475569', lineHeight: '1.6', paddingLeft: '20px', margin: 0}}>
                            <li><strong>Primary Source:</strong> Sentinel-2 Optical Imagery (10m resolution)</li>
                            <li><strong>Temporal Range:</strong> 2018-2024 (Annual Composite)</li>
-                           <li><strong>Validation:</strong> Ground-truthed against {decisionCounts.field} historic field survey points.</li>
+                           {accuracy ? (
+                              <li>
+                                 <strong>Validation:</strong> {accuracy.sampleCount} reference points ({referenceSample.fileName}).
+                                 Overall accuracy {formatPct(accuracy.overall)}, κ = {accuracy.kappa === null ? '—' : accuracy.kappa.toFixed(2)}
+                                 {accuracy.areaAdjusted && <>; area-adjusted {formatPct(accuracy.areaAdjusted.overall)} (95% CI {formatCi(accuracy.areaAdjusted.overallCi)}%)</>}.
+                              </li>
+                           ) : (
+                              <li><strong>Validation:</strong> Map accuracy not yet assessed. Import a reference sample below.</li>
+                           )}
                         </ul>
                      </div>
 
@@ -1225,12 +2135,112 @@ function App() {
                      <div>
                         <h4 style={{fontSize: '0.9rem', fontWeight: '700', color: '#334155', marginBottom: '10px'}}>🛡️ Uncertainty Handling</h4>
                         <div style={{fontSize: '0.85rem', color: '#475569', lineHeight: '1.6'}}>
-                           Transitions with <strong>&lt;75% confidence</strong> are automatically flagged for physical verification. <br/>
+                           Transitions with <strong>&lt;{(decisionThresholds.review * 100).toFixed(0)}% confidence</strong> are automatically flagged for physical verification. <br/>
                            The <strong>CPRI Score</strong> dampens low-confidence signals to prevent false positives in policy making.
                         </div>
                      </div>
                   </div>
 
+                  {/* ACCURACY ASSESSMENT */}
+                  <div style={{marginTop: '25px'}}>
+                     <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px'}}>
+                        <h4 style={{fontSize: '0.9rem', fontWeight: '700', color: '#334155', margin: 0}}>🎯 Map Accuracy Assessment</h4>
+                        {canUploadData && <div className="no-print" style={{display: 'flex', gap: '8px', alignItems: 'center'}}>
+                           <label className="rank-btn" style={{cursor: 'pointer'}}>
+                              📂 {referenceSample ? 'Replace' : 'Import'} reference sample
+                              <input type="file" accept=".csv" onChange={(e) => { handleReferenceFile(e.target.files[0]); e.target.value = ''; }} style={{display: 'none'}} />
+                           </label>
+                           {referenceSample && <button className="rank-btn" onClick={handleRemoveReference}>Remove</button>}
+                        </div>}
+                     </div>
+                     {referenceError && (
+                        <div className="no-print" style={{padding: '10px', marginBottom: '10px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                           {referenceError}
+                        </div>
+                     )}
+                     {!accuracy ? (
+                        <div style={{fontSize: '0.85rem', color: '#64748B'}}>
+                           Import a CSV with <code>predicted_class</code>, <code>observed_class</code> and an optional <code>weight</code> column to report the confusion matrix, Cohen's kappa and per-class accuracy.
+                        </div>
+                     ) : (
+                        <>
+                           <div style={{fontSize: '0.8rem', color: '#64748B', marginBottom: '10px'}}>
+                              {accuracy.sampleCount} points from <strong>{referenceSample.fileName}</strong>, imported {new Date(referenceSample.importedAt).toLocaleDateString()}
+                              {referenceSample.issues.length > 0 && <> • {referenceSample.issues.length} rows rejected (e.g. row {referenceSample.issues[0].row}: {referenceSample.issues[0].message})</>}
+                           </div>
+
+                           {/* Confusion matrix: rows are the map, columns the reference */}
+                           <table style={{width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem', marginBottom: '15px'}}>
+                              <thead>
+                                 <tr style={{background: '#F1F5F9'}}>
+                                    <th style={{padding: '6px', textAlign: 'left', borderBottom: '2px solid #E2E8F0'}}>Map ↓ / Reference →</th>
+                                    {accuracy.matrix.classes.map(c => <th key={c} style={{padding: '6px', textAlign: 'right', borderBottom: '2px solid #E2E8F0'}}>{c}</th>)}
+                                    <th style={{padding: '6px', textAlign: 'right', borderBottom: '2px solid #E2E8F0'}}>Total</th>
+                                 </tr>
+                              </thead>
+                              <tbody>
+                                 {accuracy.matrix.classes.map(p => (
+                                    <tr key={p} style={{borderBottom: '1px solid #E2E8F0'}}>
+                                       <td style={{padding: '6px', fontWeight: '600'}}>{p}</td>
+                                       {accuracy.matrix.classes.map(o => (
+                                          <td key={o} style={{padding: '6px', textAlign: 'right', background: p === o ? '#ECFDF5' : 'transparent', fontWeight: p === o ? '700' : '400'}}>
+                                             {+accuracy.matrix.counts[p][o].toFixed(2)}
+                                          </td>
+                                       ))}
+                                       <td style={{padding: '6px', textAlign: 'right', color: '#64748B'}}>{+accuracy.matrix.rowTotals[p].toFixed(2)}</td>
+                                    </tr>
+                                 ))}
+                                 <tr style={{color: '#64748B'}}>
+                                    <td style={{padding: '6px', fontWeight: '600'}}>Total</td>
+                                    {accuracy.matrix.classes.map(o => <td key={o} style={{padding: '6px', textAlign: 'right'}}>{+accuracy.matrix.colTotals[o].toFixed(2)}</td>)}
+                                    <td style={{padding: '6px', textAlign: 'right', fontWeight: '700'}}>{+accuracy.matrix.total.toFixed(2)}</td>
+                                 </tr>
+                              </tbody>
+                           </table>
+
+                           {/* Per-class accuracy; area-adjusted figures need the mapped class areas */}
+                           <table style={{width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem'}}>
+                              <thead>
+                                 <tr style={{background: '#F1F5F9', textAlign: 'right'}}>
+                                    <th style={{padding: '6px', textAlign: 'left', borderBottom: '2px solid #E2E8F0'}}>Class</th>
+                                    <th style={{padding: '6px', borderBottom: '2px solid #E2E8F0'}}>User's</th>
+                                    <th style={{padding: '6px', borderBottom: '2px solid #E2E8F0'}}>Producer's</th>
+                                    {accuracy.areaAdjusted && <>
+                                       <th style={{padding: '6px', borderBottom: '2px solid #E2E8F0'}}>User's 95% CI</th>
+                                       <th style={{padding: '6px', borderBottom: '2px solid #E2E8F0'}}>Producer's (area-adj.)</th>
+                                       <th style={{padding: '6px', borderBottom: '2px solid #E2E8F0'}}>Mapped km²</th>
+                                       <th style={{padding: '6px', borderBottom: '2px solid #E2E8F0'}}>Estimated km² (95% CI)</th>
+                                    </>}
+                                 </tr>
+                              </thead>
+                              <tbody>
+                                 {accuracy.matrix.classes.map(c => {
+                                    const adjusted = accuracy.areaAdjusted?.perClass[c];
+                                    return (
+                                       <tr key={c} style={{borderBottom: '1px solid #E2E8F0', textAlign: 'right'}}>
+                                          <td style={{padding: '6px', textAlign: 'left', fontWeight: '600'}}>{c}</td>
+                                          <td style={{padding: '6px'}}>{formatPct(accuracy.perClass[c].users)}</td>
+                                          <td style={{padding: '6px'}}>{formatPct(accuracy.perClass[c].producers)}</td>
+                                          {adjusted && <>
+                                             <td style={{padding: '6px', color: '#64748B'}}>{formatCi(adjusted.usersCi)}</td>
+                                             <td style={{padding: '6px'}}>{formatPct(adjusted.producers)} <span style={{color: '#64748B'}}>({formatCi(adjusted.producersCi)})</span></td>
+                                             <td style={{padding: '6px'}}>{adjusted.mappedArea.toFixed(1)}</td>
+                                             <td style={{padding: '6px'}}>{adjusted.estimatedArea.toFixed(1)} <span style={{color: '#64748B'}}>({formatCi(adjusted.estimatedAreaCi, 1, 1)})</span></td>
+                                          </>}
+                                       </tr>
+                                    );
+                                 })}
+                              </tbody>
+                           </table>
+                           <div style={{fontSize: '0.75rem', color: '#94A3B8', marginTop: '8px'}}>
+                              {accuracy.areaAdjusted
+                                 ? `Area-adjusted estimates treat the sample as stratified by the ${latestMapYear} map (Olofsson et al., 2014). Intervals are n/a for classes with fewer than two sample points.`
+                                 : 'No time-series class areas are loaded, so only sample-based accuracies are shown.'}
+                           </div>
+                        </>
+                     )}
+                  </div>
+
                   <div style={{marginTop: '20px', background: '#F0F9FF', padding: '15px', borderRadius: '6px', border: '1px solid #BAE6FD'}}>
                      <div style={{display: 'flex', gap: '10px', alignItems: 'flex-start'}}>
                         <span style={{fontSize: '1.2rem'}}>ℹ️</span>
@@ -1243,12 +2253,29 @@ function App() {
 
                {/* FOOTER ACTIONS */}
                <div className="no-print" style={{textAlign: 'center', marginTop: '40px', paddingTop: '20px', borderTop: '1px solid #E2E8F0'}}>
-                  <button 
-                     onClick={() => window.print()}
-                     style={{padding: '12px 24px', background: '#0F172A', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontWeight: '600', display: 'inline-flex', alignItems: 'center', gap: '8px'}}
-                  >
-                     <span>🖨️</span> Print / Download PDF
-                  </button>
+                  {canPublishReports ? (
+                     <div style={{display: 'inline-flex', gap: '10px'}}>
+                        <button 
+                           onClick={() => handleDownloadPdf(buildCurrentReport(), currentReportCharts())}
+                           style={{padding: '12px 24px', background: '#0F172A', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontWeight: '600', display: 'inline-flex', alignItems: 'center', gap: '8px'}}
+                        >
+                           <span>⬇️</span> Download PDF
+                        </button>
+                        <button
+                           onClick={handleArchiveReport}
+                           style={{padding: '12px 24px', background: '#4F46E5', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontWeight: '600', display: 'inline-flex', alignItems: 'center', gap: '8px'}}
+                        >
+                           <span>📂</span> Archive Snapshot
+                        </button>
+                     </div>
+                  ) : (
+                     <span style={{fontSize: '0.85rem', color: '#94A3B8'}}>Publishing reports requires the Administrator role.</span>
+                  )}
+                  {pdfError && (
+                     <div style={{marginTop: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                        {pdfError}
+                     </div>
+                  )}
                </div>
 
             </div>
@@ -1321,8 +2348,8 @@ function App() {
                     
                     <div style={{display: 'flex', alignItems: 'flex-end', gap: '4px', height: '40px', marginBottom: '8px', borderBottom: '1px solid #E2E8F0', paddingBottom: '2px'}}>
                        {item.history.map((h, idx) => {
-                          const max = Math.max(...item.history.map(d=>d.area));
-                          const hgt = (h.area / max) * 100;
+                          const max = Math.max(...item.history.map(d=>d.area_sq_km));
+                          const hgt = (h.area_sq_km / max) * 100;
                           return (
                              <div key={idx} style={{
                                 flex: 1, 
@@ -1330,7 +2357,7 @@ function App() {
                                 background: idx === item.history.length-1 ? item.trendColor : '#CBD5E1', 
                                 borderRadius: '2px 2px 0 0',
                                 position: 'relative'
-                             }} title={`${h.year}: ${h.area} sq km`}>
+                             }} title={`${h.year}: ${h.area_sq_km} sq km`}>
                              </div>
                           )
                        })}
@@ -1349,33 +2376,217 @@ function App() {
            <div className="card">
               <div className="card-header">
                 <h3 className="card-title">⚠️ Governance Alerts</h3>
+                <span className="card-action">{openAlertCount} open</span>
               </div>
+              {alertActionError && (
+                <div style={{marginBottom: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                  {alertActionError}
+                </div>
+              )}
+              {focusedAlertId && !focusedAlertRaised && loadedData.length > 0 && (
+                <div style={{marginBottom: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                  The linked alert is not raised for the current data and view.
+                  <button className="rank-btn" onClick={() => selectAlert(null)} style={{marginLeft: '8px'}}>Dismiss</button>
+                </div>
+              )}
               <div className="insights-feed">
-                {governanceAlerts.map((alert, i) => (
-                  <div key={i} className={`insight-item alert-risk-${alert.type === 'high' ? 'high' : alert.type === 'medium' ? 'medium' : 'low'}`} 
-                       style={{padding: '15px', borderRadius: '8px', borderLeftWidth: '5px', marginBottom: '10px'}}>
+                {governanceAlerts.map((alert) => (
+                  <div key={alert.id} id={`alert-${alert.id}`} className={`insight-item alert-risk-${alert.type === 'high' ? 'high' : alert.type === 'medium' ? 'medium' : 'low'}`} 
+                       style={{padding: '15px', borderRadius: '8px', borderLeftWidth: '5px', marginBottom: '10px', opacity: alert.lifecycle.status === 'resolved' ? 0.6 : 1, outline: alert.id === focusedAlertId ? '2px solid #4F46E5' : 'none'}}>
                     <div className="insight-icon" style={{background: 'transparent', fontSize: '1.5rem'}}>{alert.icon}</div>
                     <div className="insight-content">
-                      <h4 style={{display: 'flex', alignItems: 'center'}}>
-                        {alert.title} 
+                      <h4 style={{display: 'flex', alignItems: 'center', gap: '8px'}}>
+                        <span
+                          onClick={() => selectAlert(alert.id === focusedAlertId ? null : alert.id)}
+                          title={alert.id === focusedAlertId ? 'Close alert detail' : 'Open alert detail (linkable)'}
+                          style={{cursor: 'pointer'}}
+                        >
+                          {alert.title}
+                        </span>
+                        <span style={{fontSize: '0.65rem', fontWeight: '600', color: '#64748B', background: '#F1F5F9', padding: '2px 6px', borderRadius: '4px', fontFamily: 'monospace'}}>rule: {alert.ruleId}</span>
                       </h4>
                       <p style={{color: '#4B5563', fontSize: '0.85rem'}}>{alert.desc}</p>
+                      {alert.items.length > 0 && (
+                        <details open={alert.id === focusedAlertId} style={{marginTop: '6px', fontSize: '0.8rem', color: '#475569'}}>
+                          <summary style={{cursor: 'pointer', fontWeight: '600'}}>{alert.items.length} matching record{alert.items.length === 1 ? '' : 's'}</summary>
+                          <ul style={{margin: '6px 0 0 18px', padding: 0}}>
+                            {alert.items.map((d, k) => (
+                              <li key={k}>{d.year} • {d.from} → {d.to} • {d.area_sq_km} km² • {(d.confidence * 100).toFixed(0)}%{d.region_id ? ` • ${d.region_id}` : ''}</li>
+                            ))}
+                          </ul>
+                        </details>
+                      )}
+
+                      {/* LIFECYCLE */}
+                      <div style={{display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap', marginTop: '8px', fontSize: '0.75rem'}}>
+                        <span style={{fontWeight: '700', textTransform: 'uppercase', color: alert.lifecycle.status === 'resolved' ? '#065F46' : alert.lifecycle.status === 'acknowledged' ? '#1D4ED8' : '#B91C1C'}}>
+                          {alert.lifecycle.status}
+                        </span>
+                        {alert.lifecycle.assignee && <span style={{color: '#475569'}}>→ {alert.lifecycle.assignee}</span>}
+                        {alert.lifecycle.dataChanged && <span style={{color: '#B45309', fontWeight: '600'}}>Reopened: data changed since resolution</span>}
+                        {canResolveAlerts && alert.lifecycle.status === 'open' && (
+                          <button className="rank-btn" onClick={() => handleAlertAction(alert, 'acknowledge')}>Acknowledge</button>
+                        )}
+                        {canResolveAlerts && alert.lifecycle.status !== 'resolved' && (
+                          <>
+                            <select
+                              value={alert.lifecycle.assignee || ''}
+                              onChange={(e) => e.target.value && handleAlertAction(alert, 'assign', { assignee: e.target.value })}
+                              style={{fontSize: '0.75rem', padding: '2px 4px', borderRadius: '4px', border: '1px solid #CBD5E1'}}
+                            >
+                              <option value="">Assign to…</option>
+                              {ALERT_DEPARTMENTS.map(dept => <option key={dept} value={dept}>{dept}</option>)}
+                            </select>
+                            <button className="rank-btn" onClick={() => setResolvingAlert({ id: alert.id, note: '' })}>Resolve</button>
+                          </>
+                        )}
+                        {alert.lifecycle.status === 'resolved' && (
+                          <>
+                            <span style={{color: '#475569'}}>“{alert.lifecycle.note}”</span>
+                            {canResolveAlerts && <button className="rank-btn" onClick={() => handleAlertAction(alert, 'reopen')}>Reopen</button>}
+                          </>
+                        )}
+                      </div>
+                      {resolvingAlert?.id === alert.id && (
+                        <div style={{display: 'flex', gap: '6px', marginTop: '6px'}}>
+                          <input
+                            type="text"
+                            autoFocus
+                            placeholder="Resolution note (required)"
+                            value={resolvingAlert.note}
+                            onChange={(e) => setResolvingAlert({ id: alert.id, note: e.target.value })}
+                            style={{flex: 1, fontSize: '0.8rem', padding: '4px 8px', borderRadius: '4px', border: '1px solid #CBD5E1'}}
+                          />
+                          <button className="rank-btn active" onClick={() => handleAlertAction(alert, 'resolve', { note: resolvingAlert.note })}>Save</button>
+                          <button className="rank-btn" onClick={() => setResolvingAlert(null)}>Cancel</button>
+                        </div>
+                      )}
                     </div>
                   </div>
                 ))}
                 {governanceAlerts.length === 0 && <p style={{textAlign:'center', color:'#9ca3af', padding:'20px'}}>No critical risks detected.</p>}
               </div>
+
+              {/* AUDIT LOG */}
+              {alertAudit.length > 0 && (
+                <details style={{marginTop: '10px', fontSize: '0.8rem', color: '#475569'}}>
+                  <summary style={{cursor: 'pointer', fontWeight: '600'}}>📜 Audit log ({alertAudit.length})</summary>
+                  <table className="modern-table" style={{width: '100%', marginTop: '6px'}}>
+                    <thead>
+                      <tr><th>When</th><th>Alert</th><th>Action</th><th>Detail</th><th>By</th></tr>
+                    </thead>
+                    <tbody>
+                      {alertAudit.slice(0, 50).map((e, k) => (
+                        <tr key={k}>
+                          <td style={{whiteSpace: 'nowrap'}}>{new Date(e.at).toLocaleString()}</td>
+                          <td title={e.alertId}>{e.title}</td>
+                          <td style={{textTransform: 'capitalize'}}>{e.action}</td>
+                          <td>{e.detail || '—'}</td>
+                          <td>{e.by || '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </details>
+              )}
            </div>
         </div>
 
         {/* SECTION 2: ANALYTICS & RANKING */}
         <h3 className="section-label" style={{marginTop: '30px'}}>2. Data & Prioritization</h3>
+
+        {/* TRANSITION MATRIX HEATMAP */}
+        <div className="card" style={{marginBottom: '30px'}}>
+           <div className="card-header">
+              <h3 className="card-title">🧮 Transition Matrix ({currentPeriodYear})</h3>
+              <span className="card-action">{transitionMatrix.classes.length}×{transitionMatrix.classes.length} From/To</span>
+           </div>
+           <TransitionHeatmap matrix={transitionMatrix} selected={activeTransition} onSelectCell={selectTransition} />
+        </div>
+
+        {/* LAND-COVER ACCOUNTING */}
+        <div className="card" style={{marginBottom: '30px'}}>
+           <div className="card-header">
+              <h3 className="card-title">📒 Land-Cover Accounting</h3>
+              <div style={{display: 'flex', gap: '10px', alignItems: 'center'}}>
+                 {activeRegion && <span className="card-action">📍 {activeRegion}</span>}
+                 <select
+                    value={accountingYear}
+                    onChange={(e) => setAccountingPeriod(e.target.value === 'all' ? 'all' : parseInt(e.target.value, 10))}
+                    style={{padding: '4px 8px', borderRadius: '6px', border: '1px solid #CBD5E1', fontWeight: '600'}}
+                 >
+                    {transitionYears.map(y => <option key={y} value={y}>Period ending {y}</option>)}
+                    <option value="all">All periods</option>
+                 </select>
+              </div>
+           </div>
+           <div className="action-table-container">
+              <table className="modern-table" style={{width: '100%'}}>
+                 <thead>
+                    <tr>
+                       <th>Class</th>
+                       <th>Gross Gain</th>
+                       <th>Gross Loss</th>
+                       <th>Net Change</th>
+                       <th>Swap</th>
+                       <th>Total Change</th>
+                       <th>Reported Net (Time Series)</th>
+                       <th>Reconciliation</th>
+                    </tr>
+                 </thead>
+                 <tbody>
+                    {classAccounting.rows.map(r => {
+                       const rec = reconciledNetByClass[r.cls];
+                       return (
+                          <tr key={r.cls}>
+                             <td style={{fontWeight: 'bold'}}>{r.cls}</td>
+                             <td style={{color: '#10B981'}}>+{r.gain.toFixed(1)}</td>
+                             <td style={{color: '#EF4444'}}>−{r.loss.toFixed(1)}</td>
+                             <td style={{fontWeight: 'bold', color: r.net > 0 ? '#10B981' : r.net < 0 ? '#EF4444' : '#64748B'}}>{r.net > 0 ? '+' : ''}{r.net.toFixed(1)}</td>
+                             <td>{r.swap.toFixed(1)}</td>
+                             <td>{r.totalChange.toFixed(1)}</td>
+                             <td>{rec ? `${rec.reportedNet > 0 ? '+' : ''}${rec.reportedNet.toFixed(1)}` : <span style={{color: '#9CA3AF'}}>n/a</span>}</td>
+                             <td>
+                                {rec ? (
+                                   <span style={{fontSize: '0.8rem', fontWeight: '700', color: rec.reconciled ? '#10B981' : '#EF4444'}}>
+                                      {rec.reconciled ? '✓ Reconciled' : `⚠ Gap ${(rec.transitionNet - rec.reportedNet) > 0 ? '+' : ''}${(rec.transitionNet - rec.reportedNet).toFixed(1)}`}
+                                   </span>
+                                ) : <span style={{color: '#9CA3AF'}}>—</span>}
+                             </td>
+                          </tr>
+                       );
+                    })}
+                 </tbody>
+              </table>
+           </div>
+           <div style={{marginTop: '12px', display: 'flex', gap: '20px', flexWrap: 'wrap', fontSize: '0.8rem', color: '#475569'}}>
+              <span><strong>Landscape change:</strong> {classAccounting.totalChange.toFixed(1)} km²</span>
+              <span><strong>Net component:</strong> {classAccounting.totalNet.toFixed(1)} km²</span>
+              <span><strong>Swap component:</strong> {classAccounting.totalSwap.toFixed(1)} km²</span>
+           </div>
+           <div style={{marginTop: '10px', padding: '10px', borderRadius: '6px', fontSize: '0.8rem', background: reconciliationMismatches.length > 0 ? '#FEF2F2' : '#F0FDF4', color: reconciliationMismatches.length > 0 ? '#991B1B' : '#065F46'}}>
+              {activeRegion
+                 ? 'Reconciliation is district-level only: the time series has no region breakdown.'
+                 : reconciliation.length === 0
+                    ? 'No overlapping periods between the transition records and the time series to reconcile.'
+                    : reconciliationMismatches.length > 0
+                       ? <span><strong>Audit:</strong> {reconciliationMismatches.length} of {reconciliation.length} class-periods disagree. Largest gap: {(() => { const worst = [...reconciliationMismatches].sort((a, b) => Math.abs(b.discrepancy) - Math.abs(a.discrepancy))[0]; return `${worst.cls} ${worst.startYear}–${worst.year} (${worst.discrepancy > 0 ? '+' : ''}${worst.discrepancy.toFixed(1)} km²)`; })()}.</span>
+                       : `All ${reconciliation.length} class-periods reconcile within tolerance (0.5 km² or 5%).`}
+           </div>
+        </div>
+
         <div className="content-grid">
            {/* PRIORITY INDEX CARD */}
            <div className="card">
               <div className="card-header">
                 <h3 className="card-title">🔥 Priority Index</h3>
-                <span className="card-action">Top Impacts</span>
+                {activeTransition ? (
+                   <button onClick={() => selectTransition(null)} style={{fontSize: '0.75rem', padding: '2px 8px', borderRadius: '12px', border: '1px solid #CBD5E1', background: 'white', cursor: 'pointer'}}>
+                      {activeTransition.from} → {activeTransition.to} ✕
+                   </button>
+                ) : (
+                   <span className="card-action">Top Impacts</span>
+                )}
               </div>
               <div className="priority-list">
                 {prioritizedData.slice(0, 4).map((d, i) => (
@@ -1383,7 +2594,14 @@ function App() {
                     <div className="priority-rank">#{i + 1}</div>
                     <div className="priority-details">
                        <h4>{d.from} → {d.to}</h4>
-                       <p>{d.area_sq_km} sq km • {(d.confidence * 100).toFixed(0)}% Conf.</p>
+                       <p>
+                          {d.area_sq_km} sq km • {(d.confidence * 100).toFixed(0)}% Conf.{d.metadata?.growth_type && ` • ${d.metadata.growth_type}`}
+                          {d.fieldVerdict && (
+                             <span title={`Model confidence ${(d.modelConfidence * 100).toFixed(0)}%`} style={{marginLeft: '6px', fontWeight: '700', color: d.fieldVerdict.confirmed > d.fieldVerdict.rejected ? '#059669' : '#DC2626'}}>
+                                {d.fieldVerdict.confirmed > d.fieldVerdict.rejected ? '✔ Field-verified' : '✖ Disputed on ground'}
+                             </span>
+                          )}
+                       </p>
                     </div>
                     <div className="impact-score-box">
                        <span className="impact-score-val">{d.impactScore}</span>
@@ -1450,8 +2668,13 @@ function App() {
            <div className="card">
               <div className="card-header">
                 <h3 className="card-title">🌱 Ecological Pulse</h3>
-                <span className="card-action">Long-term Risk</span>
+                <span className="card-action">{activeRegion ? `📍 ${activeRegion}` : 'Long-term Risk'}</span>
               </div>
+              {activeSeries.isDerived && (
+                 <div style={{fontSize: '0.75rem', color: '#64748B', marginBottom: '5px'}}>
+                    Regional figures are net change since {activeSeries.years[0]}, rebuilt from transition records.
+                 </div>
+              )}
               
               <div style={{display: 'flex', flexDirection: 'column', gap: '20px', padding: '10px 0'}}>
                   {/* SUMMARY HEADER */}
@@ -1497,7 +2720,7 @@ function App() {
            <div className="card">
               <div className="card-header">
                 <h3 className="card-title">⚖️ Policy Effectiveness</h3>
-                <span className="card-action">Pre vs Post (2022)</span>
+                <span className="card-action">{activeRegion ? `📍 ${activeRegion}` : 'Pre vs Post (2022)'}</span>
               </div>
               
               <div style={{padding: '10px 0'}}>
@@ -1534,44 +2757,57 @@ function App() {
            {/* FUTURE FORECAST CARD */}
            <div className="card">
               <div className="card-header">
-                <h3 className="card-title">🔮 Future Forecast (2026)</h3>
-                <span className="card-action">Estimated Trend</span>
+                <h3 className="card-title">🔮 Future Forecast ({futureProj?.targetYear ?? projectionYear})</h3>
+                <span className="card-action">{activeRegion ? `📍 ${activeRegion}` : 'Estimated Trend'}</span>
               </div>
               
               <div style={{padding: '10px 0'}}>
                  <div style={{fontSize: '0.9rem', color: '#64748B', marginBottom: '20px'}}>
-                    Projected urban footprint based on current trend & policy intervention.
+                    Projected urban footprint from the Markov transition model & policy intervention.
                  </div>
 
-                 {/* SCENARIO SLIDER */}
+                 {/* POLICY SCENARIO PICKER */}
                  <div style={{background: '#FAF5FF', padding: '15px', borderRadius: '8px', border: '1px solid #E9D5FF', marginBottom: '20px'}}>
-                    <div style={{display: 'flex', justifyContent: 'space-between', marginBottom: '10px'}}>
-                       <span style={{fontWeight: '700', color: '#6B21A8', fontSize: '0.9rem'}}>🎛️ Policy Strictness</span>
-                       <span style={{fontWeight: '700', color: '#9333EA'}}>{policyIntensity}%</span>
+                    <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px'}}>
+                       <span style={{fontWeight: '700', color: '#6B21A8', fontSize: '0.9rem'}}>🎛️ Policy Scenario</span>
+                       <select
+                          value={activePolicyScenario.id}
+                          onChange={(e) => setActivePolicyScenarioId(e.target.value)}
+                          style={{padding: '4px 8px', borderRadius: '6px', border: '1px solid #D8B4FE', fontWeight: '600', color: '#6B21A8'}}
+                       >
+                          {policyScenarios.map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+                       </select>
                     </div>
-                    <input 
-                       type="range" 
-                       min="0" max="100" 
-                       value={policyIntensity} 
-                       onChange={(e) => setPolicyIntensity(parseInt(e.target.value))}
-                       style={{width: '100%', cursor: 'pointer', accentColor: '#9333EA'}}
-                    />
-                    <div style={{display: 'flex', justifyContent: 'space-between', marginTop: '5px', fontSize: '0.75rem', color: '#7E22CE'}}>
-                       <span>Business as Usual</span>
-                       <span>Max Regulation</span>
+                    <div style={{fontSize: '0.75rem', color: '#7E22CE'}}>
+                       {activePolicyScenario.description || `${activePolicyScenario.modifiers.length} rate modifier(s)`}
                     </div>
                  </div>
 
-                 <div style={{background: futureProj?.reduction ? '#F0FDF4' : '#EFF6FF', borderRadius: '12px', padding: '20px', textAlign: 'center', border: `1px solid ${futureProj?.reduction ? '#BBF7D0' : '#DBEAFE'}`, marginBottom: '20px'}}>
+                 <div style={{background: futureProj?.scenario ? '#F0FDF4' : '#EFF6FF', borderRadius: '12px', padding: '20px', textAlign: 'center', border: `1px solid ${futureProj?.scenario ? '#BBF7D0' : '#DBEAFE'}`, marginBottom: '20px'}}>
                     <div style={{fontSize: '0.9rem', color: '#4B5563', fontWeight: '600', textTransform: 'uppercase', letterSpacing: '1px'}}>
-                       {futureProj?.reduction ? 'SCENARIO OUTCOME' : 'PROJECTED AREA'}
-                    </div>
-                    <div style={{fontSize: '2.5rem', fontWeight: '800', color: '#1E3A8A', margin: '5px 0'}}>
-                       {futureProj?.projectedArea} <span style={{fontSize: '1rem', color: '#60A5FA'}}>sq km</span>
-                    </div>
-                    <div style={{fontSize: '0.9rem', color: futureProj?.color, fontWeight: '700'}}>
-                       +{futureProj?.increase} sq km from 2024
+                       {futureProj?.scenario ? 'SCENARIO OUTCOME' : 'PROJECTED AREA'}
                     </div>
+                    {futureProj ? (
+                       <>
+                          <div style={{fontSize: '2.5rem', fontWeight: '800', color: '#1E3A8A', margin: '5px 0'}}>
+                             {futureProj.projectedArea ?? `+${futureProj.increase}`} <span style={{fontSize: '1rem', color: '#60A5FA'}}>sq km</span>
+                          </div>
+                          <div style={{fontSize: '0.9rem', color: futureProj.color, fontWeight: '700'}}>
+                             {futureProj.projectedArea ? `+${futureProj.increase} sq km from ${futureProj.baseYear}` : `New urban area in ${activeRegion} since ${futureProj.baseYear}`}
+                          </div>
+                          {futureProj.interval && (
+                             <div style={{display: 'flex', justifyContent: 'center', gap: '14px', marginTop: '10px', fontSize: '0.8rem', color: '#475569'}}>
+                                <span>P10 <strong>{futureProj.interval.p10}</strong></span>
+                                <span>P50 <strong>{futureProj.interval.p50}</strong></span>
+                                <span>P90 <strong>{futureProj.interval.p90}</strong></span>
+                             </div>
+                          )}
+                       </>
+                    ) : (
+                       <div style={{fontSize: '0.85rem', color: '#64748B', margin: '10px 0'}}>
+                          Projection needs a class-area time series that overlaps the transition years.
+                       </div>
+                    )}
                     
                     {/* SAVINGS BADGE */}
                     {futureProj?.savedArea && (
@@ -1586,13 +2822,257 @@ function App() {
                     <div>
                        <strong>Risk Level: <span style={{color: futureProj?.color}}>{futureProj?.riskLevel}</span></strong>
                        <br/>
-                       Assumes no new policy intervention.
+                       {futureProj?.scenario ? `Assumes "${futureProj.scenario}" is enforced from ${futureProj.baseYear}.` : 'Assumes no new policy intervention.'}
                     </div>
                  </div>
               </div>
            </div>
         </div>
 
+        {/* MARKOV LAND-USE PROJECTION */}
+        <div className="card" style={{marginBottom: '30px'}}>
+           <div className="card-header">
+              <h3 className="card-title">📈 Land-Use Projection to {projectionHorizon}</h3>
+              <div style={{display: 'flex', gap: '10px', alignItems: 'center'}}>
+                 <span className="card-action">Markov Chain{activeRegion ? ' • District-wide' : ''}</span>
+                 {markovModel && (
+                    <select
+                       value={projectionHorizon}
+                       onChange={(e) => setProjectionYear(parseInt(e.target.value, 10))}
+                       style={{padding: '4px 8px', borderRadius: '6px', border: '1px solid #CBD5E1', fontWeight: '600'}}
+                    >
+                       {Array.from({ length: Math.max(settings.masterPlanYear - markovModel.baseYear, 1) }, (_, i) => markovModel.baseYear + 1 + i).map(y => (
+                          <option key={y} value={y}>{y}{y === settings.masterPlanYear ? ' (Master Plan)' : ''}</option>
+                       ))}
+                    </select>
+                 )}
+              </div>
+           </div>
+           {markovModel ? (
+              <>
+                 <div style={{ height: "280px" }}>
+                    <Line data={projectionChartData} options={projectionChartOptions} />
+                 </div>
+                 <div className="action-table-container" style={{marginTop: '15px'}}>
+                    <table className="modern-table" style={{width: '100%'}}>
+                       <thead>
+                          <tr>
+                             <th>Class</th>
+                             <th>{markovModel.baseYear} (Observed)</th>
+                             <th>{projectionHorizon} (Projected)</th>
+                             <th>Change</th>
+                             <th>P10 – P90</th>
+                             <th>Annual Loss Rate</th>
+                          </tr>
+                       </thead>
+                       <tbody>
+                          {LULC_CLASS_NAMES.map(cls => {
+                             const base = policyProjection[0].areas[cls];
+                             const end = policyProjection[policyProjection.length - 1].areas[cls];
+                             const change = end - base;
+                             return (
+                                <tr key={cls}>
+                                   <td style={{fontWeight: 'bold'}}><span style={{display: 'inline-block', width: '10px', height: '10px', borderRadius: '2px', background: getClassColor(cls), marginRight: '6px'}} />{cls}</td>
+                                   <td>{base.toFixed(1)} km²</td>
+                                   <td>{end.toFixed(1)} km²</td>
+                                   <td style={{fontWeight: 'bold', color: change > 0 ? '#10B981' : change < 0 ? '#EF4444' : '#64748B'}}>{change > 0 ? '+' : ''}{change.toFixed(1)} km²</td>
+                                   <td style={{color: '#475569'}}>{horizonBands ? `${horizonBands[cls].p10.toFixed(1)} – ${horizonBands[cls].p90.toFixed(1)} km²` : '—'}</td>
+                                   <td>{((1 - markovModel.annual[cls][cls]) * 100).toFixed(2)}%/yr</td>
+                                </tr>
+                             );
+                          })}
+                       </tbody>
+                    </table>
+                 </div>
+                 <div style={{marginTop: '10px', fontSize: '0.75rem', color: '#64748B'}}>
+                    Calibrated on {markovModel.calibrationPeriods.map(p => `${p.startYear}–${p.year}`).join(', ')}. Total area held at {policyProjection[0].total.toFixed(1)} km².
+                    {' '}Intervals from 200 Monte Carlo runs that resample every area by its misclassification probability (1 − confidence).
+                    {isPolicyActive && ` Rates adjusted by the "${activePolicyScenario.name}" scenario.`}
+                 </div>
+              </>
+           ) : (
+              <div style={{padding: '20px', textAlign: 'center', color: '#64748B', fontSize: '0.9rem'}}>
+                 Projection needs a class-area time series that overlaps the transition years.
+              </div>
+           )}
+        </div>
+
+        {/* POLICY SCENARIO BUILDER & COMPARISON */}
+        {markovModel && (
+        <div className="card" style={{marginBottom: '30px'}}>
+           <div className="card-header">
+              <h3 className="card-title">🧭 Policy Scenario Comparison</h3>
+              <div style={{display: 'flex', gap: '10px', alignItems: 'center'}}>
+                 <select
+                    value={comparisonClass}
+                    onChange={(e) => setComparisonClass(e.target.value)}
+                    style={{padding: '4px 8px', borderRadius: '6px', border: '1px solid #CBD5E1', fontWeight: '600'}}
+                 >
+                    {LULC_CLASS_NAMES.map(cls => <option key={cls} value={cls}>{cls}</option>)}
+                 </select>
+                 {canEditScenarios && <button className="rank-btn" onClick={() => startScenarioDraft()}>+ New Scenario</button>}
+              </div>
+           </div>
+
+           <div style={{ height: "260px" }}>
+              <Line data={scenarioChartData} options={scenarioChartOptions} />
+           </div>
+
+           <div className="action-table-container" style={{marginTop: '15px'}}>
+              <table className="modern-table" style={{width: '100%'}}>
+                 <thead>
+                    <tr>
+                       <th>Compare</th>
+                       <th>Scenario</th>
+                       <th>Interventions</th>
+                       {LULC_CLASS_NAMES.map(cls => <th key={cls}>{cls} by {projectionHorizon}</th>)}
+                       <th></th>
+                    </tr>
+                 </thead>
+                 <tbody>
+                    {policyScenarios.map(sc => {
+                       const compared = scenarioComparison.find(c => c.scenario.id === sc.id);
+                       const end = compared?.projection[compared.projection.length - 1];
+                       return (
+                          <tr key={sc.id} style={{background: sc.id === activePolicyScenario.id ? '#FAF5FF' : undefined}}>
+                             <td><input type="checkbox" checked={!!compared} onChange={() => toggleComparedScenario(sc.id)} /></td>
+                             <td style={{fontWeight: 'bold'}}>
+                                {compared && <span style={{display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%', background: compared.color, marginRight: '6px'}} />}
+                                {sc.name}
+                             </td>
+                             <td style={{fontSize: '0.8rem', color: '#475569'}}>
+                                {sc.modifiers.length === 0 ? 'Observed rates' : sc.modifiers.map(m => `${m.from === ANY_CLASS ? 'Any' : m.from} → ${m.to === ANY_CLASS ? 'Any' : m.to} ×${m.multiplier}`).join(', ')}
+                             </td>
+                             {LULC_CLASS_NAMES.map(cls => {
+                                if (!end) return <td key={cls} style={{color: '#9CA3AF'}}>—</td>;
+                                const change = end.areas[cls] - compared.projection[0].areas[cls];
+                                return <td key={cls} style={{color: change > 0 ? '#10B981' : change < 0 ? '#EF4444' : '#64748B'}}>{change > 0 ? '+' : ''}{change.toFixed(1)}</td>;
+                             })}
+                             <td style={{whiteSpace: 'nowrap'}}>
+                                {canEditScenarios && <button className="rank-btn" onClick={() => startScenarioDraft(sc)}>{sc.builtin ? 'Duplicate' : 'Edit'}</button>}
+                                {canEditScenarios && !sc.builtin && <button className="rank-btn" onClick={() => handleDeleteScenario(sc.id)} style={{marginLeft: '4px', color: '#B91C1C'}}>Delete</button>}
+                             </td>
+                          </tr>
+                       );
+                    })}
+                 </tbody>
+              </table>
+           </div>
+
+           {/* SCENARIO EDITOR */}
+           {scenarioDraft && (
+              <div style={{marginTop: '15px', padding: '15px', borderRadius: '8px', border: '1px solid #E9D5FF', background: '#FAF5FF'}}>
+                 <div style={{display: 'flex', gap: '10px', marginBottom: '10px', flexWrap: 'wrap'}}>
+                    <input
+                       type="text"
+                       placeholder="Scenario name"
+                       value={scenarioDraft.name}
+                       onChange={(e) => setScenarioDraft({ ...scenarioDraft, name: e.target.value })}
+                       style={{flex: '1 1 200px', padding: '6px 10px', borderRadius: '6px', border: '1px solid #D8B4FE'}}
+                    />
+                    <input
+                       type="text"
+                       placeholder="What the intervention does"
+                       value={scenarioDraft.description}
+                       onChange={(e) => setScenarioDraft({ ...scenarioDraft, description: e.target.value })}
+                       style={{flex: '2 1 300px', padding: '6px 10px', borderRadius: '6px', border: '1px solid #D8B4FE'}}
+                    />
+                 </div>
+                 {scenarioDraft.modifiers.map((m, i) => (
+                    <div key={i} style={{display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '6px', fontSize: '0.85rem'}}>
+                       <select value={m.from} onChange={(e) => updateDraftModifier(i, { from: e.target.value })}>
+                          <option value={ANY_CLASS}>Any class</option>
+                          {LULC_CLASS_NAMES.map(cls => <option key={cls} value={cls}>{cls}</option>)}
+                       </select>
+                       <span>→</span>
+                       <select value={m.to} onChange={(e) => updateDraftModifier(i, { to: e.target.value })}>
+                          <option value={ANY_CLASS}>Any class</option>
+                          {LULC_CLASS_NAMES.map(cls => <option key={cls} value={cls}>{cls}</option>)}
+                       </select>
+                       <span>at</span>
+                       <input
+                          type="number"
+                          min="0"
+                          step="5"
+                          value={Math.round(m.multiplier * 100)}
+                          onChange={(e) => updateDraftModifier(i, { multiplier: parseFloat(e.target.value) / 100 })}
+                          style={{width: '70px'}}
+                       />
+                       <span>% of the observed rate</span>
+                       <button className="rank-btn" onClick={() => setScenarioDraft({ ...scenarioDraft, modifiers: scenarioDraft.modifiers.filter((_, k) => k !== i) })}>✕</button>
+                    </div>
+                 ))}
+                 <div style={{display: 'flex', gap: '8px', marginTop: '10px'}}>
+                    <button className="rank-btn" onClick={() => setScenarioDraft({ ...scenarioDraft, modifiers: [...scenarioDraft.modifiers, { from: ANY_CLASS, to: 'Built-up', multiplier: 1 }] })}>+ Add Rule</button>
+                    <button className="rank-btn active" onClick={handleSaveScenario}>Save Scenario</button>
+                    <button className="rank-btn" onClick={() => { setScenarioDraft(null); setScenarioError(null); }}>Cancel</button>
+                 </div>
+                 {scenarioError && (
+                    <div style={{marginTop: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                       {scenarioError}
+                    </div>
+                 )}
+              </div>
+           )}
+        </div>
+        )}
+
+        {/* REGIONAL COMPARISON */}
+        {regionComparison.length > 0 && (
+        <div className="content-grid" style={{ gridTemplateColumns: "1fr" }}>
+           <div className="card">
+              <div className="card-header">
+                 <h3 className="card-title">🏘️ Regional Comparison</h3>
+                 <span className="card-action">Ranked by Top Priority Score</span>
+              </div>
+              <div className="action-table-container">
+                 <table className="modern-table" style={{width: '100%'}}>
+                    <thead>
+                       <tr>
+                          <th>#</th>
+                          <th>Region</th>
+                          <th>Active Change</th>
+                          <th>Top Priority</th>
+                          <th>Eco Loss</th>
+                          <th>Policy Assessment</th>
+                          <th>Forecast</th>
+                          <th>Alerts</th>
+                       </tr>
+                    </thead>
+                    <tbody>
+                       {regionComparison.map((r, i) => (
+                          <tr
+                             key={r.regionId}
+                             onClick={() => selectRegion(r.regionId === activeRegion ? null : r.regionId)}
+                             style={{cursor: 'pointer', background: r.regionId === activeRegion ? '#EFF6FF' : undefined}}
+                          >
+                             <td style={{fontWeight: 'bold', color: '#94A3B8'}}>{i + 1}</td>
+                             <td style={{fontWeight: 'bold'}}>{r.regionId}</td>
+                             <td>{r.area.toFixed(1)} km²</td>
+                             <td>
+                                {r.topPriority ? (
+                                   <span><strong>{r.topPriority.impactScore}</strong> <span style={{fontSize: '0.8rem', color: '#64748B'}}>{r.topPriority.from} → {r.topPriority.to}</span></span>
+                                ) : <span style={{color: '#9CA3AF'}}>—</span>}
+                             </td>
+                             <td style={{color: r.ecoRisk?.color, fontWeight: '600'}}>{r.ecoRisk ? `${r.ecoRisk.lossArea} km² ${r.ecoRisk.icon}` : '—'}</td>
+                             <td style={{color: r.policyEval?.color, fontWeight: '600'}}>{r.policyEval?.assessment || '—'}</td>
+                             <td style={{color: r.futureProj?.color}}>{r.futureProj ? `+${r.futureProj.increase} km² (${r.futureProj.riskLevel})` : '—'}</td>
+                             <td>
+                                {r.alerts.length > 0 ? (
+                                   <span style={{fontWeight: '700', color: r.alerts.some(a => a.type === 'high') ? '#EF4444' : '#F59E0B'}}>
+                                      {r.alerts.length} ({r.alerts.filter(a => a.type === 'high').length} high)
+                                   </span>
+                                ) : <span style={{color: '#10B981'}}>None</span>}
+                             </td>
+                          </tr>
+                       ))}
+                    </tbody>
+                 </table>
+              </div>
+           </div>
+        </div>
+        )}
+
         {/* SECTION 3: ACTION & VALIDATION */}
         <h3 className="section-label" style={{marginTop: '30px'}}>3. Validation & Action</h3>
         <div className="content-grid">
@@ -1683,9 +3163,35 @@ function App() {
                            style={{flex: 1, padding: '8px', borderRadius: '4px', border: '1px solid #7DD3FC', fontWeight: 'bold'}}
                         />
                         <div style={{background: 'white', padding: '8px 12px', borderRadius: '4px', border: '1px solid #7DD3FC', color: '#0284C7', fontWeight: '600'}}>
-                           Est. {optimizedSurveys.maxPossible} Visits
+                           {optimizedSurveys.selected.length} Visits • {optimizedSurveys.totalCost.toLocaleString()} INR
                         </div>
                      </div>
+                     {/* MARGINAL VALUE OF THE NEXT RUPEE */}
+                     <div style={{marginTop: '10px', fontSize: '0.8rem', color: '#0369A1'}}>
+                        Plan settles <strong>{optimizedSurveys.uncertainArea.toFixed(2)} km²</strong> of uncertain mapping (value score {optimizedSurveys.totalValue.toFixed(2)}, ecological losses weighted up).{' '}
+                        {optimizedSurveys.nextGain
+                           ? <>The next <strong>{optimizedSurveys.nextGain.extraCost.toLocaleString()} INR</strong> would add {optimizedSurveys.nextGain.extraValue.toFixed(2)} to the value score ({(optimizedSurveys.nextGain.valuePerRupee * 1000).toFixed(3)} per 1,000 INR).</>
+                           : <>More budget would not buy any further value.</>}
+                     </div>
+                     {optimizedSurveys.marginalCurve.length > 1 && (
+                        <div style={{display: 'flex', alignItems: 'flex-end', gap: '2px', height: '40px', marginTop: '8px'}} title="Best achievable value score by budget">
+                           {optimizedSurveys.marginalCurve.map(point => {
+                              const maxValue = optimizedSurveys.marginalCurve[optimizedSurveys.marginalCurve.length - 1].value || 1;
+                              return (
+                                 <div
+                                    key={point.budget}
+                                    title={`${point.budget.toLocaleString()} INR → value score ${point.value.toFixed(2)}`}
+                                    style={{flex: 1, height: `${Math.max(4, (point.value / maxValue) * 100)}%`, background: point.budget <= budget ? '#0284C7' : '#BAE6FD', borderRadius: '2px 2px 0 0'}}
+                                 />
+                              );
+                           })}
+                        </div>
+                     )}
+                     {optimizedSurveys.overBudget && (
+                        <div style={{marginTop: '8px', fontSize: '0.8rem', color: '#991B1B', fontWeight: '600'}}>
+                           ⚠️ Locked-in sites alone cost {optimizedSurveys.totalCost.toLocaleString()} INR, over the budget.
+                        </div>
+                     )}
                   </div>
 
                   {/* ALLOCATED TASKS */}
@@ -1694,17 +3200,25 @@ function App() {
                         Approved for Dispatch ({optimizedSurveys.selected.length})
                      </div>
                      {optimizedSurveys.selected.length > 0 ? (
-                        optimizedSurveys.selected.map((task, i) => (
-                           <div key={i} className="survey-item" style={{borderLeft: '4px solid #10B981'}}>
+                        optimizedSurveys.selected.map(task => (
+                           <div key={task.id} className="survey-item" style={{borderLeft: `4px solid ${surveyLocks[task.id] === 'in' ? '#0284C7' : '#10B981'}`}}>
                               <div className="survey-details">
                                  <h4 style={{display: 'flex', justifyContent: 'space-between'}}>
                                     <span>Verify: {task.from} → {task.to}</span>
                                     <span style={{fontSize: '0.75rem', color: '#EF4444'}}>Low Conf: {(parseFloat(task.confidence)*100).toFixed(0)}%</span>
                                  </h4>
                                  <div className="survey-meta">
-                                    <span className="survey-tag">📍 Sector {task.id ? task.id.substring(0,4) : i+1}</span>
+                                    <span className="survey-tag">📍 {task.region_id || 'District-wide'}</span>
                                     <span className="survey-tag">📏 {task.area_sq_km} sq km</span>
-                                    <span className="survey-tag" style={{color: '#64748B'}}>💰 {surveyCostPerSite} INR</span>
+                                    <span className="survey-tag" style={{color: '#64748B'}}>💰 {task.cost.toLocaleString()} INR{task.distanceKm > 0 && ` • ${task.distanceKm.toFixed(1)} km out`}</span>
+                                    <span className="survey-tag" style={{color: '#64748B'}} title={`Settles ${task.uncertainArea.toFixed(2)} km² of uncertain mapping`}>🎯 {(task.value / task.cost * 1000).toFixed(3)} value/1k INR</span>
+                                    {canManageSurveys && (surveyLocks[task.id] === 'in'
+                                       ? <button className="rank-btn active" onClick={() => setSurveyLock(task.id, null)} title="Let the optimizer decide">🔒 Locked</button>
+                                       : <button className="rank-btn" onClick={() => setSurveyLock(task.id, 'in')}>Lock in</button>)}
+                                    {canManageSurveys && <button className="rank-btn" onClick={() => setSurveyLock(task.id, 'out')}>Exclude</button>}
+                                    {openSurveyFor(task.target)
+                                       ? <span className="survey-tag" style={{color: '#0369A1', fontWeight: '700'}}>🚙 Dispatched</span>
+                                       : canManageSurveys && <button className="rank-btn" onClick={() => handleDispatchSurvey({ target: task.target, title: `Verify ${task.from} → ${task.to}${task.region_id ? ` in ${task.region_id}` : ''}`, reason: 'Budget-approved verification of an ambiguous transition', priority: 'High' })}>Dispatch</button>}
                                  </div>
                               </div>
                            </div>
@@ -1714,11 +3228,39 @@ function App() {
                      )}
                      
                      {/* DEFERRED TASKS */}
-                     {optimizedSurveys.deferredCount > 0 && (
-                        <div style={{marginTop: '15px', padding: '10px', background: '#FEF2F2', borderRadius: '6px', border: '1px solid #FECACA', color: '#991B1B', fontSize: '0.85rem', textAlign: 'center', fontWeight: '600'}}>
-                           ⚠️ {optimizedSurveys.deferredCount} critical sites deferred due to budget constraints.
-                           <br/>
-                           <span style={{fontWeight: '400', fontSize: '0.8rem'}}>Additional {(optimizedSurveys.deferredCount * surveyCostPerSite).toLocaleString()} INR needed.</span>
+                     {optimizedSurveys.deferred.length > 0 && (
+                        <div style={{marginTop: '15px', padding: '10px', background: '#FEF2F2', borderRadius: '6px', border: '1px solid #FECACA', color: '#991B1B', fontSize: '0.85rem', fontWeight: '600'}}>
+                           <div style={{textAlign: 'center'}}>
+                              ⚠️ {optimizedSurveys.deferred.length} critical sites deferred due to budget constraints.
+                              <br/>
+                              <span style={{fontWeight: '400', fontSize: '0.8rem'}}>Additional {optimizedSurveys.deferred.reduce((sum, t) => sum + t.cost, 0).toLocaleString()} INR needed to survey all of them.</span>
+                           </div>
+                           <details style={{marginTop: '8px', fontWeight: '400', fontSize: '0.8rem'}}>
+                              <summary style={{cursor: 'pointer'}}>Show deferred sites</summary>
+                              {optimizedSurveys.deferred.map(task => (
+                                 <div key={task.id} style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '4px 0', borderBottom: '1px solid #FECACA'}}>
+                                    <span>{task.from} → {task.to} • {task.region_id || 'District-wide'} • {task.cost.toLocaleString()} INR • {task.uncertainArea.toFixed(2)} km² uncertain</span>
+                                    {canManageSurveys && (
+                                       <span style={{display: 'flex', gap: '4px'}}>
+                                          <button className="rank-btn" onClick={() => setSurveyLock(task.id, 'in')}>Lock in</button>
+                                          <button className="rank-btn" onClick={() => setSurveyLock(task.id, 'out')}>Exclude</button>
+                                       </span>
+                                    )}
+                                 </div>
+                              ))}
+                           </details>
+                        </div>
+                     )}
+
+                     {/* EXCLUDED TASKS */}
+                     {optimizedSurveys.lockedOut.length > 0 && (
+                        <div style={{marginTop: '10px', fontSize: '0.8rem', color: '#64748B'}}>
+                           Excluded by you:{' '}
+                           {optimizedSurveys.lockedOut.map(task => (
+                              <button key={task.id} className="rank-btn" style={{marginRight: '4px'}} disabled={!canManageSurveys} onClick={() => setSurveyLock(task.id, null)} title="Return to the optimizer">
+                                 {task.from} → {task.to} ({task.region_id || 'District'}) ✕
+                              </button>
+                           ))}
                         </div>
                      )}
                   </div>
@@ -1765,6 +3307,121 @@ function App() {
         
 
 
+        {/* FIELD SURVEY TRACKER */}
+        <div className="card" style={{marginBottom: '30px'}}>
+           <div className="card-header">
+              <h3 className="card-title">📋 Field Survey Tracker</h3>
+              <span className="card-action">
+                 {datasetSurveys.filter(s => s.status === 'dispatched').length} in the field • {datasetSurveys.filter(s => s.status === 'completed').length} completed
+              </span>
+           </div>
+
+           {surveyError && (
+              <div style={{marginBottom: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                 {surveyError}
+              </div>
+           )}
+
+           {/* SUGGESTED */}
+           {pendingSuggestions.length > 0 && (
+              <div style={{marginBottom: '15px'}}>
+                 <div style={{fontSize: '0.85rem', fontWeight: '700', color: '#64748B', marginBottom: '8px', textTransform: 'uppercase'}}>Suggested ({pendingSuggestions.length})</div>
+                 {pendingSuggestions.map((t, i) => (
+                    <div key={i} style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px 0', borderBottom: '1px solid #F1F5F9', fontSize: '0.85rem'}}>
+                       <span><strong>{t.task}</strong> ({t.target.year}) • {t.location} • <span style={{color: t.priority === 'High' ? '#DC2626' : '#D97706'}}>{t.priority}</span><br/><span style={{color: '#64748B'}}>{t.reason}</span></span>
+                       {canManageSurveys && <button className="rank-btn" onClick={() => handleDispatchSurvey({ target: t.target, title: t.task, reason: t.reason, priority: t.priority })}>Dispatch</button>}
+                    </div>
+                 ))}
+              </div>
+           )}
+
+           {/* IN THE FIELD */}
+           {datasetSurveys.filter(s => s.status === 'dispatched').map(sv => {
+              const draft = surveyDrafts[sv.id] || {};
+              return (
+                 <div key={sv.id} style={{padding: '12px', marginBottom: '10px', borderRadius: '8px', border: '1px solid #BAE6FD', background: '#F0F9FF', fontSize: '0.85rem'}}>
+                    <div style={{display: 'flex', justifyContent: 'space-between', marginBottom: '8px'}}>
+                       <strong>🚙 {sv.title} ({sv.target.year}{sv.target.region_id ? ` • ${sv.target.region_id}` : ' • all regions'})</strong>
+                       <span style={{color: '#64748B'}}>Dispatched {new Date(sv.dispatchedAt).toLocaleDateString()}</span>
+                    </div>
+                    {canManageSurveys ? (<>
+                    <div style={{display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '8px'}}>
+                       {SURVEY_VERDICTS.map(v => (
+                          <label key={v} style={{display: 'flex', gap: '4px', alignItems: 'center', cursor: 'pointer'}}>
+                             <input type="radio" name={`verdict-${sv.id}`} checked={draft.verdict === v} onChange={() => updateSurveyDraft(sv.id, { verdict: v })} />
+                             {VERDICT_LABELS[v]}
+                          </label>
+                       ))}
+                       {draft.verdict === 'different_class' && (
+                          <select value={draft.observedClass || ''} onChange={(e) => updateSurveyDraft(sv.id, { observedClass: e.target.value })}>
+                             <option value="">Observed class…</option>
+                             {LULC_CLASS_NAMES.map(cls => <option key={cls} value={cls}>{cls}</option>)}
+                          </select>
+                       )}
+                    </div>
+                    <textarea
+                       placeholder="Field notes"
+                       value={draft.notes || ''}
+                       onChange={(e) => updateSurveyDraft(sv.id, { notes: e.target.value })}
+                       style={{width: '100%', minHeight: '50px', padding: '6px', borderRadius: '4px', border: '1px solid #BAE6FD', boxSizing: 'border-box'}}
+                    />
+                    <div style={{display: 'flex', gap: '8px', alignItems: 'center', marginTop: '8px'}}>
+                       <input type="file" accept="image/*" onChange={(e) => handleSurveyPhoto(sv.id, e.target.files[0])} style={{fontSize: '0.75rem'}} />
+                       {draft.photo && <span style={{color: '#0369A1'}}>📷 {draft.photo.name}</span>}
+                       <div style={{flex: 1}} />
+                       <button className="rank-btn" onClick={() => handleDeleteSurvey(sv.id)}>Cancel Task</button>
+                       <button className="rank-btn active" onClick={() => handleCompleteSurvey(sv.id)}>Mark Complete</button>
+                    </div>
+                    </>) : <div style={{color: '#64748B'}}>Awaiting the field team's verdict.</div>}
+                 </div>
+              );
+           })}
+
+           {/* COMPLETED */}
+           {datasetSurveys.some(s => s.status === 'completed') && (
+              <div className="action-table-container">
+                 <table className="modern-table" style={{width: '100%'}}>
+                    <thead>
+                       <tr>
+                          <th>Task</th>
+                          <th>Verdict</th>
+                          <th>Notes</th>
+                          <th>Confidence</th>
+                          <th>Photo</th>
+                          <th>Completed</th>
+                       </tr>
+                    </thead>
+                    <tbody>
+                       {datasetSurveys.filter(s => s.status === 'completed').map(sv => {
+                          const surveyed = data.filter(d => d.fieldVerdict && targetMatches(sv.target, d));
+                          const before = surveyed.length > 0 ? surveyed.reduce((sum, d) => sum + d.modelConfidence, 0) / surveyed.length : null;
+                          const after = surveyed.length > 0 ? surveyed.reduce((sum, d) => sum + d.confidence, 0) / surveyed.length : null;
+                          return (
+                             <tr key={sv.id}>
+                                <td>{sv.title} <span style={{color: '#94A3B8'}}>({sv.target.year}{sv.target.region_id ? ` • ${sv.target.region_id}` : ''})</span></td>
+                                <td style={{fontWeight: '700', color: sv.verdict === 'confirmed' ? '#059669' : '#DC2626'}}>
+                                   {VERDICT_LABELS[sv.verdict]}{sv.observedClass ? `: ${sv.observedClass}` : ''}
+                                </td>
+                                <td style={{fontSize: '0.8rem'}}>{sv.notes || '—'}</td>
+                                <td>{before !== null ? `${(before * 100).toFixed(0)}% → ${(after * 100).toFixed(0)}%` : '—'}</td>
+                                <td>{sv.photo ? <a href={sv.photo.dataUrl} target="_blank" rel="noreferrer"><img src={sv.photo.dataUrl} alt={sv.photo.name} style={{height: '36px', borderRadius: '4px'}} /></a> : '—'}</td>
+                                <td style={{whiteSpace: 'nowrap'}}>
+                                   {new Date(sv.completedAt).toLocaleDateString()}
+                                   {canManageSurveys && <button className="rank-btn" onClick={() => handleDeleteSurvey(sv.id)} style={{marginLeft: '6px'}}>✕</button>}
+                                </td>
+                             </tr>
+                          );
+                       })}
+                    </tbody>
+                 </table>
+              </div>
+           )}
+
+           {pendingSuggestions.length === 0 && datasetSurveys.length === 0 && (
+              <div style={{textAlign: 'center', padding: '20px', color: '#9CA3AF'}}>No field validation needed for the current view.</div>
+           )}
+        </div>
+
         {/* ACTION LOG TABLE */}
         <div className="content-grid" style={{ gridTemplateColumns: "1fr" }}>
            {/* EVOLUTION MATRIX */}
@@ -1776,9 +3433,10 @@ function App() {
                <div className="action-table-container">
                   <div style={{marginBottom: '10px', fontSize: '0.85rem', color: '#64748B', display: 'flex', alignItems: 'center', gap: '10px'}}>
                      {(() => {
-                        const confs = years.map(y => parseFloat(timeData.find(d => d.year === y && d.lulc_class === 'Built-up')?.confidence || 0));
-                        const mean = confs.reduce((a,b)=>a+b,0)/confs.length;
-                        const variance = confs.reduce((a,b)=>a+Math.pow(b-mean,2),0)/confs.length;
+                        const confs = years.map(y => parseFloat(timeData.find(d => d.year === y && isClass(d.lulc_class, 'Built-up'))?.confidence || 0));
+                        const n = Math.max(confs.length, 1); // Uploaded datasets may omit the time series
+                        const mean = confs.reduce((a,b)=>a+b,0)/n;
+                        const variance = confs.reduce((a,b)=>a+Math.pow(b-mean,2),0)/n;
                         const stdDev = Math.sqrt(variance);
                         
                         return (
@@ -1806,7 +3464,7 @@ function App() {
                      </thead>
                      <tbody>
                         {years.map((year, idx) => {
-                           const getRecord = (cls) => timeData.find(d => d.year === year && d.lulc_class === cls) || {};
+                           const getRecord = (cls) => timeData.find(d => d.year === year && isClass(d.lulc_class, cls)) || {};
                            const built = parseFloat(getRecord('Built-up').area_sq_km || 0);
                            const forest = parseFloat(getRecord('Forest').area_sq_km || 0);
                            const water = parseFloat(getRecord('Water').area_sq_km || 0);
@@ -1818,11 +3476,11 @@ function App() {
                            let dynamicsColor = "#10B981";
 
                            if(idx > 0) {
-                              const prev = parseFloat(timeData.find(d => d.year === years[idx-1] && d.lulc_class === 'Built-up')?.area_sq_km);
+                              const prev = parseFloat(timeData.find(d => d.year === years[idx-1] && isClass(d.lulc_class, 'Built-up'))?.area_sq_km);
                               velocity = built - prev; 
                               
                               if (idx > 1) {
-                                  const prev2 = parseFloat(timeData.find(d => d.year === years[idx-2] && d.lulc_class === 'Built-up')?.area_sq_km);
+                                  const prev2 = parseFloat(timeData.find(d => d.year === years[idx-2] && isClass(d.lulc_class, 'Built-up'))?.area_sq_km);
                                   const prevVelocity = prev - prev2;
                                   acceleration = velocity - prevVelocity;
 
@@ -1834,8 +3492,8 @@ function App() {
                            }
 
                            // Cumulative Risk Logic
-                           const baselineForest = parseFloat((timeData.find(d => d.year === years[0] && d.lulc_class === 'Forest')?.area_sq_km || 0));
-                           const baselineWater = parseFloat((timeData.find(d => d.year === years[0] && d.lulc_class === 'Water')?.area_sq_km || 0));
+                           const baselineForest = parseFloat((timeData.find(d => d.year === years[0] && isClass(d.lulc_class, 'Forest'))?.area_sq_km || 0));
+                           const baselineWater = parseFloat((timeData.find(d => d.year === years[0] && isClass(d.lulc_class, 'Water'))?.area_sq_km || 0));
                            const baselineEco = baselineForest + baselineWater;
                            const currentEco = forest + water;
                            const cumChange = currentEco - baselineEco;
@@ -1920,9 +3578,9 @@ function App() {
                         const x = Math.min((area / maxArea) * 100, 95); // Growth Intensity (0-100%)
 
                         let riskScore = 0; // 0-100%
-                        if (item.from === 'Forest') riskScore = 90;
-                        else if (item.from === 'Water') riskScore = 85;
-                        else if (item.from === 'Agriculture') riskScore = 50;
+                        if (isClass(item.from, 'Forest')) riskScore = 90;
+                        else if (isClass(item.from, 'Water')) riskScore = 85;
+                        else if (isClass(item.from, 'Agriculture')) riskScore = 50;
                         else riskScore = 20;
                         
                         // Add some random jitter to prevent overlap
@@ -2005,7 +3663,7 @@ function App() {
                                 <div style={{display: 'flex', alignItems: 'center', gap: '8px'}}>
                                   <span style={{width: '30px', fontSize: '0.85rem'}}>{(row.confidence * 100).toFixed(0)}%</span>
                                   <div style={{width: '60px', height: '4px', background: '#eee', borderRadius: '2px'}}>
-                                    <div style={{width: `${row.confidence*100}%`, height: '100%', background: row.confidence > 0.85 ? '#10B981' : row.confidence > 0.75 ? '#F59E0B' : '#EF4444', borderRadius: '2px'}}></div>
+                                    <div style={{width: `${row.confidence*100}%`, height: '100%', background: row.confidence >= decisionThresholds.act ? '#10B981' : row.confidence >= decisionThresholds.review ? '#F59E0B' : '#EF4444', borderRadius: '2px'}}></div>
                                   </div>
                                 </div>
                               </td>
@@ -2028,48 +3686,396 @@ function App() {
 
         {activeTab === 'reports' && (
            <div className="placeholder-view" style={{padding: '40px'}}>
-              <div className="card" style={{padding: '40px', textAlign: 'center'}}>
-                <div style={{fontSize: '3rem', marginBottom: '20px'}}>📂</div>
-                <h2>Report Archive</h2>
-                <p style={{color: '#6B7280', marginBottom: '20px'}}>Access previously generated policy documents and compliance audits.</p>
-                <button onClick={() => setActiveTab('reports')} className="primary-btn" style={{background: '#4F46E5', color: 'white', padding: '10px 20px', borderRadius: '8px', border:'none', cursor:'pointer'}}>Generate New Report</button>
+              <div className="card" style={{padding: '40px'}}>
+                <div className="card-header">
+                   <div className="card-title">📂 Report Archive</div>
+                   {canPublishReports && <button className="rank-btn active" onClick={handleArchiveReport}>Archive Current Report</button>}
+                </div>
+                <p style={{color: '#64748B', fontSize: '0.9rem', margin: '10px 0 20px'}}>
+                   Archived reports are frozen snapshots of the narrative, alerts, actions, thresholds, persona, scenario and data version at the time they were saved.
+                   Tick two reports to see what changed between them.
+                </p>
+                {archiveError && (
+                   <div style={{marginBottom: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                      {archiveError}
+                   </div>
+                )}
+                {openArchivedId && !openArchivedReport && (
+                   <div style={{marginBottom: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                      Report {openArchivedId} is not in this browser's archive. Archived reports are kept per browser.
+                   </div>
+                )}
+                {archivedReports.length === 0 ? (
+                   <div style={{color: '#94A3B8', fontSize: '0.9rem'}}>No reports archived yet.{canPublishReports ? ' Archive the current report to start the record.' : ''}</div>
+                ) : (
+                   <div className="action-table-container">
+                      <table className="modern-table">
+                         <thead>
+                            <tr>
+                               <th>Compare</th>
+                               <th>Reference</th>
+                               <th>Archived</th>
+                               <th>Dataset</th>
+                               <th>Persona / Scenario</th>
+                               <th>Data</th>
+                               <th>Alerts</th>
+                               <th></th>
+                            </tr>
+                         </thead>
+                         <tbody>
+                            {archivedReports.map(r => (
+                               <tr key={r.id}>
+                                  <td><input type="checkbox" checked={compareReportIds.includes(r.id)} onChange={() => toggleCompareReport(r.id)} aria-label={`Compare ${r.id}`} /></td>
+                                  <td style={{fontWeight: '600'}}>{r.id}</td>
+                                  <td>{new Date(r.createdAt).toLocaleString()}<div style={{fontSize: '0.75rem', color: '#64748B'}}>{r.createdBy.name}</div></td>
+                                  <td>{r.context.datasetName}{r.context.regionScope && <div style={{fontSize: '0.75rem', color: '#64748B'}}>Region {r.context.regionScope}</div>}</td>
+                                  <td>{r.context.persona.name}<div style={{fontSize: '0.75rem', color: '#64748B'}}>{r.context.scenario}</div></td>
+                                  <td>{r.context.dataVersion}</td>
+                                  <td>{r.alerts.filter(a => a.status !== 'resolved').length} open / {r.alerts.length}</td>
+                                  <td style={{whiteSpace: 'nowrap'}}>
+                                     <button className="rank-btn" onClick={() => selectArchivedReport(r.id)}>Open</button>
+                                     {canPublishReports && <button className="rank-btn" onClick={() => handleDeleteReport(r.id)} style={{marginLeft: '6px', color: '#991B1B'}}>Delete</button>}
+                                  </td>
+                               </tr>
+                            ))}
+                         </tbody>
+                      </table>
+                   </div>
+                )}
+
+                {reportDiff && (
+                   <div style={{marginTop: '25px'}}>
+                      <h3 style={{fontSize: '1rem', margin: '0 0 10px'}}>Changes from {comparedReports[0].id} to {comparedReports[1].id}</h3>
+                      {isEmptyDiff(reportDiff) ? (
+                         <div style={{color: '#64748B', fontSize: '0.9rem'}}>The two reports are identical.</div>
+                      ) : (
+                         <>
+                            {reportDiff.fields.length > 0 && (
+                               <div className="action-table-container">
+                                  <table className="modern-table">
+                                     <thead>
+                                        <tr><th>Field</th><th>{comparedReports[0].id}</th><th>{comparedReports[1].id}</th></tr>
+                                     </thead>
+                                     <tbody>
+                                        {reportDiff.fields.map(f => (
+                                           <tr key={f.label}>
+                                              <td style={{fontWeight: '600'}}>{f.label}</td>
+                                              <td style={{color: '#991B1B'}}>{String(f.before)}</td>
+                                              <td style={{color: '#065F46'}}>{String(f.after)}</td>
+                                           </tr>
+                                        ))}
+                                     </tbody>
+                                  </table>
+                               </div>
+                            )}
+                            {[['Alerts', reportDiff.alerts, a => `${a.icon} ${a.title}`, (b, a) => (b.status !== a.status ? `${b.status} → ${a.status}` : a.desc)],
+                              ['Actions', reportDiff.actions, a => `${a.transition}: ${a.action}`, (b, a) => `${b.urgency} (${b.dept}) → ${a.urgency} (${a.dept})`]].map(([label, diff, describe, describeChange]) => (
+                               (diff.added.length + diff.removed.length + diff.changed.length) > 0 && (
+                                  <div key={label} style={{marginTop: '15px', fontSize: '0.85rem'}}>
+                                     <div style={{fontWeight: '700', marginBottom: '6px'}}>{label}</div>
+                                     {diff.added.map((item, i) => <div key={`a${i}`} style={{color: '#065F46'}}>+ {describe(item)}</div>)}
+                                     {diff.removed.map((item, i) => <div key={`r${i}`} style={{color: '#991B1B'}}>− {describe(item)}</div>)}
+                                     {diff.changed.map(({ before, after }, i) => <div key={`c${i}`} style={{color: '#92400E'}}>~ {describe(after)}: {describeChange(before, after)}</div>)}
+                                  </div>
+                               )
+                            ))}
+                         </>
+                      )}
+                   </div>
+                )}
               </div>
            </div>
         )}
 
-        {activeTab === 'map' && (
-           <div className="placeholder-view" style={{padding: '40px'}}>
-              <div className="card" style={{padding: '40px', textAlign: 'center'}}>
-                <div style={{fontSize: '3rem', marginBottom: '20px'}}>🗺️</div>
-                <h2>Geospatial Explorer</h2>
-                <p style={{color: '#6B7280'}}>Interactive map validation module is currently in beta.</p>
-                <div style={{marginTop: '20px', padding: '15px', background: '#F3F4F6', borderRadius: '8px', display: 'inline-block', textAlign:'left'}}>
-                   <strong>System Note:</strong> Please use the <strong>Transition Heat Ranking</strong> and <strong>Field Survey</strong> tools in the Dashboard for immediate spatial verification.
-                </div>
+        {activeTab === 'map' && (() => {
+           const metricValues = regionMetrics.reduce((acc, r) => ({ ...acc, [r.regionId]: r[mapMetric] }), {});
+           const formatMetric = (v) => {
+              if (v === null || v === undefined || Number.isNaN(v)) return 'No data';
+              if (mapMetric === 'area') return `${v.toFixed(1)} sq km`;
+              if (mapMetric === 'cpri') return `CPRI ${v.toFixed(2)}`;
+              return `${(v * 100).toFixed(0)}% conf.`;
+           };
+           const mappedIds = new Set((regionBoundaries?.features || []).map(getRegionId));
+           const unmapped = regionIds.filter(id => !mappedIds.has(id));
+
+           return (
+           <div className="content-grid" style={{gridTemplateColumns: '2fr 1fr'}}>
+              <div className="card">
+                 <div className="card-header">
+                    <h3 className="card-title">🗺️ Geospatial Explorer</h3>
+                    <span className="card-action">{currentPeriodYear} • Offline Render</span>
+                 </div>
+                 <div className="ranking-controls">
+                    <button className={`rank-btn ${mapMetric === 'area' ? 'active' : ''}`} onClick={() => setMapMetric('area')}>Transition Area</button>
+                    <button className={`rank-btn ${mapMetric === 'cpri' ? 'active' : ''}`} onClick={() => setMapMetric('cpri')}>CPRI</button>
+                    <button className={`rank-btn ${mapMetric === 'confidence' ? 'active' : ''}`} onClick={() => setMapMetric('confidence')}>Confidence</button>
+                 </div>
+                 {regionBoundaries ? (
+                    <RegionMap
+                       features={regionBoundaries.features}
+                       values={metricValues}
+                       metric={mapMetric}
+                       formatValue={formatMetric}
+                       selectedRegion={activeRegion}
+                       onSelectRegion={selectRegion}
+                    />
+                 ) : (
+                    <div style={{textAlign: 'center', padding: '40px', color: '#9CA3AF'}}>{boundaryError ? 'No region boundaries to draw.' : 'Loading region boundaries...'}</div>
+                 )}
+                 {regionIds.length === 0 && (
+                    <div style={{marginTop: '10px', fontSize: '0.85rem', color: '#92400E'}}>
+                       ⚠️ The active dataset has no <code>region_id</code> values, so every polygon shows "No data".
+                    </div>
+                 )}
+              </div>
+
+              <div style={{display: 'flex', flexDirection: 'column', gap: '20px'}}>
+                 <div className="card">
+                    <div className="card-header">
+                       <h3 className="card-title">📍 Regions</h3>
+                       <span className="card-action">Click to filter</span>
+                    </div>
+                    <div className="heat-list">
+                       {[...regionMetrics].sort((a, b) => (b[mapMetric] ?? -1) - (a[mapMetric] ?? -1)).map((r, i) => (
+                          <div
+                             key={r.regionId}
+                             className={`heat-item ${r.regionId === activeRegion ? 'intensity-high' : 'intensity-low'}`}
+                             onClick={() => selectRegion(r.regionId === activeRegion ? null : r.regionId)}
+                             style={{cursor: 'pointer'}}
+                          >
+                             <span className="heat-rank">{i + 1}</span>
+                             <span className="heat-label">{r.regionId}</span>
+                             <span className="heat-val">{formatMetric(r[mapMetric])}</span>
+                          </div>
+                       ))}
+                    </div>
+                    {activeRegion && (
+                       <button onClick={() => selectTab('dashboard')} style={{marginTop: '15px', width: '100%', padding: '10px', background: '#4F46E5', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontWeight: '600'}}>
+                          View {activeRegion} on Dashboard →
+                       </button>
+                    )}
+                    {unmapped.length > 0 && (
+                       <div style={{marginTop: '10px', fontSize: '0.8rem', color: '#92400E'}}>
+                          No polygon for: {unmapped.join(', ')}
+                       </div>
+                    )}
+                 </div>
+
+                 <div className="card">
+                    <div className="card-header">
+                       <h3 className="card-title">🧭 Boundaries</h3>
+                    </div>
+                    <div style={{fontSize: '0.85rem', color: '#475569', marginBottom: '10px'}}>
+                       Source: <strong>{regionBoundaries?.sourceName || '—'}</strong> ({regionBoundaries?.features.length || 0} polygons)
+                    </div>
+                    {canUploadData && <label style={{display: 'block', padding: '12px', textAlign: 'center', border: '2px dashed #CBD5E1', borderRadius: '8px', cursor: 'pointer', fontSize: '0.85rem', color: '#2563EB', fontWeight: '600'}}>
+                       📂 Load GeoJSON (keyed by region_id)
+                       <input type="file" accept=".geojson,.json" onChange={(e) => { handleBoundaryFile(e.target.files[0]); e.target.value = ''; }} style={{display: 'none'}} />
+                    </label>}
+                    {canUploadData && regionBoundaries?.sourceName !== SYSTEM_CONFIG.dataSources.regionBoundaries && (
+                       <button onClick={resetBoundaries} style={{marginTop: '10px', fontSize: '0.8rem', background: 'transparent', border: 'none', color: '#64748B', cursor: 'pointer', textDecoration: 'underline'}}>
+                          Revert to sample boundaries
+                       </button>
+                    )}
+                    {boundaryError && (
+                       <div style={{marginTop: '10px', padding: '10px', background: '#FEF2F2', borderRadius: '6px', border: '1px solid #FECACA', color: '#991B1B', fontSize: '0.85rem'}}>
+                          ⚠️ {boundaryError}
+                       </div>
+                    )}
+                 </div>
               </div>
            </div>
-        )}
+           );
+        })()}
 
         {activeTab === 'settings' && (
            <div className="placeholder-view" style={{padding: '40px'}}>
               <div className="card" style={{padding: '40px'}}>
                  <h2>⚙️ System Settings</h2>
-                 <div style={{marginTop: '20px'}}>
-                    <div style={{marginBottom: '15px'}}>
-                       <label style={{display: 'block', marginBottom: '5px', fontWeight: 'bold'}}>Default Region</label>
-                       <input type="text" value="Tirupati District" disabled style={{width: '100%', padding: '8px', background: '#F9FAFB', border: '1px solid #D1D5DB', borderRadius: '6px'}} />
+                 <p style={{color: '#64748B', fontSize: '0.9rem', margin: '10px 0 20px'}}>
+                    District configuration, kept in this browser. Decision thresholds grade each mapped transition (Safe to Act / Review Required / Field Validation);
+                    CPRI cut-offs route transitions to departments, committee review or field surveys. Export a file to share a district's tuning and import it elsewhere.
+                 </p>
+                 {(() => {
+                    const fieldStyle = {width: '100%', padding: '8px', border: '1px solid #D1D5DB', borderRadius: '6px', boxSizing: 'border-box', background: canEditRules ? 'white' : '#F9FAFB'};
+                    const labelStyle = {display: 'block', marginBottom: '5px', fontWeight: 'bold'};
+                    const field = (label, path, value, props = {}) => (
+                       <div style={{marginBottom: '15px'}}>
+                          <label style={labelStyle}>{label}</label>
+                          <input
+                             value={value}
+                             onChange={(e) => updateSettingsDraft(path, e.target.value)}
+                             disabled={!canEditRules}
+                             style={fieldStyle}
+                             {...props}
+                          />
+                       </div>
+                    );
+                    const { decision, cpri } = settingsDraft.thresholds;
+                    return (
+                       <div style={{display: 'grid', gridTemplateColumns: '1fr 1fr', columnGap: '20px'}}>
+                          {field('Region', 'region', settingsDraft.region, { type: 'text' })}
+                          {field('Data Version', 'dataVersion', settingsDraft.dataVersion, { type: 'text' })}
+                          {field('Analysis Period Start', 'analysisPeriod.start', settingsDraft.analysisPeriod.start, { type: 'number', step: 1 })}
+                          {field('Analysis Period End', 'analysisPeriod.end', settingsDraft.analysisPeriod.end, { type: 'number', step: 1 })}
+                          {field('Master Plan Year', 'masterPlanYear', settingsDraft.masterPlanYear, { type: 'number', step: 1 })}
+                          <div />
+                          {field('Decision: Safe to Act at confidence ≥', 'thresholds.decision.act', decision.act, { type: 'number', step: 0.01, min: 0, max: 1 })}
+                          {field('Decision: Review Required at confidence ≥', 'thresholds.decision.review', decision.review, { type: 'number', step: 0.01, min: 0, max: 1 })}
+                          {field('CPRI: Ready for Action at ≥', 'thresholds.cpri.ready', cpri.ready, { type: 'number', step: 0.01, min: 0, max: 1 })}
+                          {field('CPRI: Committee Review at ≥', 'thresholds.cpri.review', cpri.review, { type: 'number', step: 0.01, min: 0, max: 1 })}
+                       </div>
+                    );
+                 })()}
+                 <div style={{marginBottom: '15px'}}>
+                    <label style={{display: 'block', marginBottom: '5px', fontWeight: 'bold'}}>User Role</label>
+                    <input type="text" value={`${currentUser.name} (${ROLE_LABELS[currentUser.role]})`} disabled style={{width: '100%', padding: '8px', background: '#F9FAFB', border: '1px solid #D1D5DB', borderRadius: '6px', boxSizing: 'border-box'}} />
+                 </div>
+                 <div style={{display: 'flex', gap: '10px', alignItems: 'center', marginTop: '10px', flexWrap: 'wrap'}}>
+                    {canEditRules && (
+                       <>
+                          <button className="rank-btn active" onClick={handleSaveSettings}>Save Settings</button>
+                          <button className="rank-btn" onClick={handleResetSettings}>Reset to Defaults</button>
+                          <label className="rank-btn" style={{cursor: 'pointer'}}>
+                             Import JSON
+                             <input type="file" accept=".json,application/json" onChange={handleImportSettings} style={{display: 'none'}} />
+                          </label>
+                       </>
+                    )}
+                    <button className="rank-btn" onClick={handleExportSettings}>Export JSON</button>
+                    {settingsSaved && <span style={{fontSize: '0.8rem', color: '#065F46'}}>✓ Saved. Dashboards and reports now use these settings.</span>}
+                    {!canEditRules && <span style={{fontSize: '0.8rem', color: '#94A3B8'}}>Read-only. Changing settings requires the Administrator role.</span>}
+                 </div>
+                 {settingsError && (
+                    <div style={{marginTop: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                       {settingsError}
                     </div>
-                    <div style={{marginBottom: '15px'}}>
-                       <label style={{display: 'block', marginBottom: '5px', fontWeight: 'bold'}}>Analysis Model</label>
-                       <select disabled style={{width: '100%', padding: '8px', background: '#F9FAFB', border: '1px solid #D1D5DB', borderRadius: '6px'}}>
-                          <option>Sentinel-2 (10m) v2.1</option>
+                 )}
+              </div>
+
+              {/* USER ACCOUNTS */}
+              {canManageUsers && (
+                 <div className="card" style={{padding: '40px', marginTop: '30px'}}>
+                    <h2>🔐 User Accounts</h2>
+                    <p style={{color: '#64748B', fontSize: '0.9rem', margin: '10px 0 20px'}}>
+                       Viewers can read dashboards and reports. Analysts can also upload data, manage field surveys, edit policy scenarios and handle alerts.
+                       Administrators can also edit alert rules, personas and system settings, publish reports and manage accounts.
+                    </p>
+                    <div className="action-table-container">
+                       <table className="modern-table" style={{width: '100%'}}>
+                          <thead>
+                             <tr><th>Username</th><th>Name</th><th>Role</th><th></th></tr>
+                          </thead>
+                          <tbody>
+                             {users.map(u => (
+                                <tr key={u.username}>
+                                   <td style={{fontFamily: 'monospace'}}>{u.username}</td>
+                                   <td>{u.name}{u.username === currentUser.username && <span style={{color: '#94A3B8'}}> (you)</span>}</td>
+                                   <td>
+                                      <select
+                                         value={u.role}
+                                         onChange={(e) => handleUserChange(() => setUserRole(u.username, e.target.value))}
+                                         style={{padding: '4px 8px', borderRadius: '6px', border: '1px solid #CBD5E1', fontWeight: '600'}}
+                                      >
+                                         {ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+                                      </select>
+                                   </td>
+                                   <td>
+                                      {u.username !== currentUser.username && (
+                                         <button className="rank-btn" onClick={() => handleUserChange(() => removeUser(u.username))} style={{color: '#B91C1C'}}>Remove</button>
+                                      )}
+                                   </td>
+                                </tr>
+                             ))}
+                          </tbody>
+                       </table>
+                    </div>
+                    <div style={{display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginTop: '15px'}}>
+                       <input placeholder="username" value={userDraft.username} onChange={(e) => setUserDraft({ ...userDraft, username: e.target.value })} style={{padding: '6px 8px', borderRadius: '6px', border: '1px solid #CBD5E1'}} />
+                       <input placeholder="Full name" value={userDraft.name} onChange={(e) => setUserDraft({ ...userDraft, name: e.target.value })} style={{padding: '6px 8px', borderRadius: '6px', border: '1px solid #CBD5E1'}} />
+                       <select value={userDraft.role} onChange={(e) => setUserDraft({ ...userDraft, role: e.target.value })} style={{padding: '4px 8px', borderRadius: '6px', border: '1px solid #CBD5E1', fontWeight: '600'}}>
+                          {ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
                        </select>
+                       <input type="password" placeholder="Initial password" value={userDraft.password} onChange={(e) => setUserDraft({ ...userDraft, password: e.target.value })} style={{padding: '6px 8px', borderRadius: '6px', border: '1px solid #CBD5E1'}} />
+                       <button className="rank-btn active" onClick={handleAddUser}>+ Add Officer</button>
                     </div>
-                    <div style={{marginBottom: '15px'}}>
-                       <label style={{display: 'block', marginBottom: '5px', fontWeight: 'bold'}}>User Role</label>
-                       <input type="text" value="City Planner (Admin)" disabled style={{width: '100%', padding: '8px', background: '#F9FAFB', border: '1px solid #D1D5DB', borderRadius: '6px'}} />
+                    {userError && (
+                       <div style={{marginTop: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                          {userError}
+                       </div>
+                    )}
+                 </div>
+              )}
+
+              {/* PERSONA EDITOR */}
+              <div className="card" style={{padding: '40px', marginTop: '30px'}}>
+                 <h2>👥 Stakeholder Personas</h2>
+                 <p style={{color: '#64748B', fontSize: '0.9rem', margin: '10px 0 20px'}}>
+                    Each persona sets transition <code>weights</code>, the <code>focus</code> transitions ranked first, the headline <code>narrative</code> and change <code>story</code> templates, and its <code>defaultScenario</code>.
+                    Filters use the same <code>match</code> fields as alert rules. Alert rules can reword themselves per persona id through <code>titles</code> and <code>messages</code>.
+                 </p>
+                 <textarea
+                    value={personasDraft}
+                    onChange={(e) => { setPersonasDraft(e.target.value); setPersonasSaved(false); }}
+                    readOnly={!canEditRules}
+                    spellCheck={false}
+                    style={{width: '100%', minHeight: '360px', fontFamily: 'monospace', fontSize: '0.8rem', padding: '12px', border: '1px solid #D1D5DB', borderRadius: '6px', boxSizing: 'border-box'}}
+                 />
+                 {canEditRules ? (
+                    <div style={{display: 'flex', gap: '10px', alignItems: 'center', marginTop: '10px'}}>
+                       <button className="rank-btn active" onClick={handleSavePersonas}>Save Personas</button>
+                       <button className="rank-btn" onClick={handleAddPersonaDraft}>+ Add Persona</button>
+                       <button className="rank-btn" onClick={handleResetPersonas}>Reset to Defaults</button>
+                       {personasSaved && <span style={{fontSize: '0.8rem', color: '#065F46'}}>✓ Saved. {personas.length} personas available on the dashboard.</span>}
                     </div>
+                 ) : (
+                    <div style={{marginTop: '10px', fontSize: '0.8rem', color: '#94A3B8'}}>Read-only. Editing personas requires the Administrator role.</div>
+                 )}
+                 {personasError && (
+                    <div style={{marginTop: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                       {personasError}
+                    </div>
+                 )}
+              </div>
+
+              {/* ALERT RULE EDITOR */}
+              <div className="card" style={{padding: '40px', marginTop: '30px'}}>
+                 <h2>🚨 Governance Alert Rules</h2>
+                 <p style={{color: '#64748B', fontSize: '0.9rem', margin: '10px 0 20px'}}>
+                    Each rule is a JSON object. Kinds: <code>records</code> (current period), <code>consecutive</code> (last N periods) and <code>trend</code> (baseline deviation index).
+                    Set <code>"enabled": false</code> to switch a rule off.
+                 </p>
+                 <div style={{display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '15px'}}>
+                    {alertRules.map(rule => {
+                       const fired = governanceAlerts.find(a => a.ruleId === rule.id);
+                       return (
+                          <span key={rule.id} style={{fontSize: '0.75rem', fontWeight: '600', padding: '4px 8px', borderRadius: '12px', border: '1px solid #E2E8F0', background: rule.enabled === false ? '#F8FAFC' : fired ? '#FEF2F2' : '#F0FDF4', color: rule.enabled === false ? '#94A3B8' : fired ? '#991B1B' : '#065F46'}}>
+                             {rule.icon} {rule.id}: {rule.enabled === false ? 'off' : fired ? (fired.items.length > 0 ? `fired (${fired.items.length} records)` : 'fired') : 'quiet'}
+                          </span>
+                       );
+                    })}
                  </div>
+                 <textarea
+                    value={rulesDraft}
+                    onChange={(e) => { setRulesDraft(e.target.value); setRulesSaved(false); }}
+                    readOnly={!canEditRules}
+                    spellCheck={false}
+                    style={{width: '100%', minHeight: '360px', fontFamily: 'monospace', fontSize: '0.8rem', padding: '12px', border: '1px solid #D1D5DB', borderRadius: '6px', boxSizing: 'border-box'}}
+                 />
+                 {canEditRules ? (
+                    <div style={{display: 'flex', gap: '10px', alignItems: 'center', marginTop: '10px'}}>
+                       <button className="rank-btn active" onClick={handleSaveRules}>Save Rules</button>
+                       <button className="rank-btn" onClick={handleResetRules}>Reset to Defaults</button>
+                       {rulesSaved && <span style={{fontSize: '0.8rem', color: '#065F46'}}>✓ Saved. Alerts now use these rules.</span>}
+                    </div>
+                 ) : (
+                    <div style={{marginTop: '10px', fontSize: '0.8rem', color: '#94A3B8'}}>Read-only. Editing alert rules requires the Administrator role.</div>
+                 )}
+                 {rulesError && (
+                    <div style={{marginTop: '10px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                       {rulesError}
+                    </div>
+                 )}
               </div>
            </div>
         )}
@@ -1,8 +1,95 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter, useLocation } from 'react-router';
 import App from './App';
+import { loadTransitionData, parseTransitionRows } from './dataLoader';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Charts need a canvas and the bundled samples a server; neither exists under jsdom
+jest.mock('react-chartjs-2', () => ({ Line: () => null, Bar: () => null }));
+jest.mock('./dataLoader', () => ({
+  ...jest.requireActual('./dataLoader'),
+  loadJson: () => new Promise(() => {}),
+  loadTransitionData: jest.fn(),
+  loadTimeSeriesData: () => new Promise(() => {})
+}));
+
+let location;
+const LocationProbe = () => {
+  location = useLocation();
+  return null;
+};
+
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <App />
+    <LocationProbe />
+  </MemoryRouter>
+);
+
+const pending = () => new Promise(() => {});
+
+beforeEach(() => {
+  window.localStorage.clear();
+  loadTransitionData.mockImplementation(pending);
+});
+
+test('asks for sign-in before showing the dashboard', async () => {
+  renderAt('/dashboard');
+  expect(await screen.findByRole('button', { name: 'Sign in' })).toBeInTheDocument();
+  expect(screen.queryByText('Decision Support System')).not.toBeInTheDocument();
+});
+
+test('sends the root path to the dashboard, keeping the view query', async () => {
+  window.localStorage.setItem('lulc.session', JSON.stringify({ username: 'admin' }));
+  renderAt('/?persona=environmental_officer');
+  expect(await screen.findByText('Decision Support System')).toBeInTheDocument();
+  expect(location.pathname).toBe('/dashboard');
+  expect(location.search).toBe('?persona=environmental_officer');
+});
+
+test('keeps the selected region across a visit to Settings', async () => {
+  window.localStorage.setItem('lulc.session', JSON.stringify({ username: 'admin' }));
+  renderAt('/dashboard/regions/Sector-12');
+  fireEvent.click(await screen.findByText('Settings'));
+  expect(location.pathname).toBe('/settings');
+  fireEvent.click(screen.getByText('Map View'));
+  expect(location.pathname).toBe('/map/regions/Sector-12');
+});
+
+test('leaves persistence rows out of the regional CPRI on the map', async () => {
+  window.localStorage.setItem('lulc.session', JSON.stringify({ username: 'admin' }));
+  const change = [2020, 2022].map(year => ({ year, from_lulc: 'Forest', to_lulc: 'Built-up', area_sq_km: 1, confidence: 0.6, region_id: 'Sector-A' }));
+  // A large, confidently mapped Forest → Forest stock would top every change trend
+  const persistence = [2020, 2022].map(year => ({ year, from_lulc: 'Forest', to_lulc: 'Forest', area_sq_km: 300, confidence: 0.99, region_id: 'Sector-A' }));
+
+  const regionCpri = async (rows) => {
+    loadTransitionData.mockImplementation(() => Promise.resolve(parseTransitionRows(rows)));
+    const { unmount } = renderAt('/map');
+    fireEvent.click(await screen.findByText('CPRI'));
+    // Sector-A is the only region, so its row holds the only CPRI reading
+    const { textContent: value } = await screen.findByText(/^CPRI \d\.\d\d$/);
+    unmount();
+    return value;
+  };
+
+  const changeOnly = await regionCpri(change);
+  expect(await regionCpri([...change, ...persistence])).toBe(changeOnly);
+});
+
+test('explains a linked region the active dataset does not have', async () => {
+  window.localStorage.setItem('lulc.session', JSON.stringify({ username: 'admin' }));
+  const rows = [{ year: 2022, from_lulc: 'Forest', to_lulc: 'Built-up', area_sq_km: 1, confidence: 0.9, region_id: 'Sector-A' }];
+  loadTransitionData.mockImplementation(() => Promise.resolve(parseTransitionRows(rows)));
+  renderAt('/dashboard/regions/Bogus');
+  expect(await screen.findByText(/Region Bogus is not in the active dataset/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Show the whole district'));
+  expect(location.pathname).toBe('/dashboard');
+});
+
+test('shows why the dashboard is empty when the bundled data fails to load', async () => {
+  window.localStorage.setItem('lulc.session', JSON.stringify({ username: 'admin' }));
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  loadTransitionData.mockImplementation(() => Promise.reject(new Error('Failed to fetch /transition_data.csv (404)')));
+  renderAt('/dashboard');
+  expect(await screen.findByText(/Transition data \(.+\) failed to load: Failed to fetch \/transition_data\.csv \(404\)/)).toBeInTheDocument();
+  consoleError.mockRestore();
 });
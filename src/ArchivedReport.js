@@ -0,0 +1,104 @@
+import React from "react";
+
+const STATUS_LABELS = { open: 'Open', acknowledged: 'Acknowledged', resolved: 'Resolved' };
+
+// ARCHIVED REPORT
+// Read-only rendering of a report snapshot, exactly as it was archived. onDownloadPdf is
+// omitted for roles that cannot publish reports.
+function ArchivedReport({ report, onClose, onDownloadPdf, error }) {
+  const { context, thresholds, narrative, metrics } = report;
+  const fieldTasks = report.fieldTasks || []; // not recorded by the first archived reports
+
+  return (
+    <div className="report-overlay">
+       {onDownloadPdf && <button className="report-print-btn" onClick={onDownloadPdf}>⬇️ Download PDF</button>}
+       <button className="report-close-btn" onClick={onClose}>×</button>
+       <div className="report-paper">
+          {error && (
+             <div className="no-print" style={{marginBottom: '15px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+                {error}
+             </div>
+          )}
+          <div className="report-header-section">
+             <h1 className="report-title">Planning Intelligence Report</h1>
+             <div className="report-subtitle">Official Strategic Briefing • {context.region}</div>
+             <div className="report-meta">
+               Ref: {report.id} | Archived: {new Date(report.createdAt).toLocaleString()} by {report.createdBy.name} | Scenario: {context.scenario.toUpperCase()} | Persona: {context.persona.name.toUpperCase()} | Data: {context.dataVersion}
+             </div>
+             <div className="report-meta">
+               Dataset: {context.datasetName}{context.regionScope ? ` • Region ${context.regionScope}` : ''}
+             </div>
+          </div>
+
+          <div className="report-section">
+             <div className="report-section-title">1. Executive Summary</div>
+             <div className="report-content">
+               <p><strong>{narrative.title}</strong></p>
+               <p>{narrative.body}</p>
+               <p>
+                 Net urban growth {metrics.urbanVelocity} km²/yr ({metrics.urbanStatus}) • Confidence stability {metrics.stabilityScore}/1.0 ({metrics.stabilityLabel}) • Top trend CPRI {metrics.topCpri}
+               </p>
+             </div>
+          </div>
+
+          <div className="report-section">
+             <div className="report-section-title">2. Strategic Action Plan</div>
+             <table className="report-table">
+                <thead>
+                   <tr>
+                      <th>Priority Action</th>
+                      <th>Department</th>
+                      <th>Timeline</th>
+                   </tr>
+                </thead>
+                <tbody>
+                   {report.actions.map((action, i) => (
+                      <tr key={i}>
+                         <td><strong>{action.action}</strong><br />{action.details}</td>
+                         <td>{action.dept}</td>
+                         <td><span className="report-badge">{action.urgency.toUpperCase()}</span></td>
+                      </tr>
+                   ))}
+                </tbody>
+             </table>
+          </div>
+
+          <div className="report-section">
+             <div className="report-section-title">3. Governance Alerts</div>
+             <div className="report-content">
+                {report.alerts.length > 0 ? report.alerts.map(alert => (
+                   <p key={alert.id}><strong>{alert.icon} {alert.title}:</strong> {alert.desc} <em>({STATUS_LABELS[alert.status] || alert.status})</em></p>
+                )) : <p>No critical alerts were triggered.</p>}
+             </div>
+          </div>
+
+          {fieldTasks.length > 0 && (
+             <div className="report-section">
+                <div className="report-section-title">4. Field Validation Tasks</div>
+                <div className="report-content">
+                   {fieldTasks.map((task, i) => (
+                      <p key={i}>{task.status === 'dispatched' ? '[→]' : '[ ]'} <strong>{task.task}:</strong> {task.reason} (Priority: {task.priority})</p>
+                   ))}
+                </div>
+             </div>
+          )}
+
+          <div className="report-section">
+             <div className="report-section-title">{fieldTasks.length > 0 ? 5 : 4}. Decision Thresholds in Force</div>
+             <div className="report-content">
+                <p>
+                  Safe to Act at confidence ≥ {thresholds.decision.act}; Review Required at ≥ {thresholds.decision.review}.
+                  CPRI ≥ {thresholds.cpri.ready} routes to a department, ≥ {thresholds.cpri.review} to committee review, below that to field validation.
+                </p>
+             </div>
+          </div>
+
+          <div className="report-footer" style={{marginTop: '50px', textAlign: 'center', fontSize: '0.8rem', borderTop: '1px solid #ccc', paddingTop: '10px'}}>
+             District Planning Authority • Archived Decision Document {report.id}
+          </div>
+       </div>
+    </div>
+  );
+}
+
+export default ArchivedReport;
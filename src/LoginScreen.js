@@ -0,0 +1,53 @@
+import React, { useState } from "react";
+import { authenticate } from "./accessControl";
+
+// SIGN-IN SCREEN
+// Checks credentials against the local identity store and hands the profile to the app.
+function LoginScreen({ onSignIn }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    authenticate(username, password)
+      .then(onSignIn)
+      .catch(err => {
+        setError(err.message);
+        setBusy(false);
+      });
+  };
+
+  const inputStyle = {width: '100%', padding: '10px', border: '1px solid #CBD5E1', borderRadius: '6px', boxSizing: 'border-box', marginBottom: '15px'};
+
+  return (
+    <div style={{minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#F8FAFC'}}>
+      <form onSubmit={handleSubmit} className="card" style={{width: '360px', padding: '40px'}}>
+        <div className="logo-container" style={{padding: 0, marginBottom: '30px'}}>
+          <div className="logo-icon">L</div>
+          <div className="logo-text">LULC Analytics</div>
+        </div>
+        <label style={{display: 'block', marginBottom: '5px', fontWeight: 'bold'}} htmlFor="login-username">Username</label>
+        <input id="login-username" value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" autoFocus style={inputStyle} />
+        <label style={{display: 'block', marginBottom: '5px', fontWeight: 'bold'}} htmlFor="login-password">Password</label>
+        <input id="login-password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" style={inputStyle} />
+        {error && (
+          <div style={{marginBottom: '15px', padding: '8px 12px', background: '#FEF2F2', border: '1px solid #FECACA', borderRadius: '6px', color: '#991B1B', fontSize: '0.8rem'}}>
+            {error}
+          </div>
+        )}
+        <button type="submit" className="rank-btn active" disabled={busy || !username || !password} style={{width: '100%', padding: '10px'}}>
+          {busy ? 'Signing in…' : 'Sign in'}
+        </button>
+        <p style={{fontSize: '0.75rem', color: '#94A3B8', marginTop: '20px', lineHeight: 1.5}}>
+          Local identity store. Demo accounts: <code>admin</code>, <code>analyst</code> and <code>viewer</code> (password: username + <code>123</code>).
+        </p>
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import { projectFeatures, choroplethColor, CHOROPLETH_PALETTES } from "./geoMap";
+
+const MAP_WIDTH = 640;
+const MAP_HEIGHT = 420;
+
+// CHOROPLETH REGION MAP
+// values: { [region_id]: number } for the active metric. Regions without a value are greyed out.
+function RegionMap({ features, values, metric, formatValue, selectedRegion, onSelectRegion }) {
+  const [hovered, setHovered] = useState(null);
+
+  const shapes = projectFeatures(features, MAP_WIDTH, MAP_HEIGHT);
+  const palette = CHOROPLETH_PALETTES[metric];
+  const known = Object.values(values).filter(v => v !== null && !Number.isNaN(v));
+  const min = known.length > 0 ? Math.min(...known) : 0;
+  const max = known.length > 0 ? Math.max(...known) : 0;
+  const hoveredShape = shapes.find(s => s.regionId === hovered);
+
+  return (
+    <div style={{position: 'relative'}}>
+      <svg viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} style={{width: '100%', height: 'auto', background: '#F8FAFC', borderRadius: '8px', border: '1px solid #E2E8F0'}}>
+        {shapes.map(shape => {
+          const value = values[shape.regionId];
+          const isSelected = shape.regionId === selectedRegion;
+          return (
+            <path
+              key={shape.regionId}
+              d={shape.path}
+              fillRule="evenodd"
+              fill={choroplethColor(value, min, max, palette)}
+              stroke={isSelected ? '#0F172A' : '#FFFFFF'}
+              strokeWidth={isSelected ? 3 : 1.5}
+              style={{cursor: 'pointer', opacity: selectedRegion && !isSelected ? 0.55 : 1, transition: 'opacity 0.2s'}}
+              onMouseEnter={() => setHovered(shape.regionId)}
+              onMouseLeave={() => setHovered(null)}
+              onClick={() => onSelectRegion(isSelected ? null : shape.regionId)}
+            />
+          );
+        })}
+        {shapes.map(shape => (
+          <text key={`label-${shape.regionId}`} x={shape.centroid[0]} y={shape.centroid[1]} textAnchor="middle" style={{fontSize: '11px', fontWeight: 700, fill: '#1E293B', pointerEvents: 'none'}}>
+            {shape.regionId}
+          </text>
+        ))}
+      </svg>
+
+      {hoveredShape && (
+        <div style={{position: 'absolute', top: '10px', left: '10px', background: '#1E293B', color: 'white', padding: '8px 12px', borderRadius: '6px', fontSize: '0.8rem', pointerEvents: 'none'}}>
+          <div style={{fontWeight: 700}}>{hoveredShape.name}</div>
+          <div>{formatValue(values[hoveredShape.regionId])}</div>
+        </div>
+      )}
+
+      {/* LEGEND */}
+      <div style={{display: 'flex', alignItems: 'center', gap: '8px', marginTop: '10px', fontSize: '0.75rem', color: '#64748B'}}>
+        <span>{formatValue(min)}</span>
+        <div style={{display: 'flex'}}>
+          {palette.map(c => <div key={c} style={{width: '28px', height: '10px', background: c}} />)}
+        </div>
+        <span>{formatValue(max)}</span>
+        <span style={{display: 'inline-flex', alignItems: 'center', gap: '4px', marginLeft: '10px'}}>
+          <span style={{width: '12px', height: '10px', background: '#E2E8F0', display: 'inline-block'}} /> No data
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default RegionMap;
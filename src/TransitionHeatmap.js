@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+
+const cellStyle = { padding: '10px 6px', textAlign: 'center', fontSize: '0.85rem', border: '1px solid #FFFFFF' };
+const headStyle = { ...cellStyle, fontSize: '0.75rem', fontWeight: 700, color: '#475569', background: '#F1F5F9' };
+const totalStyle = { ...cellStyle, fontWeight: 700, color: '#1E293B', background: '#F8FAFC' };
+
+// TRANSITION MATRIX HEATMAP
+// Rows are the source class (From), columns the target class (To). Cell shade scales with
+// area; hovering shows the area-weighted confidence. Clicking a change cell selects it.
+function TransitionHeatmap({ matrix, selected, onSelectCell }) {
+  const [hovered, setHovered] = useState(null);
+  const { classes, cells, grossLoss, grossGain, persistence, totalChange, maxChangeArea } = matrix;
+  const hoveredCell = hovered ? cells[hovered.from][hovered.to] : null;
+
+  const shade = (area) => {
+    if (area <= 0 || maxChangeArea <= 0) return '#FFFFFF';
+    return `rgba(239, 68, 68, ${(0.12 + 0.78 * (area / maxChangeArea)).toFixed(2)})`;
+  };
+
+  return (
+    <div>
+      <table style={{width: '100%', borderCollapse: 'collapse', tableLayout: 'fixed'}}>
+        <thead>
+          <tr>
+            <th style={{...headStyle, textAlign: 'left'}}>From ↓ / To →</th>
+            {classes.map(cls => <th key={cls} style={headStyle}>{cls}</th>)}
+            <th style={{...headStyle, color: '#991B1B'}}>Gross Loss</th>
+          </tr>
+        </thead>
+        <tbody>
+          {classes.map(from => (
+            <tr key={from}>
+              <th style={{...headStyle, textAlign: 'left'}}>{from}</th>
+              {classes.map(to => {
+                const cell = cells[from][to];
+                const isDiagonal = from === to;
+                const isSelected = selected && selected.from === from && selected.to === to;
+                const clickable = !isDiagonal && cell.area > 0;
+                return (
+                  <td
+                    key={to}
+                    onMouseEnter={() => setHovered({ from, to })}
+                    onMouseLeave={() => setHovered(null)}
+                    onClick={() => clickable && onSelectCell(isSelected ? null : { from, to })}
+                    title={cell.confidence !== null ? `${from} → ${to}: ${cell.area.toFixed(1)} sq km @ ${(cell.confidence * 100).toFixed(0)}% conf.` : undefined}
+                    style={{
+                      ...cellStyle,
+                      background: isDiagonal ? '#E2E8F0' : shade(cell.area),
+                      color: isDiagonal ? '#64748B' : '#1E293B',
+                      fontWeight: cell.area > 0 ? 700 : 400,
+                      cursor: clickable ? 'pointer' : 'default',
+                      outline: isSelected ? '3px solid #0F172A' : 'none',
+                      outlineOffset: '-3px'
+                    }}
+                  >
+                    {isDiagonal
+                      ? (persistence[from] !== null ? persistence[from].toFixed(1) : '—')
+                      : (cell.area > 0 ? cell.area.toFixed(1) : '·')}
+                  </td>
+                );
+              })}
+              <td style={{...totalStyle, color: '#991B1B'}}>{grossLoss[from].toFixed(1)}</td>
+            </tr>
+          ))}
+          <tr>
+            <th style={{...headStyle, textAlign: 'left', color: '#065F46'}}>Gross Gain</th>
+            {classes.map(cls => <td key={cls} style={{...totalStyle, color: '#065F46'}}>{grossGain[cls].toFixed(1)}</td>)}
+            <td style={{...totalStyle, background: '#E2E8F0'}}>{totalChange.toFixed(1)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div style={{marginTop: '10px', minHeight: '20px', fontSize: '0.8rem', color: '#475569'}}>
+        {hoveredCell && hoveredCell.confidence !== null ? (
+          <span>
+            <strong>{hoveredCell.from} → {hoveredCell.to}</strong>: {hoveredCell.area.toFixed(2)} sq km across {hoveredCell.count} record(s) • Confidence <strong>{(hoveredCell.confidence * 100).toFixed(0)}%</strong>
+          </span>
+        ) : (
+          <span style={{color: '#94A3B8'}}>Values in sq km. Diagonal = persistence (— when not supplied). Hover for confidence, click a cell to filter the Priority Index.</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TransitionHeatmap;
@@ -0,0 +1,113 @@
+import { readStored, writeStored, removeStored } from "./storage";
+
+// ACCESS CONTROL
+// Local stand-in for the department identity provider: officer accounts live in browser
+// storage with salted SHA-256 password hashes, and a role decides what each officer may
+// change. Everything runs client-side, so this keeps honest users in their lane; it is not
+// a security boundary. Swap authenticate() for the real directory when one is available.
+
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+export const ROLE_LABELS = {
+  viewer: 'Viewer',
+  analyst: 'Analyst',
+  admin: 'Administrator'
+};
+
+// permission -> roles allowed
+export const PERMISSIONS = {
+  'data.upload': ['analyst', 'admin'],       // datasets, boundaries, reference samples
+  'scenarios.edit': ['analyst', 'admin'],    // policy scenarios
+  'surveys.manage': ['analyst', 'admin'],    // dispatch and complete field surveys
+  'alerts.resolve': ['analyst', 'admin'],    // acknowledge, assign, resolve, reopen
+  'rules.edit': ['admin'],                   // alert rules, personas and thresholds
+  'reports.publish': ['admin'],
+  'users.manage': ['admin']
+};
+
+// Demo accounts seeded on first run; passwords are <username>123
+const SEED_USERS = [
+  { username: 'admin', name: 'District Administrator', role: 'admin', salt: 'lulc-admin', passwordHash: '1d5971b1888f37f1c585321979640bee002ef9e72364c42351960e10304e5184' },
+  { username: 'analyst', name: 'GIS Analyst', role: 'analyst', salt: 'lulc-analyst', passwordHash: '9bfc753e2423d12b05e5b288019ee40a91f65b5b94ec5e51d67d1129d4239291' },
+  { username: 'viewer', name: 'Planning Observer', role: 'viewer', salt: 'lulc-viewer', passwordHash: '730b9e6eb63cb82128ffdd8592bd22787b0b00cae239b15861d4a8d11c4da102' }
+];
+
+const USERS_KEY = 'users';
+const SESSION_KEY = 'session';
+
+export const can = (user, permission) => Boolean(user && PERMISSIONS[permission]?.includes(user.role));
+
+// Public profile only; hashes never leave this module
+const toProfile = ({ username, name, role }) => ({ username, name, role });
+
+const loadAccounts = () => readStored(USERS_KEY, null) || SEED_USERS;
+
+export const listUsers = () => loadAccounts().map(toProfile);
+
+export const getInitials = (name) => name.split(/\s+/).filter(Boolean).slice(0, 2).map(w => w[0].toUpperCase()).join('');
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+// Always settles as a promise: browsers only expose crypto.subtle on HTTPS and localhost,
+// and a plain-HTTP intranet origin must get a message, not a stuck sign-in form
+export const hashPassword = (password, salt) => new Promise((resolve, reject) => {
+  if (!window.crypto?.subtle) {
+    reject(new Error('This browser only allows sign-in over HTTPS (or on localhost). Open the dashboard through its https:// address.'));
+    return;
+  }
+  window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`)).then(toHex).then(resolve, reject);
+});
+
+// Resolves to the signed-in profile; rejects with a message fit for the login form
+export const authenticate = (username, password) => {
+  const account = loadAccounts().find(u => u.username === username.trim().toLowerCase());
+  if (!account) return Promise.reject(new Error('Unknown username or wrong password'));
+  return hashPassword(password, account.salt).then(hash => {
+    if (hash !== account.passwordHash) throw new Error('Unknown username or wrong password');
+    const profile = toProfile(account);
+    writeStored(SESSION_KEY, { username: profile.username, signedInAt: new Date().toISOString() });
+    return profile;
+  });
+};
+
+// The session survives reloads until sign-out; a deleted account ends it
+export const getSessionUser = () => {
+  const session = readStored(SESSION_KEY, null);
+  const account = session && loadAccounts().find(u => u.username === session.username);
+  return account ? toProfile(account) : null;
+};
+
+export const signOut = () => removeStored(SESSION_KEY);
+
+// ACCOUNT MANAGEMENT (admins)
+const persist = (accounts) => (writeStored(USERS_KEY, accounts) ? accounts.map(toProfile) : null);
+
+const adminCount = (accounts) => accounts.filter(u => u.role === 'admin').length;
+
+// Resolves to the updated profile list (null when storage is full); rejects on invalid input
+export const addUser = ({ username, name, role, password }) => {
+  const id = (username || '').trim().toLowerCase();
+  const accounts = loadAccounts();
+  if (!/^[a-z0-9._-]{3,}$/.test(id)) return Promise.reject(new Error('Username needs 3+ letters, digits, dots, dashes or underscores'));
+  if (accounts.some(u => u.username === id)) return Promise.reject(new Error(`"${id}" already exists`));
+  if (!name || !name.trim()) return Promise.reject(new Error('Enter the officer\'s name'));
+  if (!ROLES.includes(role)) return Promise.reject(new Error(`Unknown role "${role}"`));
+  if (!password || password.length < 8) return Promise.reject(new Error('Password must be at least 8 characters'));
+
+  const salt = `lulc-${id}-${Date.now().toString(36)}`;
+  return hashPassword(password, salt).then(passwordHash => persist([...accounts, { username: id, name: name.trim(), role, salt, passwordHash }]));
+};
+
+// Throws when the change would leave no administrator
+export const setUserRole = (username, role) => {
+  if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}"`);
+  const accounts = loadAccounts().map(u => (u.username === username ? { ...u, role } : u));
+  if (adminCount(accounts) === 0) throw new Error('Keep at least one administrator');
+  return persist(accounts);
+};
+
+export const removeUser = (username) => {
+  const accounts = loadAccounts().filter(u => u.username !== username);
+  if (adminCount(accounts) === 0) throw new Error('Keep at least one administrator');
+  return persist(accounts);
+};
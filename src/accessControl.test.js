@@ -0,0 +1,57 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { can, authenticate, getSessionUser, signOut, listUsers, addUser, setUserRole, removeUser } from './accessControl';
+
+// jsdom has no WebCrypto; Node's implementation is the same API
+beforeAll(() => {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+});
+
+beforeEach(() => window.localStorage.clear());
+
+test('roles grant increasing permissions', () => {
+  const viewer = { role: 'viewer' };
+  const analyst = { role: 'analyst' };
+  const admin = { role: 'admin' };
+  expect(can(viewer, 'data.upload')).toBe(false);
+  expect(can(analyst, 'data.upload')).toBe(true);
+  expect(can(analyst, 'alerts.resolve')).toBe(true);
+  expect(can(analyst, 'rules.edit')).toBe(false);
+  expect(can(admin, 'reports.publish')).toBe(true);
+  expect(can(null, 'data.upload')).toBe(false);
+});
+
+test('signs in against the seeded store and keeps the session', async () => {
+  await expect(authenticate('analyst', 'wrong')).rejects.toThrow('wrong password');
+  const profile = await authenticate(' Analyst ', 'analyst123');
+  expect(profile).toEqual({ username: 'analyst', name: 'GIS Analyst', role: 'analyst' });
+  expect(getSessionUser()).toEqual(profile);
+  signOut();
+  expect(getSessionUser()).toBeNull();
+});
+
+test('admins add officers and cannot remove the last administrator', async () => {
+  await expect(addUser({ username: 'ro', name: 'Revenue Officer', role: 'analyst', password: 'longenough' })).rejects.toThrow('Username');
+  const users = await addUser({ username: 'revenue.officer', name: 'Revenue Officer', role: 'viewer', password: 'longenough' });
+  expect(users.map(u => u.username)).toContain('revenue.officer');
+  await expect(authenticate('revenue.officer', 'longenough')).resolves.toMatchObject({ role: 'viewer' });
+
+  expect(setUserRole('revenue.officer', 'analyst').find(u => u.username === 'revenue.officer').role).toBe('analyst');
+  expect(() => setUserRole('admin', 'viewer')).toThrow('administrator');
+  expect(() => removeUser('admin')).toThrow('administrator');
+  expect(removeUser('viewer').map(u => u.username)).not.toContain('viewer');
+  expect(listUsers()).toHaveLength(3);
+});
+
+test('rejects sign-in and new accounts with a message when WebCrypto is unavailable', async () => {
+  // crypto.subtle only exists in secure contexts, e.g. not on a plain-HTTP intranet host
+  Object.defineProperty(window, 'crypto', { value: {}, configurable: true });
+  try {
+    await expect(authenticate('analyst', 'analyst123')).rejects.toThrow('HTTPS');
+    await expect(addUser({ username: 'field.officer', name: 'Field Officer', role: 'viewer', password: 'longenough' })).rejects.toThrow('HTTPS');
+    expect(getSessionUser()).toBeNull();
+  } finally {
+    Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  }
+});
@@ -0,0 +1,165 @@
+import { LULC_CLASS_NAMES, resolveLulcClass } from "./lulcClasses";
+
+// ACCURACY ASSESSMENT
+// Compares mapped (predicted) classes with reference (observed) classes from a ground-truth
+// sample: confusion matrix, overall accuracy, Cohen's kappa and per-class user's/producer's
+// accuracy. When mapped class areas are known the sample is treated as stratified by map
+// class and the area-weighted estimators of Olofsson et al. (2014) give area-adjusted
+// accuracies and class areas with 95% confidence intervals.
+
+const Z_95 = 1.96;
+
+// Reference sample CSV: predicted_class, observed_class, weight (optional, default 1).
+// Returns { samples: [{ row, predicted, observed, weight }], issues } like the other loaders.
+export const parseReferenceSampleRows = (rows) => {
+  const samples = [];
+  const issues = [];
+
+  rows.forEach((raw, i) => {
+    const row = i + 2;
+    if (Object.values(raw).every(v => v === undefined || v === null || String(v).trim() === '')) return;
+
+    const predictedLabel = raw.predicted_class ?? raw.predicted;
+    const observedLabel = raw.observed_class ?? raw.observed;
+    const predicted = resolveLulcClass(predictedLabel);
+    const observed = resolveLulcClass(observedLabel);
+    const weight = raw.weight === undefined || String(raw.weight).trim() === '' ? 1 : parseFloat(raw.weight);
+
+    const rowIssues = [];
+    if (!predicted) rowIssues.push({ row, field: 'predicted_class', message: `Unknown class "${predictedLabel ?? ''}"`, severity: 'error' });
+    if (!observed) rowIssues.push({ row, field: 'observed_class', message: `Unknown class "${observedLabel ?? ''}"`, severity: 'error' });
+    if (Number.isNaN(weight) || weight <= 0) rowIssues.push({ row, field: 'weight', message: 'Weight must be a positive number', severity: 'error' });
+
+    issues.push(...rowIssues);
+    if (rowIssues.length === 0) samples.push({ row, predicted, observed, weight });
+  });
+
+  return { samples, issues };
+};
+
+// counts[predicted][observed] = summed sample weight
+export const buildConfusionMatrix = (samples, classes = LULC_CLASS_NAMES) => {
+  const counts = {};
+  classes.forEach(p => {
+    counts[p] = {};
+    classes.forEach(o => { counts[p][o] = 0; });
+  });
+  samples.forEach(s => {
+    if (counts[s.predicted]?.[s.observed] === undefined) return;
+    counts[s.predicted][s.observed] += s.weight;
+  });
+
+  const rowTotals = {};
+  const colTotals = {};
+  classes.forEach(c => {
+    rowTotals[c] = classes.reduce((sum, o) => sum + counts[c][o], 0);
+    colTotals[c] = classes.reduce((sum, p) => sum + counts[p][c], 0);
+  });
+  const total = classes.reduce((sum, c) => sum + rowTotals[c], 0);
+
+  return { classes, counts, rowTotals, colTotals, total };
+};
+
+const ratio = (num, den) => (den > 0 ? num / den : null);
+const interval = (estimate, se) => (estimate === null || se === null ? null : [estimate - Z_95 * se, estimate + Z_95 * se]);
+
+// Stratified estimators; mapAreas: { [class]: mapped area }. Strata with fewer than two
+// samples have no variance estimate, so their intervals are null.
+const areaAdjusted = (matrix, mapAreas) => {
+  const { classes, counts, rowTotals } = matrix;
+  const totalArea = classes.reduce((sum, c) => sum + (mapAreas[c] || 0), 0);
+  if (totalArea <= 0) return null;
+
+  const W = {};
+  classes.forEach(c => { W[c] = (mapAreas[c] || 0) / totalArea; });
+  const canVary = (c) => rowTotals[c] > 1;
+
+  // p[i][j]: estimated share of the landscape mapped i and observed j
+  const p = {};
+  classes.forEach(i => {
+    p[i] = {};
+    classes.forEach(j => { p[i][j] = rowTotals[i] > 0 ? W[i] * counts[i][j] / rowTotals[i] : 0; });
+  });
+  const observedShare = {};
+  classes.forEach(j => { observedShare[j] = classes.reduce((sum, i) => sum + p[i][j], 0); });
+
+  const overall = classes.reduce((sum, c) => sum + p[c][c], 0);
+  const sampledStrata = classes.filter(c => rowTotals[c] > 0);
+  const overallVar = sampledStrata.every(canVary)
+    ? sampledStrata.reduce((sum, i) => {
+        const u = counts[i][i] / rowTotals[i];
+        return sum + W[i] * W[i] * u * (1 - u) / (rowTotals[i] - 1);
+      }, 0)
+    : null;
+
+  const perClass = {};
+  classes.forEach(j => {
+    const users = ratio(counts[j][j], rowTotals[j]);
+    const usersVar = users !== null && canVary(j) ? users * (1 - users) / (rowTotals[j] - 1) : null;
+
+    const producers = ratio(p[j][j], observedShare[j]);
+    // Olofsson et al. (2014), eq. 7, with mapped areas in place of pixel counts
+    let producersVar = null;
+    const estimatedObserved = classes.reduce((sum, i) => sum + (rowTotals[i] > 0 ? (mapAreas[i] || 0) * counts[i][j] / rowTotals[i] : 0), 0);
+    if (producers !== null && estimatedObserved > 0 && sampledStrata.every(canVary)) {
+      const own = Math.pow(mapAreas[j] || 0, 2) * Math.pow(1 - producers, 2) * (usersVar ?? 0);
+      const others = classes.filter(i => i !== j && rowTotals[i] > 0).reduce((sum, i) => {
+        const share = counts[i][j] / rowTotals[i];
+        return sum + Math.pow(mapAreas[i] || 0, 2) * share * (1 - share) / (rowTotals[i] - 1);
+      }, 0);
+      producersVar = (own + producers * producers * others) / Math.pow(estimatedObserved, 2);
+    }
+
+    const areaShareVar = sampledStrata.every(canVary)
+      ? sampledStrata.reduce((sum, i) => sum + (W[i] * p[i][j] - p[i][j] * p[i][j]) / (rowTotals[i] - 1), 0)
+      : null;
+
+    perClass[j] = {
+      users,
+      usersCi: interval(users, usersVar === null ? null : Math.sqrt(usersVar)),
+      producers,
+      producersCi: interval(producers, producersVar === null ? null : Math.sqrt(producersVar)),
+      mappedArea: mapAreas[j] || 0,
+      estimatedArea: observedShare[j] * totalArea,
+      estimatedAreaCi: interval(observedShare[j] * totalArea, areaShareVar === null ? null : Math.sqrt(Math.max(areaShareVar, 0)) * totalArea)
+    };
+  });
+
+  return {
+    overall,
+    overallCi: interval(overall, overallVar === null ? null : Math.sqrt(overallVar)),
+    perClass,
+    totalArea
+  };
+};
+
+// mapAreas is optional; without it the area-adjusted block is null.
+export const assessAccuracy = (samples, { classes = LULC_CLASS_NAMES, mapAreas = null } = {}) => {
+  const matrix = buildConfusionMatrix(samples, classes);
+  const { counts, rowTotals, colTotals, total } = matrix;
+  if (total === 0) return null;
+
+  const agreement = classes.reduce((sum, c) => sum + counts[c][c], 0);
+  const overall = agreement / total;
+  const chance = classes.reduce((sum, c) => sum + rowTotals[c] * colTotals[c], 0) / (total * total);
+  const kappa = chance < 1 ? (overall - chance) / (1 - chance) : null;
+
+  const perClass = {};
+  classes.forEach(c => {
+    perClass[c] = {
+      users: ratio(counts[c][c], rowTotals[c]),
+      producers: ratio(counts[c][c], colTotals[c]),
+      mapped: rowTotals[c],
+      observed: colTotals[c]
+    };
+  });
+
+  return {
+    matrix,
+    sampleCount: samples.length,
+    overall,
+    kappa,
+    perClass,
+    areaAdjusted: mapAreas ? areaAdjusted(matrix, mapAreas) : null
+  };
+};
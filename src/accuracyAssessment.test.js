@@ -0,0 +1,56 @@
+import { parseReferenceSampleRows, buildConfusionMatrix, assessAccuracy } from './accuracyAssessment';
+
+// Worked example from Olofsson et al. (2014), Remote Sensing of Environment 148, Table 8
+const classes = ['Deforestation', 'Gain', 'Stable forest', 'Stable non-forest'];
+const sampleCounts = [[66, 0, 5, 4], [0, 55, 8, 12], [1, 0, 153, 11], [2, 1, 9, 313]];
+const samples = classes.flatMap((predicted, i) => sampleCounts[i].flatMap((n, j) => Array.from({ length: n }, () => ({ predicted, observed: classes[j], weight: 1 }))));
+const mapAreas = { Deforestation: 200000, Gain: 150000, 'Stable forest': 3200000, 'Stable non-forest': 6450000 };
+
+test('parses reference samples, resolving class aliases and reporting bad rows', () => {
+  const { samples: parsed, issues } = parseReferenceSampleRows([
+    { predicted_class: 'Urban', observed_class: 'Built-up', weight: '' },
+    { predicted_class: 'Forest', observed_class: 'Cropland', weight: '2' },
+    { predicted_class: 'Forest', observed_class: 'Lava', weight: '1' },
+    { predicted_class: '', observed_class: '', weight: '' }
+  ]);
+  expect(parsed).toEqual([
+    { row: 2, predicted: 'Built-up', observed: 'Built-up', weight: 1 },
+    { row: 3, predicted: 'Forest', observed: 'Agriculture', weight: 2 }
+  ]);
+  expect(issues).toEqual([{ row: 4, field: 'observed_class', message: 'Unknown class "Lava"', severity: 'error' }]);
+});
+
+test('builds a weighted confusion matrix', () => {
+  const m = buildConfusionMatrix([
+    { predicted: 'Forest', observed: 'Forest', weight: 1 },
+    { predicted: 'Forest', observed: 'Agriculture', weight: 2 }
+  ]);
+  expect(m.counts.Forest.Agriculture).toBe(2);
+  expect(m.rowTotals.Forest).toBe(3);
+  expect(m.colTotals.Forest).toBe(1);
+  expect(m.total).toBe(3);
+});
+
+test('sample-based accuracy and kappa', () => {
+  const result = assessAccuracy(samples, { classes });
+  expect(result.overall).toBeCloseTo(587 / 640);
+  expect(result.kappa).toBeCloseTo(0.87, 2);
+  expect(result.perClass.Deforestation.users).toBeCloseTo(0.88);
+  expect(result.areaAdjusted).toBeNull();
+});
+
+test('area-adjusted estimates match the published example', () => {
+  const { areaAdjusted } = assessAccuracy(samples, { classes, mapAreas });
+  const half = ([lo, hi]) => (hi - lo) / 2;
+  expect(areaAdjusted.overall).toBeCloseTo(0.947, 3);
+  expect(half(areaAdjusted.overallCi)).toBeCloseTo(0.018, 3);
+  expect(half(areaAdjusted.perClass.Deforestation.usersCi)).toBeCloseTo(0.07, 2);
+  expect(areaAdjusted.perClass.Deforestation.producers).toBeCloseTo(0.75, 2);
+  expect(half(areaAdjusted.perClass.Deforestation.producersCi)).toBeCloseTo(0.21, 2);
+  expect(areaAdjusted.perClass.Deforestation.estimatedArea).toBeCloseTo(235086, 0);
+  expect(half(areaAdjusted.perClass.Deforestation.estimatedAreaCi)).toBeCloseTo(68418, -1);
+});
+
+test('returns null for an empty sample', () => {
+  expect(assessAccuracy([])).toBeNull();
+});
@@ -0,0 +1,102 @@
+import { readStored, writeStored } from "./storage";
+
+// ALERT LIFECYCLE
+// Alerts are recomputed on every render, so their handling is tracked separately, keyed
+// by a stable ID: the rule plus the identity of the matching records (year, transition,
+// region) within the current scope. A second signature covers the record values; when a
+// resolved alert's values change, the data has changed and the alert counts as open again.
+// Both are taken from the alert as raised on the unfiltered records, so narrowing the view
+// (confidence, scenario) shows fewer matching records without changing which alert it is.
+
+export const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Same departments the action recommendations route work to
+export const ALERT_DEPARTMENTS = ['Enforcement Wing', 'Environment Dept', 'Urban Planning', 'Revenue Dept', 'Planning Committee', 'General'];
+
+const STATES_KEY = 'alertStates';
+const AUDIT_KEY = 'alertAudit';
+const AUDIT_LIMIT = 500;
+
+// djb2, printed in base 36: short and stable, not cryptographic
+const hashString = (text) => {
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+};
+
+const recordKey = (d) => `${d.year}|${d.from}|${d.to}|${d.region_id ?? ''}`;
+
+export const getAlertId = (alert, scope = 'district') => {
+  const keys = alert.items.map(recordKey).sort().join(';');
+  return `${alert.ruleId}:${scope}:${hashString(keys)}`;
+};
+
+// Trend alerts have no records, so their rounded metric is the data they rest on
+export const getAlertSignature = (alert) => hashString(alert.items.length > 0
+  ? alert.items.map(d => `${recordKey(d)}=${d.area_sq_km}@${d.confidence}`).sort().join(';')
+  : `value=${Number(alert.value).toFixed(2)}`);
+
+// basis: the same rules evaluated on the scope's unfiltered records. A rule fires at most once,
+// so its alert there identifies the displayed one; an alert only the filtered view raises keeps its own.
+export const withAlertIdentity = (alerts, scope, basis = alerts) => alerts.map(a => {
+  const identity = basis.find(b => b.ruleId === a.ruleId) || a;
+  return { ...a, id: getAlertId(identity, scope), signature: getAlertSignature(identity) };
+});
+
+export const loadAlertStates = () => readStored(STATES_KEY, {});
+
+export const loadAlertAudit = () => readStored(AUDIT_KEY, []);
+
+// Effective lifecycle state of a live alert: { status, assignee, note, updatedAt, dataChanged }
+export const getAlertState = (alert, states) => {
+  const stored = states[alert.id];
+  if (!stored) return { status: 'open', assignee: null, note: null, updatedAt: null, dataChanged: false };
+  if (stored.status === 'resolved' && stored.signature !== alert.signature) {
+    return { ...stored, status: 'open', dataChanged: true };
+  }
+  return { ...stored, dataChanged: false };
+};
+
+// Pure state transition. action: 'acknowledge' | 'assign' | 'resolve' | 'reopen'.
+// by: username of the officer acting. Returns { state, entry } or throws when the action is not allowed.
+export const transitionAlert = (alert, current, action, { assignee, note, by = null } = {}, now = new Date().toISOString()) => {
+  const base = { ...current, signature: alert.signature, updatedAt: now };
+  delete base.dataChanged;
+  let state;
+  let detail = null;
+
+  if (action === 'acknowledge') {
+    if (current.status !== 'open') throw new Error('Only open alerts can be acknowledged');
+    state = { ...base, status: 'acknowledged' };
+  } else if (action === 'assign') {
+    if (!ALERT_DEPARTMENTS.includes(assignee)) throw new Error(`Unknown department "${assignee}"`);
+    if (current.status === 'resolved') throw new Error('Reopen a resolved alert before reassigning it');
+    // Assigning implies someone has seen it
+    state = { ...base, status: 'acknowledged', assignee };
+    detail = assignee;
+  } else if (action === 'resolve') {
+    if (!note || !note.trim()) throw new Error('A resolution note is required');
+    if (current.status === 'resolved') throw new Error('Alert is already resolved');
+    state = { ...base, status: 'resolved', note: note.trim() };
+    detail = note.trim();
+  } else if (action === 'reopen') {
+    if (current.status !== 'resolved') throw new Error('Only resolved alerts can be reopened');
+    state = { ...base, status: 'open', note: null };
+  } else {
+    throw new Error(`Unknown alert action "${action}"`);
+  }
+
+  const entry = { at: now, alertId: alert.id, ruleId: alert.ruleId, title: alert.title, action, detail, by };
+  return { state, entry };
+};
+
+// Applies and persists an action. Returns { states, audit }.
+export const recordAlertAction = (alert, action, payload) => {
+  const states = loadAlertStates();
+  const { state, entry } = transitionAlert(alert, getAlertState(alert, states), action, payload);
+  const nextStates = { ...states, [alert.id]: state };
+  const nextAudit = [entry, ...loadAlertAudit()].slice(0, AUDIT_LIMIT);
+  writeStored(STATES_KEY, nextStates);
+  writeStored(AUDIT_KEY, nextAudit);
+  return { states: nextStates, audit: nextAudit };
+};
@@ -0,0 +1,52 @@
+import { withAlertIdentity, getAlertState, transitionAlert, recordAlertAction, loadAlertAudit } from './alertLifecycle';
+
+const items = [
+  { year: 2024, from: 'Forest', to: 'Built-up', area_sq_km: 14.2, confidence: 0.88, region_id: 'Sector-12' },
+  { year: 2024, from: 'Water', to: 'Barren', area_sq_km: 1.3, confidence: 0.9, region_id: 'Sector-08' }
+];
+const [alert] = withAlertIdentity([{ ruleId: 'eco-risk', title: 'Ecological Risk', items, value: 2 }], 'district');
+
+beforeEach(() => window.localStorage.clear());
+
+test('ids depend on the rule, scope and matching records but not their order', () => {
+  const [reordered] = withAlertIdentity([{ ruleId: 'eco-risk', items: [...items].reverse(), value: 2 }], 'district');
+  const [regional] = withAlertIdentity([{ ruleId: 'eco-risk', items, value: 2 }], 'Sector-12');
+  expect(reordered.id).toBe(alert.id);
+  expect(regional.id).not.toBe(alert.id);
+  expect(alert.id.startsWith('eco-risk:district:')).toBe(true);
+});
+
+test('acknowledge, assign and resolve are logged newest first', () => {
+  recordAlertAction(alert, 'acknowledge');
+  recordAlertAction(alert, 'assign', { assignee: 'Enforcement Wing' });
+  const { states, audit } = recordAlertAction(alert, 'resolve', { note: 'Site sealed on 12 May', by: 'analyst' });
+
+  expect(getAlertState(alert, states)).toMatchObject({ status: 'resolved', assignee: 'Enforcement Wing', note: 'Site sealed on 12 May' });
+  expect(audit.map(e => e.action)).toEqual(['resolve', 'assign', 'acknowledge']);
+  expect(audit[0].by).toBe('analyst');
+  expect(loadAlertAudit()).toHaveLength(3);
+});
+
+test('a resolved alert reopens when its records change', () => {
+  const { states } = recordAlertAction(alert, 'resolve', { note: 'Verified' });
+  const [changed] = withAlertIdentity([{ ...alert, items: [{ ...items[0], area_sq_km: 16.0 }, items[1]] }], 'district');
+  expect(changed.id).toBe(alert.id);
+  expect(getAlertState(changed, states)).toMatchObject({ status: 'open', dataChanged: true });
+  expect(getAlertState(alert, states).status).toBe('resolved');
+});
+
+test('a resolved alert stays resolved when the view filters narrow its records', () => {
+  const { states } = recordAlertAction(alert, 'resolve', { note: 'Verified' });
+  // minConfidence raised to 0.89: only the Water → Barren record still matches
+  const [narrowed] = withAlertIdentity([{ ruleId: 'eco-risk', items: [items[1]], value: 1 }], 'district', [{ ruleId: 'eco-risk', items, value: 2 }]);
+  expect(narrowed.id).toBe(alert.id);
+  expect(narrowed.items).toHaveLength(1);
+  expect(getAlertState(narrowed, states)).toMatchObject({ status: 'resolved', note: 'Verified', dataChanged: false });
+});
+
+test('rejects invalid transitions', () => {
+  const open = getAlertState(alert, {});
+  expect(() => transitionAlert(alert, open, 'resolve', { note: ' ' })).toThrow('note');
+  expect(() => transitionAlert(alert, open, 'assign', { assignee: 'Fire Brigade' })).toThrow('Unknown department');
+  expect(() => transitionAlert(alert, open, 'reopen')).toThrow();
+});
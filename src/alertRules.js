@@ -0,0 +1,273 @@
+import { readStored, writeStored, removeStored } from "./storage";
+import { resolveLulcClass, getClassCategory } from "./lulcClasses";
+
+// GOVERNANCE ALERT RULE ENGINE
+// Alerts are declared as JSON rules (editable in Settings) instead of hardcoded checks.
+//
+// Rule shape:
+//   { id, title, severity: 'high' | 'medium' | 'low', icon, enabled, kind, ..., message }
+//   titles / messages: optional per-persona overrides, e.g. { environmental_officer: '...' }
+//   unless: optional rule ids; the rule is skipped when any of them already fired
+//
+// Kinds:
+//   'records'     match: record filter; condition: { metric: 'count' | 'area', op, value }
+//                 over the current-period records.
+//   'consecutive' match + condition evaluated per period; fires when the last `periods`
+//                 periods all satisfy it (e.g. Agriculture → Barren two periods running).
+//   'trend'       Baseline Deviation Index for `class`: recent annual rate ÷ the baseline
+//                 annual rate over the earlier years; condition: { metric: 'bdi', op, value }.
+//
+// match: { from, to: [class | '*'], fromCategory, toCategory: [category],
+//          confidence: { op, value }, area: { op, value } }; every given field must hold.
+//
+// Messages may use {count}, {area}, {value}, {excessPercent}, {periods},
+// {baselineStart} and {baselineEnd}.
+
+export const RULE_SEVERITIES = ['high', 'medium', 'low'];
+export const RULE_KINDS = ['records', 'consecutive', 'trend'];
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b
+};
+
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'eco-risk',
+    title: 'Ecological Risk',
+    titles: { environmental_officer: 'Critical Ecosystem Loss' },
+    severity: 'high',
+    icon: '🛑',
+    enabled: true,
+    kind: 'records',
+    match: { fromCategory: ['ecological'], toCategory: ['urban', 'degraded'], confidence: { op: '>', value: 0.8 } },
+    condition: { metric: 'count', op: '>', value: 0 },
+    message: 'Detected {count} verified zones of forest/water depletion. Recommend halt.',
+    messages: { environmental_officer: 'Urgent: {count} protected zones compromised. Immediate enforcement action required.' }
+  },
+  {
+    id: 'urban-sprawl',
+    title: 'Urban Sprawl Alert',
+    titles: { urban_planner: 'Unplanned Sprawl Detected' },
+    severity: 'medium',
+    icon: '🏗️',
+    enabled: true,
+    kind: 'records',
+    match: { from: ['Agriculture'], toCategory: ['urban'] },
+    condition: { metric: 'area', op: '>', value: 5 },
+    message: '{area} sq km of agricultural land converted to urban use. Zoning review needed.',
+    messages: { urban_planner: 'Infrastructure misalignment: {area} sq km of agri-land converted outside zoning limits.' }
+  },
+  {
+    id: 'data-gap',
+    title: 'Data Gap Identified',
+    severity: 'low',
+    icon: '📡',
+    enabled: true,
+    kind: 'records',
+    match: { confidence: { op: '<', value: 0.6 } },
+    condition: { metric: 'count', op: '>', value: 2 },
+    message: 'High uncertainty in {count} regions. Satellite shadow or cloud cover suspected.'
+  },
+  {
+    id: 'growth-spike',
+    title: 'Abnormal Growth Spike',
+    severity: 'high',
+    icon: '⚡',
+    enabled: true,
+    kind: 'trend',
+    class: 'Built-up',
+    condition: { metric: 'bdi', op: '>', value: 1.5 },
+    message: 'ALERT: Urban expansion rate is {value}x higher than historical baseline ({baselineStart}-{baselineEnd}). Verify immediately.'
+  },
+  {
+    id: 'growth-acceleration',
+    title: 'Growth Acceleration',
+    severity: 'medium',
+    icon: '📈',
+    enabled: true,
+    kind: 'trend',
+    class: 'Built-up',
+    condition: { metric: 'bdi', op: '>', value: 1.2 },
+    unless: ['growth-spike'],
+    message: 'Urban growth is {excessPercent}% faster than the {baselineStart}-{baselineEnd} average.'
+  },
+  {
+    id: 'water-loss',
+    title: 'Water Body Loss',
+    severity: 'high',
+    icon: '💧',
+    enabled: false,
+    kind: 'records',
+    match: { from: ['Water'] },
+    condition: { metric: 'area', op: '>', value: 0.5 },
+    message: '{area} sq km of water bodies lost in {count} patches.'
+  },
+  {
+    id: 'persistent-degradation',
+    title: 'Persistent Land Degradation',
+    severity: 'medium',
+    icon: '🏜️',
+    enabled: false,
+    kind: 'consecutive',
+    periods: 2,
+    match: { from: ['Agriculture'], to: ['Barren'] },
+    condition: { metric: 'area', op: '>', value: 0 },
+    message: 'Agriculture → Barren conversion in each of the last {periods} periods ({area} sq km in total).'
+  }
+];
+
+// RULE VALIDATION
+// Returns a list of human-readable problems; an empty list means the rules can be saved.
+export const validateAlertRules = (rules) => {
+  if (!Array.isArray(rules)) return ['Rules must be a JSON array'];
+  const problems = [];
+  const ids = new Set();
+
+  rules.forEach((rule, i) => {
+    const label = rule && rule.id ? `Rule "${rule.id}"` : `Rule ${i + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      problems.push(`${label}: must be an object`);
+      return;
+    }
+    if (!rule.id) problems.push(`${label}: missing id`);
+    else if (ids.has(rule.id)) problems.push(`${label}: duplicate id`);
+    ids.add(rule.id);
+
+    if (!rule.title) problems.push(`${label}: missing title`);
+    if (!RULE_SEVERITIES.includes(rule.severity)) problems.push(`${label}: severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+    if (!RULE_KINDS.includes(rule.kind)) problems.push(`${label}: kind must be one of ${RULE_KINDS.join(', ')}`);
+
+    const metrics = rule.kind === 'trend' ? ['bdi'] : ['count', 'area'];
+    const c = rule.condition;
+    if (!c || !metrics.includes(c.metric)) problems.push(`${label}: condition.metric must be one of ${metrics.join(', ')}`);
+    if (!c || !OPERATORS[c.op]) problems.push(`${label}: condition.op must be one of ${Object.keys(OPERATORS).join(' ')}`);
+    if (!c || typeof c.value !== 'number') problems.push(`${label}: condition.value must be a number`);
+
+    if (rule.kind === 'trend' && !resolveLulcClass(rule.class)) problems.push(`${label}: unknown class "${rule.class}"`);
+    if (rule.kind === 'consecutive' && !(Number.isInteger(rule.periods) && rule.periods >= 1)) problems.push(`${label}: periods must be a positive integer`);
+
+    problems.push(...validateRecordMatch(rule.match || {}, label));
+  });
+
+  return problems;
+};
+
+// Problems with a record filter, each prefixed with label. Shared with the persona config.
+export const validateRecordMatch = (match, label, path = 'match') => {
+  const problems = [];
+  ['from', 'to', 'fromCategory', 'toCategory'].forEach(field => {
+    if (match[field] !== undefined && !Array.isArray(match[field])) problems.push(`${label}: ${path}.${field} must be a list`);
+  });
+  ['from', 'to'].filter(field => Array.isArray(match[field])).forEach(field => match[field].forEach(cls => {
+    if (cls !== '*' && !resolveLulcClass(cls)) problems.push(`${label}: unknown class "${cls}" in ${path}.${field}`);
+  }));
+  ['confidence', 'area'].forEach(field => {
+    if (match[field] && (!OPERATORS[match[field].op] || typeof match[field].value !== 'number')) {
+      problems.push(`${label}: ${path}.${field} needs an op and a numeric value`);
+    }
+  });
+  return problems;
+};
+
+// RULE PERSISTENCE
+const RULES_KEY = 'alertRules';
+
+export const loadAlertRules = () => {
+  const stored = readStored(RULES_KEY, null);
+  return stored && validateAlertRules(stored).length === 0 ? stored : DEFAULT_ALERT_RULES;
+};
+
+export const saveAlertRules = (rules) => writeStored(RULES_KEY, rules);
+
+export const resetAlertRules = () => removeStored(RULES_KEY);
+
+// RULE EVALUATION
+const classMatches = (list, label) => !list || list.includes('*') || list.some(cls => resolveLulcClass(cls) === label);
+const categoryMatches = (list, label) => !list || list.includes(getClassCategory(label));
+const compare = (test, value) => !test || OPERATORS[test.op](value, test.value);
+
+export const recordMatches = (match = {}, d) => (
+  classMatches(match.from, d.from) &&
+  classMatches(match.to, d.to) &&
+  categoryMatches(match.fromCategory, d.from) &&
+  categoryMatches(match.toCategory, d.to) &&
+  compare(match.confidence, d.confidence) &&
+  compare(match.area, d.area_sq_km)
+);
+
+const sumArea = (rows) => rows.reduce((sum, d) => sum + Number(d.area_sq_km), 0);
+const metricOf = (metric, rows) => (metric === 'count' ? rows.length : sumArea(rows));
+
+export const fillTemplate = (template, vars) => template.replace(/\{(\w+)\}/g, (whole, key) => (vars[key] !== undefined ? vars[key] : whole));
+
+// Returns { value, items, vars } when the rule fires, otherwise null
+const evaluateRule = (rule, { records, history, trends }) => {
+  if (rule.kind === 'records') {
+    const items = records.filter(d => recordMatches(rule.match, d));
+    const value = metricOf(rule.condition.metric, items);
+    if (!OPERATORS[rule.condition.op](value, rule.condition.value)) return null;
+    return { value, items, vars: {} };
+  }
+
+  if (rule.kind === 'consecutive') {
+    const periods = [...new Set(history.map(d => d.year))].sort((a, b) => a - b).slice(-rule.periods);
+    if (periods.length < rule.periods) return null;
+    const perPeriod = periods.map(year => history.filter(d => d.year === year && recordMatches(rule.match, d)));
+    const allHold = perPeriod.every(rows => rows.length > 0 && OPERATORS[rule.condition.op](metricOf(rule.condition.metric, rows), rule.condition.value));
+    if (!allHold) return null;
+    const items = perPeriod.flat();
+    return { value: metricOf(rule.condition.metric, items), items, vars: { periods: rule.periods } };
+  }
+
+  if (rule.kind === 'trend') {
+    const vals = trends?.byClass?.[resolveLulcClass(rule.class)];
+    const yrs = trends?.years;
+    if (!vals || vals.length < 4) return null;
+
+    // Baseline: first point to the second-to-last; recent: the last period
+    const n = vals.length;
+    const baselineRate = (vals[n - 2] - vals[0]) / (yrs[n - 2] - yrs[0]);
+    const recentRate = (vals[n - 1] - vals[n - 2]) / (yrs[n - 1] - yrs[n - 2]);
+    const bdi = baselineRate !== 0 ? recentRate / baselineRate : 0;
+    if (!OPERATORS[rule.condition.op](bdi, rule.condition.value)) return null;
+    return {
+      value: bdi,
+      items: [],
+      vars: { excessPercent: (bdi * 100 - 100).toFixed(0), baselineStart: yrs[0], baselineEnd: yrs[n - 2] }
+    };
+  }
+
+  return null;
+};
+
+// context: { records: current-period rows, history: all periods' rows, trends: { years, byClass }, persona }
+// Returns alerts in rule order: { ruleId, type, title, desc, icon, items, value }
+export const evaluateAlertRules = (rules, { records = [], history = [], trends = null, persona = null }) => {
+  const fired = [];
+  rules.filter(rule => rule.enabled !== false).forEach(rule => {
+    if ((rule.unless || []).some(id => fired.some(a => a.ruleId === id))) return;
+    const result = evaluateRule(rule, { records, history, trends });
+    if (!result) return;
+
+    const vars = {
+      count: result.items.length,
+      area: sumArea(result.items).toFixed(1),
+      value: result.value.toFixed(1),
+      ...result.vars
+    };
+    fired.push({
+      ruleId: rule.id,
+      type: rule.severity,
+      title: rule.titles?.[persona] || rule.title,
+      desc: fillTemplate(rule.messages?.[persona] || rule.message || '', vars),
+      icon: rule.icon || '⚠️',
+      items: result.items,
+      value: result.value
+    });
+  });
+  return fired;
+};
@@ -0,0 +1,55 @@
+import { DEFAULT_ALERT_RULES, evaluateAlertRules, validateAlertRules, loadAlertRules, saveAlertRules } from './alertRules';
+
+const records = [
+  { year: 2024, from: 'Forest', to: 'Built-up', area_sq_km: 14.2, confidence: 0.88 },
+  { year: 2024, from: 'Agriculture', to: 'Built-up', area_sq_km: 12.4, confidence: 0.86 },
+  { year: 2024, from: 'Water', to: 'Barren', area_sq_km: 1.3, confidence: 0.9 }
+];
+
+const enable = (id) => DEFAULT_ALERT_RULES.map(r => (r.id === id ? { ...r, enabled: true } : r));
+
+beforeEach(() => window.localStorage.clear());
+
+test('default rules reproduce the built-in alerts and report matching records', () => {
+  const alerts = evaluateAlertRules(DEFAULT_ALERT_RULES, { records, persona: 'policy_maker' });
+  expect(alerts.map(a => a.ruleId)).toEqual(['eco-risk', 'urban-sprawl']);
+  expect(alerts[0].items).toHaveLength(2);
+  expect(alerts[1].desc).toBe('12.4 sq km of agricultural land converted to urban use. Zoning review needed.');
+});
+
+test('persona overrides change the title and message', () => {
+  const [eco] = evaluateAlertRules(DEFAULT_ALERT_RULES, { records, persona: 'environmental_officer' });
+  expect(eco.title).toBe('Critical Ecosystem Loss');
+  expect(eco.desc).toContain('2 protected zones');
+});
+
+test('trend rules compute the baseline deviation index and honour unless', () => {
+  const trends = { years: [2018, 2020, 2022, 2024], byClass: { 'Built-up': [100, 104, 108, 120] } };
+  const alerts = evaluateAlertRules(DEFAULT_ALERT_RULES, { trends });
+  expect(alerts.map(a => a.ruleId)).toEqual(['growth-spike']);
+  expect(alerts[0].value).toBeCloseTo(3);
+  expect(alerts[0].desc).toContain('(2018-2022)');
+});
+
+test('consecutive rules need a match in each of the last periods', () => {
+  const rules = enable('persistent-degradation');
+  const history = [
+    { year: 2022, from: 'Agriculture', to: 'Barren', area_sq_km: 3.6, confidence: 0.78 },
+    { year: 2024, from: 'Agriculture', to: 'Barren', area_sq_km: 4.8, confidence: 0.79 }
+  ];
+  const fired = evaluateAlertRules(rules, { history }).find(a => a.ruleId === 'persistent-degradation');
+  expect(fired.items).toHaveLength(2);
+  expect(fired.desc).toContain('8.4 sq km');
+  expect(evaluateAlertRules(rules, { history: history.slice(1).concat({ year: 2022, from: 'Forest', to: 'Built-up', area_sq_km: 1, confidence: 0.9 }) })).toEqual([]);
+});
+
+test('validation rejects malformed rules and storage falls back to defaults', () => {
+  expect(validateAlertRules({})).toEqual(['Rules must be a JSON array']);
+  const problems = validateAlertRules([{ id: 'x', title: 'X', severity: 'urgent', kind: 'records', match: { from: ['Lava'] }, condition: { metric: 'area', op: '>', value: 1 } }]);
+  expect(problems).toEqual(['Rule "x": severity must be one of high, medium, low', 'Rule "x": unknown class "Lava" in match.from']);
+
+  saveAlertRules([{ id: 'broken' }]);
+  expect(loadAlertRules()).toBe(DEFAULT_ALERT_RULES);
+  saveAlertRules(enable('water-loss'));
+  expect(loadAlertRules().find(r => r.id === 'water-loss').enabled).toBe(true);
+});
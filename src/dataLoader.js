@@ -0,0 +1,145 @@
+import Papa from "papaparse";
+import { validateTransitionEntries, validateTimeSeriesEntries } from "./dataValidation";
+import { resolveLulcClass } from "./lulcClasses";
+import { parseReferenceSampleRows } from "./accuracyAssessment";
+
+// DATA INGESTION LAYER
+// Reads LULC Transition Records as documented in DATA_SCHEMA.md:
+// Option A (CSV): year, from_lulc, to_lulc, area_sq_km, confidence, region_id (optional)
+// Option B (JSON): [{ year, transitions: [{ from, to, area_sq_km, confidence, metadata }] }]
+
+// Class labels are mapped to their canonical registry name; unknown labels are kept
+// verbatim so validation can report them.
+const canonicalClass = (label) => resolveLulcClass(label) ?? label;
+
+export const normalizeTransitionRecord = (row) => ({
+  year: parseInt(row.year, 10),
+  from: canonicalClass(row.from_lulc ?? row.from),
+  to: canonicalClass(row.to_lulc ?? row.to),
+  area_sq_km: parseFloat(row.area_sq_km),
+  confidence: parseFloat(row.confidence),
+  region_id: row.region_id || null,
+  metadata: row.metadata || null
+});
+
+export const normalizeTimeSeriesRecord = (row) => ({
+  year: parseInt(row.year, 10),
+  lulc_class: canonicalClass(row.lulc_class),
+  area_sq_km: parseFloat(row.area_sq_km),
+  confidence: parseFloat(row.confidence)
+});
+
+// Drop empty trailing rows that PapaParse emits for a final newline
+const isBlankRow = (row) => Object.values(row).every(v => v === undefined || v === null || String(v).trim() === '');
+
+// CSV row numbers are 1-based and count the header line, matching what analysts see in Excel
+const toCsvEntries = (rows, normalize) => rows
+  .map((row, i) => ({ row: i + 2, raw: row }))
+  .filter(({ raw }) => !isBlankRow(raw))
+  .map(({ row, raw }) => ({ row, record: normalize(raw) }));
+
+// Returns { records, issues }
+export const parseTransitionRows = (rows) => validateTransitionEntries(toCsvEntries(rows, normalizeTransitionRecord));
+
+export const parseTimeSeriesRows = (rows) => validateTimeSeriesEntries(toCsvEntries(rows, normalizeTimeSeriesRecord));
+
+export const loadCsv = (url) => new Promise((resolve, reject) => {
+  Papa.parse(url, {
+    download: true,
+    header: true,
+    complete: (result) => resolve(result.data),
+    error: (err) => reject(err)
+  });
+});
+
+// Flatten the nested per-year JSON form into the same flat records the CSV produces.
+// A region_id on the year block applies to every transition that doesn't carry its own.
+export const parseTransitionJson = (json) => {
+  if (!Array.isArray(json)) throw new Error("Transition JSON must be an array of { year, transitions } blocks");
+
+  const records = json.flatMap(block => (block.transitions || []).map(t => normalizeTransitionRecord({
+    ...t,
+    year: t.year ?? block.year,
+    region_id: t.region_id ?? block.region_id
+  })));
+
+  // JSON has no line numbers; issues refer to the n-th transition in file order
+  return validateTransitionEntries(records.map((record, i) => ({ row: i + 1, record })));
+};
+
+export const loadJson = (url) => fetch(url).then(res => {
+  if (!res.ok) throw new Error(`Failed to fetch ${url} (${res.status})`);
+  return res.json();
+});
+
+// Both loaders resolve to { records, issues }
+export const loadTransitionData = (url) => (
+  /\.json$/i.test(url)
+    ? loadJson(url).then(parseTransitionJson)
+    : loadCsv(url).then(parseTransitionRows)
+);
+
+export const loadTimeSeriesData = (url) => loadCsv(url).then(parseTimeSeriesRows);
+
+// USER UPLOADS
+// Parses a dropped File client-side and works out which dataset it holds from its
+// extension and header row. Resolves to { kind, fileName, records, issues }.
+export const parseDataFile = (file) => {
+  if (/\.json$/i.test(file.name)) {
+    return file.text().then(text => ({ kind: 'transitions', fileName: file.name, ...parseTransitionJson(JSON.parse(text)) }));
+  }
+
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      complete: (result) => {
+        const fields = result.meta.fields || [];
+        if (fields.includes('lulc_class')) {
+          resolve({ kind: 'timeSeries', fileName: file.name, ...parseTimeSeriesRows(result.data) });
+        } else if (fields.includes('from_lulc') || fields.includes('from')) {
+          resolve({ kind: 'transitions', fileName: file.name, ...parseTransitionRows(result.data) });
+        } else {
+          reject(new Error(`${file.name}: unrecognised columns (${fields.join(', ')})`));
+        }
+      },
+      error: (err) => reject(err)
+    });
+  });
+};
+
+// Ground-truth reference sample for the accuracy assessment. Resolves to { fileName, samples, issues }.
+export const parseReferenceSampleFile = (file) => new Promise((resolve, reject) => {
+  Papa.parse(file, {
+    header: true,
+    complete: (result) => {
+      const fields = result.meta.fields || [];
+      const hasColumns = ['predicted_class', 'predicted'].some(f => fields.includes(f)) && ['observed_class', 'observed'].some(f => fields.includes(f));
+      if (!hasColumns) {
+        reject(new Error(`${file.name}: expected predicted_class and observed_class columns (found ${fields.join(', ')})`));
+        return;
+      }
+      resolve({ fileName: file.name, ...parseReferenceSampleRows(result.data) });
+    },
+    error: (err) => reject(err)
+  });
+});
+
+// Collapse region-level records into one flow per year and transition.
+// Confidence is area-weighted so large, certain patches dominate the period score.
+export const buildTransitionHistory = (records) => {
+  const groups = {};
+  records.forEach(d => {
+    const key = `${d.year}|${d.from}|${d.to}`;
+    if (!groups[key]) groups[key] = { year: d.year, from: d.from, to: d.to, area_sq_km: 0, weightedConf: 0 };
+    groups[key].area_sq_km += d.area_sq_km;
+    groups[key].weightedConf += d.area_sq_km * d.confidence;
+  });
+
+  return Object.values(groups).map(g => ({
+    year: g.year,
+    from: g.from,
+    to: g.to,
+    area_sq_km: parseFloat(g.area_sq_km.toFixed(2)),
+    confidence: g.area_sq_km > 0 ? parseFloat((g.weightedConf / g.area_sq_km).toFixed(2)) : 0
+  }));
+};
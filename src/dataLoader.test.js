@@ -0,0 +1,44 @@
+import { parseTransitionRows, parseTransitionJson, buildTransitionHistory } from './dataLoader';
+
+test('normalizes documented schema rows and drops blank rows', () => {
+  const rows = [
+    { year: '2024', from_lulc: 'Forest', to_lulc: 'Built-up', area_sq_km: '14.2', confidence: '0.88', region_id: 'Sector-12' },
+    { year: '', from_lulc: '', to_lulc: '', area_sq_km: '', confidence: '', region_id: '' }
+  ];
+  const { records, issues } = parseTransitionRows(rows);
+  expect(records).toEqual([
+    { year: 2024, from: 'Forest', to: 'Built-up', area_sq_km: 14.2, confidence: 0.88, region_id: 'Sector-12', metadata: null }
+  ]);
+  expect(issues).toEqual([]);
+});
+
+test('flattens Option B JSON and keeps transition metadata', () => {
+  const { records } = parseTransitionJson([
+    {
+      year: 2024,
+      transitions: [
+        { from: 'Forest', to: 'Built-up', area_sq_km: 14.2, confidence: 0.88, metadata: { growth_type: 'Sprawl' } },
+        { from: 'Agriculture', to: 'Built-up', area_sq_km: 21.6, confidence: 0.84 }
+      ]
+    },
+    { year: 2023, region_id: 'Sector-12', transitions: [{ from: 'Forest', to: 'Built-up', area_sq_km: 10.1, confidence: 0.92 }] }
+  ]);
+  expect(records).toHaveLength(3);
+  expect(records[0]).toEqual({ year: 2024, from: 'Forest', to: 'Built-up', area_sq_km: 14.2, confidence: 0.88, region_id: null, metadata: { growth_type: 'Sprawl' } });
+  expect(records[2].year).toBe(2023);
+  expect(records[2].region_id).toBe('Sector-12');
+});
+
+test('rejects JSON that is not a list of year blocks', () => {
+  expect(() => parseTransitionJson({ year: 2024 })).toThrow();
+});
+
+test('aggregates regions into one flow per year with area-weighted confidence', () => {
+  const history = buildTransitionHistory([
+    { year: 2024, from: 'Agriculture', to: 'Built-up', area_sq_km: 12.4, confidence: 0.86, region_id: 'Sector-12' },
+    { year: 2024, from: 'Agriculture', to: 'Built-up', area_sq_km: 9.2, confidence: 0.81, region_id: 'Sector-07' },
+    { year: 2022, from: 'Agriculture', to: 'Built-up', area_sq_km: 20.1, confidence: 0.86, region_id: 'Sector-12' }
+  ]);
+  expect(history).toHaveLength(2);
+  expect(history.find(h => h.year === 2024)).toEqual({ year: 2024, from: 'Agriculture', to: 'Built-up', area_sq_km: 21.6, confidence: 0.84 });
+});
@@ -0,0 +1,61 @@
+import { getLulcClass } from "./lulcClasses";
+
+// SCHEMA VALIDATION & DATA QUALITY
+// Every loaded row is type-checked before it reaches the engines. Rows with an
+// 'error' issue are rejected; rows with a 'warning' issue are kept but reported.
+
+const isKnownClass = (cls) => getLulcClass(cls) !== null;
+
+const issue = (row, field, message, severity = 'error') => ({ row, field, message, severity });
+
+const checkNumbers = (rec, row, issues) => {
+  if (!Number.isInteger(rec.year)) issues.push(issue(row, 'year', 'Year is missing or not an integer'));
+
+  if (Number.isNaN(rec.area_sq_km)) issues.push(issue(row, 'area_sq_km', 'Area is missing or not a number'));
+  else if (rec.area_sq_km < 0) issues.push(issue(row, 'area_sq_km', `Negative area (${rec.area_sq_km} sq km)`));
+  else if (rec.area_sq_km === 0) issues.push(issue(row, 'area_sq_km', 'Zero area contributes nothing to the analysis', 'warning'));
+
+  if (Number.isNaN(rec.confidence)) issues.push(issue(row, 'confidence', 'Confidence is missing or not a number'));
+  else if (rec.confidence < 0 || rec.confidence > 1) issues.push(issue(row, 'confidence', `Confidence ${rec.confidence} is outside 0–1`));
+};
+
+const partition = (entries, validate, keyOf) => {
+  const records = [];
+  const issues = [];
+  const seen = {};
+
+  entries.forEach(({ row, record }) => {
+    const rowIssues = [];
+    validate(record, row, rowIssues);
+
+    const key = keyOf(record);
+    if (seen[key]) rowIssues.push(issue(row, 'row', `Duplicate of row ${seen[key]}`));
+
+    issues.push(...rowIssues);
+    if (rowIssues.some(i => i.severity === 'error')) return;
+    seen[key] = row;
+    records.push(record);
+  });
+
+  return { records, issues };
+};
+
+// entries: [{ row, record }] with records already normalized by the loader
+export const validateTransitionEntries = (entries) => partition(
+  entries,
+  (rec, row, issues) => {
+    if (!isKnownClass(rec.from)) issues.push(issue(row, 'from_lulc', `Unknown class "${rec.from ?? ''}"`));
+    if (!isKnownClass(rec.to)) issues.push(issue(row, 'to_lulc', `Unknown class "${rec.to ?? ''}"`));
+    checkNumbers(rec, row, issues);
+  },
+  rec => `${rec.year}|${rec.from}|${rec.to}|${rec.region_id ?? ''}`
+);
+
+export const validateTimeSeriesEntries = (entries) => partition(
+  entries,
+  (rec, row, issues) => {
+    if (!isKnownClass(rec.lulc_class)) issues.push(issue(row, 'lulc_class', `Unknown class "${rec.lulc_class ?? ''}"`));
+    checkNumbers(rec, row, issues);
+  },
+  rec => `${rec.year}|${rec.lulc_class}`
+);
@@ -0,0 +1,39 @@
+import { parseTransitionRows, parseTimeSeriesRows } from './dataLoader';
+
+test('rejects bad transition rows and reports their CSV row numbers', () => {
+  const { records, issues } = parseTransitionRows([
+    { year: '2024', from_lulc: 'Forest', to_lulc: 'Built-up', area_sq_km: '14.2', confidence: '0.88', region_id: 'Sector-12' },
+    { year: '2024', from_lulc: 'Wetland', to_lulc: 'Built-up', area_sq_km: '3.0', confidence: '0.80', region_id: 'Sector-12' },
+    { year: '2024', from_lulc: 'Agriculture', to_lulc: 'Barren', area_sq_km: '-1.2', confidence: '0.80', region_id: 'Sector-03' },
+    { year: '2024', from_lulc: 'Water', to_lulc: 'Barren', area_sq_km: '1.3', confidence: '1.4', region_id: 'Sector-08' },
+    { year: '2024', from_lulc: 'Forest', to_lulc: 'Built-up', area_sq_km: '2.0', confidence: '0.90', region_id: 'Sector-12' }
+  ]);
+
+  expect(records).toHaveLength(1);
+  expect(issues.map(i => [i.row, i.field])).toEqual([
+    [3, 'from_lulc'],
+    [4, 'area_sq_km'],
+    [5, 'confidence'],
+    [6, 'row']
+  ]);
+  expect(issues[3].message).toBe('Duplicate of row 2');
+});
+
+test('keeps zero-area rows but flags them as warnings', () => {
+  const { records, issues } = parseTransitionRows([
+    { year: '2024', from_lulc: 'Barren', to_lulc: 'Built-up', area_sq_km: '0', confidence: '0.86', region_id: '' }
+  ]);
+  expect(records).toHaveLength(1);
+  expect(issues[0].severity).toBe('warning');
+});
+
+test('coerces time-series types and rejects duplicate year/class rows', () => {
+  const { records, issues } = parseTimeSeriesRows([
+    { year: '2018', lulc_class: 'Forest', area_sq_km: '450.5', confidence: '0.92' },
+    { year: '2018', lulc_class: 'Forest', area_sq_km: '451.0', confidence: '0.92' },
+    { year: '' }
+  ]);
+  expect(records).toEqual([{ year: 2018, lulc_class: 'Forest', area_sq_km: 450.5, confidence: 0.92 }]);
+  expect(issues).toHaveLength(1);
+  expect(issues[0].row).toBe(3);
+});
@@ -0,0 +1,46 @@
+import { readStored, writeStored } from "./storage";
+
+// UPLOADED DATASET REGISTRY
+// User-supplied datasets are kept in browser storage so they survive a reload.
+// The built-in sample in /public is always available under BUILTIN_DATASET_ID.
+
+export const BUILTIN_DATASET_ID = 'builtin';
+
+const DATASETS_KEY = 'datasets';
+const ACTIVE_KEY = 'activeDataset';
+
+export const listDatasets = () => readStored(DATASETS_KEY, []);
+
+export const getActiveDatasetId = () => {
+  const id = readStored(ACTIVE_KEY, BUILTIN_DATASET_ID);
+  return id === BUILTIN_DATASET_ID || listDatasets().some(d => d.id === id) ? id : BUILTIN_DATASET_ID;
+};
+
+export const setActiveDatasetId = (id) => writeStored(ACTIVE_KEY, id);
+
+// Returns the updated list, or null when storage rejected the write
+export const saveDataset = (dataset) => {
+  const next = [...listDatasets().filter(d => d.id !== dataset.id), dataset];
+  return writeStored(DATASETS_KEY, next) ? next : null;
+};
+
+export const deleteDataset = (id) => {
+  const next = listDatasets().filter(d => d.id !== id);
+  writeStored(DATASETS_KEY, next);
+  if (readStored(ACTIVE_KEY, BUILTIN_DATASET_ID) === id) setActiveDatasetId(BUILTIN_DATASET_ID);
+  return next;
+};
+
+// GROUND-TRUTH REFERENCE SAMPLES
+// One imported sample per dataset: { fileName, importedAt, samples, issues }
+const REFERENCE_KEY = 'referenceSamples';
+
+export const getReferenceSample = (datasetId) => readStored(REFERENCE_KEY, {})[datasetId] || null;
+
+// Returns false when storage rejected the write
+export const saveReferenceSample = (datasetId, sample) => writeStored(REFERENCE_KEY, { ...readStored(REFERENCE_KEY, {}), [datasetId]: sample });
+
+export const deleteReferenceSample = (datasetId) => {
+  const { [datasetId]: removed, ...rest } = readStored(REFERENCE_KEY, {});
+  writeStored(REFERENCE_KEY, rest);
+};
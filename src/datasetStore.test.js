@@ -0,0 +1,29 @@
+import { BUILTIN_DATASET_ID, listDatasets, saveDataset, deleteDataset, getActiveDatasetId, setActiveDatasetId, getReferenceSample, saveReferenceSample, deleteReferenceSample } from './datasetStore';
+
+beforeEach(() => window.localStorage.clear());
+
+test('persists uploaded datasets and falls back to the built-in sample when the active one is removed', () => {
+  saveDataset({ id: 'ds-1', name: 'Chittoor', transitions: [], timeSeries: [] });
+  setActiveDatasetId('ds-1');
+  expect(listDatasets().map(d => d.name)).toEqual(['Chittoor']);
+  expect(getActiveDatasetId()).toBe('ds-1');
+
+  deleteDataset('ds-1');
+  expect(listDatasets()).toEqual([]);
+  expect(getActiveDatasetId()).toBe(BUILTIN_DATASET_ID);
+});
+
+test('ignores an active id that no longer matches a stored dataset', () => {
+  setActiveDatasetId('ds-missing');
+  expect(getActiveDatasetId()).toBe(BUILTIN_DATASET_ID);
+});
+
+test('keeps one reference sample per dataset', () => {
+  saveReferenceSample(BUILTIN_DATASET_ID, { fileName: 'truth.csv', samples: [], issues: [] });
+  saveReferenceSample('ds-1', { fileName: 'other.csv', samples: [], issues: [] });
+  expect(getReferenceSample(BUILTIN_DATASET_ID).fileName).toBe('truth.csv');
+
+  deleteReferenceSample(BUILTIN_DATASET_ID);
+  expect(getReferenceSample(BUILTIN_DATASET_ID)).toBeNull();
+  expect(getReferenceSample('ds-1').fileName).toBe('other.csv');
+});
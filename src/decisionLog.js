@@ -0,0 +1,109 @@
+import Papa from "papaparse";
+import writeExcelFile from "write-excel-file/universal";
+import { getClassCategory } from "./lulcClasses";
+
+// DECISION LOG EXPORT
+// The ranked transitions exactly as the dashboard shows them (confidence filter, scenario,
+// persona, region and transition selection, rank order) with every derived column, plus
+// the settings that produced them. CSV carries the settings as leading "# key: value"
+// comment lines (pandas: read_csv(comment='#')), JSON as a `settings` object and the
+// Excel workbook as a second sheet.
+
+export const DECISION_LOG_COLUMNS = [
+  'rank', 'year', 'region_id', 'from_lulc', 'to_lulc', 'from_category', 'to_category',
+  'area_sq_km', 'confidence', 'model_confidence', 'field_verdict',
+  'persona_weight', 'impact_score', 'decision_status', 'cpri', 'readiness'
+];
+
+export const DECISION_LOG_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+  xlsx: { label: 'Excel', extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const EXPORT_FORMAT = 'lulc-decision-log';
+const EXPORT_VERSION = 1;
+
+// Trend labels carry a status emoji for the dashboard; exports keep the words
+const plainText = (text) => text.replace(/[^\x20-\x7E]/g, '').trim();
+
+// rows: prioritized records in view order (impactScore and weight already set).
+// decisionOf(d) gives the decision status label; trendOf(d) the transition trend, if any.
+// settings: what produced the view, written alongside the rows.
+export const buildDecisionLog = (rows, { decisionOf, trendOf = () => null, settings }) => ({
+  settings,
+  rows: rows.map((d, i) => {
+    const trend = trendOf(d);
+    return {
+      rank: i + 1,
+      year: d.year,
+      region_id: d.region_id || null,
+      from_lulc: d.from,
+      to_lulc: d.to,
+      from_category: getClassCategory(d.from),
+      to_category: getClassCategory(d.to),
+      area_sq_km: d.area_sq_km,
+      confidence: d.confidence,
+      model_confidence: d.modelConfidence ?? d.confidence,
+      field_verdict: d.fieldVerdict ? d.fieldVerdict.latest : null,
+      persona_weight: d.weight,
+      impact_score: parseFloat(d.impactScore),
+      decision_status: decisionOf(d),
+      cpri: trend ? parseFloat(trend.cpri) : null,
+      readiness: trend ? plainText(trend.readiness) : null
+    };
+  })
+});
+
+// { thresholds: { cpri: { ready } } } -> [['thresholds.cpri.ready', 0.75]]
+export const flattenSettings = (settings, prefix = '') => Object.entries(settings).flatMap(([key, value]) => (
+  value && typeof value === 'object' && !Array.isArray(value)
+    ? flattenSettings(value, `${prefix}${key}.`)
+    : [[`${prefix}${key}`, value ?? '']]
+));
+
+export const toDecisionLogCsv = (log) => [
+  ...flattenSettings(log.settings).map(([key, value]) => `# ${key}: ${value}`),
+  Papa.unparse({ fields: DECISION_LOG_COLUMNS, data: log.rows.map(r => DECISION_LOG_COLUMNS.map(c => r[c] ?? '')) })
+].join('\n');
+
+export const toDecisionLogJson = (log) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  settings: log.settings,
+  rows: log.rows
+}, null, 2);
+
+const headerCell = (value) => ({ value, fontWeight: 'bold' });
+
+// Sheet data for the workbook: the log, then the settings
+export const toDecisionLogSheets = (log) => [
+  {
+    sheet: 'Decision Log',
+    data: [
+      DECISION_LOG_COLUMNS.map(headerCell),
+      ...log.rows.map(r => DECISION_LOG_COLUMNS.map(c => ({ value: r[c] ?? null })))
+    ],
+    columns: DECISION_LOG_COLUMNS.map(c => ({ width: Math.max(c.length + 2, 12) })),
+    stickyRowsCount: 1
+  },
+  {
+    sheet: 'Settings',
+    data: [
+      [headerCell('setting'), headerCell('value')],
+      ...flattenSettings(log.settings).map(([key, value]) => [{ value: key }, { value }])
+    ],
+    columns: [{ width: 32 }, { width: 40 }]
+  }
+];
+
+// Resolves to a Blob of the requested format
+export const exportDecisionLog = (log, format) => {
+  if (format === 'xlsx') return writeExcelFile(toDecisionLogSheets(log)).toBlob();
+  const content = format === 'json' ? toDecisionLogJson(log) : toDecisionLogCsv(log);
+  return Promise.resolve(new Blob([content], { type: DECISION_LOG_FORMATS[format].type }));
+};
+
+export const decisionLogFileName = (log, format) => (
+  `decision-log-${String(log.settings.region).toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${String(log.settings.exportedAt).slice(0, 10)}.${DECISION_LOG_FORMATS[format].extension}`
+);
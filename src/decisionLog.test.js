@@ -0,0 +1,59 @@
+import Papa from 'papaparse';
+import { DECISION_LOG_COLUMNS, buildDecisionLog, flattenSettings, toDecisionLogCsv, toDecisionLogJson, toDecisionLogSheets, exportDecisionLog, decisionLogFileName } from './decisionLog';
+
+const rows = [
+  { year: 2024, from: 'Forest', to: 'Built-up', area_sq_km: 4, confidence: 0.87, modelConfidence: 0.6, fieldVerdict: { confirmed: 1, rejected: 0, latest: 'confirmed' }, region_id: 'Sector-12', weight: 1.5, impactScore: '5.2' },
+  { year: 2024, from: 'Agriculture', to: 'Barren', area_sq_km: 2.5, confidence: 0.7, weight: 1.0, impactScore: '1.8' }
+];
+
+const settings = {
+  exportedAt: '2026-03-01T09:00:00.000Z',
+  region: 'Tirupati District',
+  persona: 'policy_maker',
+  minConfidence: 0.5,
+  thresholds: { decision: { act: 0.85, review: 0.75 } }
+};
+
+const log = buildDecisionLog(rows, {
+  decisionOf: (d) => (d.confidence >= 0.85 ? 'Safe to Act' : 'Field Validation Needed'),
+  trendOf: (d) => (d.from === 'Forest' ? { cpri: '0.78', readiness: 'Ready for Action ✅' } : null),
+  settings
+});
+
+test('keeps the view order and adds the derived columns', () => {
+  expect(log.rows[0]).toEqual({
+    rank: 1, year: 2024, region_id: 'Sector-12', from_lulc: 'Forest', to_lulc: 'Built-up',
+    from_category: 'ecological', to_category: 'urban', area_sq_km: 4, confidence: 0.87, model_confidence: 0.6,
+    field_verdict: 'confirmed', persona_weight: 1.5, impact_score: 5.2, decision_status: 'Safe to Act',
+    cpri: 0.78, readiness: 'Ready for Action'
+  });
+  expect(log.rows[1]).toMatchObject({ rank: 2, region_id: null, model_confidence: 0.7, field_verdict: null, cpri: null, decision_status: 'Field Validation Needed' });
+  expect(Object.keys(log.rows[0])).toEqual(DECISION_LOG_COLUMNS);
+});
+
+test('writes the settings into CSV comments, the JSON envelope and a second sheet', () => {
+  expect(flattenSettings(settings)).toContainEqual(['thresholds.decision.review', 0.75]);
+
+  const csv = toDecisionLogCsv(log);
+  expect(csv.split('\n').slice(0, 2)).toEqual(['# exportedAt: 2026-03-01T09:00:00.000Z', '# region: Tirupati District']);
+  const parsed = Papa.parse(csv.split('\n').filter(l => !l.startsWith('#')).join('\n'), { header: true, dynamicTyping: true }).data;
+  expect(parsed[0]).toMatchObject({ rank: 1, impact_score: 5.2, decision_status: 'Safe to Act' });
+  expect(parsed[1].cpri).toBeNull();
+
+  const json = JSON.parse(toDecisionLogJson(log));
+  expect(json).toMatchObject({ format: 'lulc-decision-log', version: 1, settings });
+  expect(json.rows).toHaveLength(2);
+
+  const [logSheet, settingsSheet] = toDecisionLogSheets(log);
+  expect(logSheet.data[0].map(c => c.value)).toEqual(DECISION_LOG_COLUMNS);
+  expect(logSheet.data).toHaveLength(3);
+  expect(settingsSheet.data).toContainEqual([{ value: 'minConfidence' }, { value: 0.5 }]);
+});
+
+test('exports each format as a Blob with a dated file name', async () => {
+  const xlsx = await exportDecisionLog(log, 'xlsx');
+  expect(xlsx.type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  expect(xlsx.size).toBeGreaterThan(0);
+  expect((await exportDecisionLog(log, 'json')).type).toBe('application/json');
+  expect(decisionLogFileName(log, 'csv')).toBe('decision-log-tirupati-district-2026-03-01.csv');
+});
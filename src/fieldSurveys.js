@@ -0,0 +1,105 @@
+import { readStored, writeStored } from "./storage";
+import { LULC_CLASS_NAMES } from "./lulcClasses";
+
+// FIELD SURVEY WORKFLOW
+// Suggested validation tasks become dispatched surveys; the team's verdict is recorded
+// when the task is completed. A survey targets { year, from, to, region_id } in one
+// dataset; a null region_id covers that transition in every region.
+//
+// Ground truth feeds back into record confidence. The model confidence acts as a prior
+// worth PRIOR_WEIGHT observations and each site visit counts FIELD_WEIGHT observations:
+//   confidence = (c × PRIOR_WEIGHT + confirmed × FIELD_WEIGHT) / (PRIOR_WEIGHT + visits × FIELD_WEIGHT)
+// so one confirmation lifts 0.60 to 0.87 and one rejection drops it to 0.20.
+
+export const SURVEY_VERDICTS = ['confirmed', 'rejected', 'different_class'];
+
+export const VERDICT_LABELS = {
+  confirmed: 'Confirmed',
+  rejected: 'Rejected (no change on ground)',
+  different_class: 'Different class'
+};
+
+// Photos are stored inline, so keep them small enough for browser storage
+export const MAX_PHOTO_BYTES = 1.5 * 1024 * 1024;
+
+const PRIOR_WEIGHT = 1;
+const FIELD_WEIGHT = 2;
+const SURVEYS_KEY = 'fieldSurveys';
+
+export const listSurveys = () => readStored(SURVEYS_KEY, []);
+
+const persist = (surveys) => (writeStored(SURVEYS_KEY, surveys) ? surveys : null);
+
+export const targetMatches = (target, d) => (
+  target.year === d.year &&
+  target.from === d.from &&
+  target.to === d.to &&
+  (!target.region_id || target.region_id === d.region_id)
+);
+
+export const sameTarget = (a, b) => a.year === b.year && a.from === b.from && a.to === b.to && (a.region_id || null) === (b.region_id || null);
+
+// suggestion: { target, title, reason, priority }. Returns the updated list, or null when storage is full.
+export const dispatchSurvey = (datasetId, suggestion, now = new Date().toISOString()) => {
+  const surveys = listSurveys();
+  const existing = surveys.find(s => s.datasetId === datasetId && s.status === 'dispatched' && sameTarget(s.target, suggestion.target));
+  if (existing) return surveys;
+
+  return persist([...surveys, {
+    id: `sv-${Date.parse(now)}-${surveys.length}`,
+    datasetId,
+    target: { ...suggestion.target, region_id: suggestion.target.region_id || null },
+    title: suggestion.title,
+    reason: suggestion.reason || '',
+    priority: suggestion.priority || 'Medium',
+    status: 'dispatched',
+    dispatchedAt: now,
+    completedAt: null,
+    verdict: null,
+    observedClass: null,
+    notes: '',
+    photo: null
+  }]);
+};
+
+// result: { verdict, observedClass, notes, photo: { name, type, dataUrl } | null }
+// Throws on an invalid result; returns the updated list, or null when storage is full.
+export const completeSurvey = (id, result, now = new Date().toISOString()) => {
+  if (!SURVEY_VERDICTS.includes(result.verdict)) throw new Error('Choose a verdict before completing the survey');
+  if (result.verdict === 'different_class' && !LULC_CLASS_NAMES.includes(result.observedClass)) {
+    throw new Error('Select the class the team observed on the ground');
+  }
+
+  return persist(listSurveys().map(s => (s.id !== id ? s : {
+    ...s,
+    status: 'completed',
+    completedAt: now,
+    verdict: result.verdict,
+    observedClass: result.verdict === 'different_class' ? result.observedClass : null,
+    notes: (result.notes || '').trim(),
+    photo: result.photo || null
+  })));
+};
+
+export const deleteSurvey = (id) => persist(listSurveys().filter(s => s.id !== id)) || listSurveys();
+
+// Returns records with confidence adjusted by completed surveys of this dataset.
+// Adjusted records keep the original as modelConfidence and carry a fieldVerdict summary.
+export const applyFieldVerdicts = (records, surveys, datasetId) => {
+  const completed = surveys.filter(s => s.datasetId === datasetId && s.status === 'completed');
+  if (completed.length === 0) return records;
+
+  return records.map(d => {
+    const visits = completed.filter(s => targetMatches(s.target, d));
+    if (visits.length === 0) return d;
+
+    const confirmed = visits.filter(s => s.verdict === 'confirmed').length;
+    const confidence = (d.confidence * PRIOR_WEIGHT + confirmed * FIELD_WEIGHT) / (PRIOR_WEIGHT + visits.length * FIELD_WEIGHT);
+    return {
+      ...d,
+      confidence: parseFloat(confidence.toFixed(3)),
+      modelConfidence: d.confidence,
+      fieldVerdict: { confirmed, rejected: visits.length - confirmed, latest: visits[visits.length - 1].verdict }
+    };
+  });
+};
@@ -0,0 +1,44 @@
+import { listSurveys, dispatchSurvey, completeSurvey, deleteSurvey, applyFieldVerdicts } from './fieldSurveys';
+
+const suggestion = { target: { year: 2024, from: 'Water', to: 'Barren', region_id: 'Sector-08' }, title: 'Validate Water → Barren', priority: 'High' };
+const records = [
+  { year: 2024, from: 'Water', to: 'Barren', area_sq_km: 1.3, confidence: 0.6, region_id: 'Sector-08' },
+  { year: 2024, from: 'Water', to: 'Barren', area_sq_km: 0.4, confidence: 0.6, region_id: 'Sector-03' }
+];
+
+beforeEach(() => window.localStorage.clear());
+
+test('dispatching the same target twice keeps one open task', () => {
+  dispatchSurvey('builtin', suggestion);
+  dispatchSurvey('builtin', suggestion);
+  expect(listSurveys()).toHaveLength(1);
+  expect(listSurveys()[0]).toMatchObject({ status: 'dispatched', verdict: null, datasetId: 'builtin' });
+});
+
+test('completed verdicts adjust the confidence of the surveyed records only', () => {
+  const [task] = dispatchSurvey('builtin', suggestion);
+  completeSurvey(task.id, { verdict: 'confirmed', notes: ' Dry bed, quarrying ' });
+  expect(listSurveys()[0]).toMatchObject({ status: 'completed', notes: 'Dry bed, quarrying' });
+
+  const adjusted = applyFieldVerdicts(records, listSurveys(), 'builtin');
+  expect(adjusted[0].confidence).toBeCloseTo(0.867);
+  expect(adjusted[0].modelConfidence).toBe(0.6);
+  expect(adjusted[0].fieldVerdict).toEqual({ confirmed: 1, rejected: 0, latest: 'confirmed' });
+  expect(adjusted[1]).toBe(records[1]);
+  expect(applyFieldVerdicts(records, listSurveys(), 'ds-other')).toBe(records);
+});
+
+test('rejected and different-class verdicts lower confidence', () => {
+  const [task] = dispatchSurvey('builtin', suggestion);
+  completeSurvey(task.id, { verdict: 'different_class', observedClass: 'Agriculture' });
+  const [adjusted] = applyFieldVerdicts(records, listSurveys(), 'builtin');
+  expect(adjusted.confidence).toBeCloseTo(0.2);
+  expect(listSurveys()[0].observedClass).toBe('Agriculture');
+});
+
+test('validates the verdict and can delete tasks', () => {
+  const [task] = dispatchSurvey('builtin', suggestion);
+  expect(() => completeSurvey(task.id, { verdict: 'maybe' })).toThrow();
+  expect(() => completeSurvey(task.id, { verdict: 'different_class' })).toThrow('observed');
+  expect(deleteSurvey(task.id)).toEqual([]);
+});
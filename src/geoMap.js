@@ -0,0 +1,105 @@
+// OFFLINE GEOSPATIAL RENDERING
+// Projects GeoJSON region polygons straight to SVG paths. No tile server or map
+// library is involved, so the explorer works on an air-gapped planning office LAN.
+
+export const getRegionId = (feature) => feature?.properties?.region_id ?? feature?.id ?? null;
+
+const SUPPORTED_GEOMETRIES = ['Polygon', 'MultiPolygon'];
+
+// Checks the uploaded file is a FeatureCollection of polygons keyed by region_id
+export const validateRegionGeoJson = (geojson) => {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error("Boundary file must be a GeoJSON FeatureCollection");
+  }
+  const usable = geojson.features.filter(f => getRegionId(f) !== null && SUPPORTED_GEOMETRIES.includes(f.geometry?.type));
+  if (usable.length === 0) {
+    throw new Error("No Polygon/MultiPolygon features with a region_id property were found");
+  }
+  return { ...geojson, features: usable };
+};
+
+// Normalise both geometry types to a list of polygons (each a list of rings)
+const polygonsOf = (geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates);
+
+const getBounds = (features) => {
+  let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+  features.forEach(f => polygonsOf(f.geometry).forEach(poly => poly.forEach(ring => ring.forEach(([lon, lat]) => {
+    minLon = Math.min(minLon, lon); maxLon = Math.max(maxLon, lon);
+    minLat = Math.min(minLat, lat); maxLat = Math.max(maxLat, lat);
+  }))));
+  return { minLon, maxLon, minLat, maxLat };
+};
+
+// Equirectangular projection scaled to fit the viewport. cos(latitude) corrects the
+// east-west stretch, which is plenty accurate at district scale.
+export const projectFeatures = (features, width, height, padding = 20) => {
+  if (features.length === 0) return [];
+  const { minLon, maxLon, minLat, maxLat } = getBounds(features);
+  const lonScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const spanX = Math.max((maxLon - minLon) * lonScale, 1e-9);
+  const spanY = Math.max(maxLat - minLat, 1e-9);
+  const scale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+
+  const project = ([lon, lat]) => [
+    offsetX + (lon - minLon) * lonScale * scale,
+    offsetY + (maxLat - lat) * scale
+  ];
+
+  return features.map(f => {
+    const polygons = polygonsOf(f.geometry);
+    const path = polygons.map(poly => poly.map(ring => (
+      ring.map((pt, i) => {
+        const [x, y] = project(pt);
+        return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+      }).join('') + 'Z'
+    )).join('')).join('');
+
+    // Label at the mean of the first outer ring's vertices
+    const outer = polygons[0][0];
+    const [cx, cy] = project([
+      outer.reduce((sum, p) => sum + p[0], 0) / outer.length,
+      outer.reduce((sum, p) => sum + p[1], 0) / outer.length
+    ]);
+
+    return { regionId: getRegionId(f), name: f.properties?.name || getRegionId(f), path, centroid: [cx, cy] };
+  });
+};
+
+// Quantised sequential colour ramps, light (low) to dark (high)
+export const CHOROPLETH_PALETTES = {
+  area: ['#FEE2E2', '#FCA5A5', '#F87171', '#DC2626', '#7F1D1D'],
+  cpri: ['#EDE9FE', '#C4B5FD', '#A78BFA', '#7C3AED', '#4C1D95'],
+  confidence: ['#D1FAE5', '#6EE7B7', '#34D399', '#059669', '#064E3B']
+};
+
+export const choroplethColor = (value, min, max, palette) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '#E2E8F0';
+  const t = max > min ? (value - min) / (max - min) : 1;
+  return palette[Math.min(palette.length - 1, Math.floor(t * palette.length))];
+};
+
+// Straight-line km from each region's centre to the district centre (mean of region
+// centres), for survey travel costs. Same equirectangular approximation as above.
+const KM_PER_DEGREE = 111.32;
+
+export const getRegionDistancesKm = (features) => {
+  if (features.length === 0) return {};
+  const centres = features.map(f => {
+    const outer = polygonsOf(f.geometry)[0][0];
+    return {
+      regionId: getRegionId(f),
+      lon: outer.reduce((sum, p) => sum + p[0], 0) / outer.length,
+      lat: outer.reduce((sum, p) => sum + p[1], 0) / outer.length
+    };
+  });
+  const hubLon = centres.reduce((sum, c) => sum + c.lon, 0) / centres.length;
+  const hubLat = centres.reduce((sum, c) => sum + c.lat, 0) / centres.length;
+  const lonScale = Math.cos(hubLat * Math.PI / 180);
+
+  return Object.fromEntries(centres.map(c => [
+    c.regionId,
+    Math.hypot((c.lon - hubLon) * lonScale, c.lat - hubLat) * KM_PER_DEGREE
+  ]));
+};
@@ -0,0 +1,39 @@
+import { validateRegionGeoJson, projectFeatures, choroplethColor, CHOROPLETH_PALETTES, getRegionDistancesKm } from './geoMap';
+
+const square = (id, lon, lat) => ({
+  type: 'Feature',
+  properties: { region_id: id },
+  geometry: { type: 'Polygon', coordinates: [[[lon, lat], [lon + 1, lat], [lon + 1, lat + 1], [lon, lat + 1], [lon, lat]]] }
+});
+
+test('keeps only polygon features that carry a region_id', () => {
+  const geojson = validateRegionGeoJson({
+    type: 'FeatureCollection',
+    features: [square('Sector-01', 0, 0), { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } }]
+  });
+  expect(geojson.features).toHaveLength(1);
+  expect(() => validateRegionGeoJson({ type: 'Feature' })).toThrow();
+});
+
+test('projects polygons inside the SVG viewport', () => {
+  const shapes = projectFeatures([square('A', 79, 13), square('B', 80, 13)], 400, 200, 10);
+  expect(shapes.map(s => s.regionId)).toEqual(['A', 'B']);
+  const coords = shapes.flatMap(s => s.path.match(/-?\d+\.\d/g).map(Number));
+  expect(Math.min(...coords)).toBeGreaterThanOrEqual(0);
+  expect(Math.max(...coords)).toBeLessThanOrEqual(400);
+});
+
+test('maps values onto the palette from light to dark', () => {
+  const palette = CHOROPLETH_PALETTES.area;
+  expect(choroplethColor(0, 0, 10, palette)).toBe(palette[0]);
+  expect(choroplethColor(10, 0, 10, palette)).toBe(palette[palette.length - 1]);
+  expect(choroplethColor(null, 0, 10, palette)).toBe('#E2E8F0');
+});
+
+test('measures region distances from the district centre in km', () => {
+  const distances = getRegionDistancesKm([square('A', 79, 13), square('B', 79, 14)]);
+  expect(distances.A).toBeCloseTo(distances.B);
+  // Ring means sit 0.5° either side of the hub; the closing vertex nudges them
+  expect(distances.A).toBeGreaterThan(40);
+  expect(distances.A).toBeLessThan(70);
+});
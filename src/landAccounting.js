@@ -0,0 +1,58 @@
+import { LULC_CLASS_NAMES } from "./lulcClasses";
+import { buildTransitionMatrix } from "./transitionMatrix";
+
+// LAND-COVER ACCOUNTING
+// Standard change decomposition per class (Pontius et al., 2004):
+//   net change   = gross gain − gross loss
+//   swap         = 2 × min(gain, loss)   (change that relocates a class without altering its total)
+//   total change = gross gain + gross loss = |net| + swap
+export const computeClassAccounting = (records, classes = LULC_CLASS_NAMES) => {
+  const { grossGain, grossLoss } = buildTransitionMatrix(records, classes);
+
+  const rows = classes.map(cls => {
+    const gain = grossGain[cls];
+    const loss = grossLoss[cls];
+    return { cls, gain, loss, net: gain - loss, swap: 2 * Math.min(gain, loss), totalChange: gain + loss };
+  });
+
+  // Every changed pixel is one class's loss and another's gain, so landscape change is half the sum
+  const totalChange = rows.reduce((sum, r) => sum + r.totalChange, 0) / 2;
+  const totalSwap = rows.reduce((sum, r) => sum + r.swap, 0) / 2;
+
+  return { rows, totalChange, totalSwap, totalNet: totalChange - totalSwap };
+};
+
+// Tolerance for calling a period reconciled: 0.5 sq km or 5% of the reported change
+const isReconciled = (reported, derived) => Math.abs(reported - derived) <= Math.max(0.5, Math.abs(reported) * 0.05);
+
+// RECONCILIATION
+// Compares the net change implied by each period's transition records with the change in
+// class area reported by the time series between the same two years. Periods whose start
+// year is missing from the time series cannot be reconciled and are skipped.
+export const reconcileWithTimeSeries = (records, timeSeries, classes = LULC_CLASS_NAMES) => {
+  const tsYears = [...new Set(timeSeries.map(d => d.year))].sort((a, b) => a - b);
+  const areaAt = (year, cls) => timeSeries.find(d => d.year === year && d.lulc_class === cls)?.area_sq_km;
+
+  return tsYears.slice(1).flatMap((year, i) => {
+    const startYear = tsYears[i];
+    const periodRecords = records.filter(d => d.year === year);
+    if (periodRecords.length === 0) return [];
+
+    const { rows } = computeClassAccounting(periodRecords, classes);
+    return rows.map(r => {
+      const start = areaAt(startYear, r.cls);
+      const end = areaAt(year, r.cls);
+      if (start === undefined || end === undefined) return null;
+      const reportedNet = end - start;
+      return {
+        startYear,
+        year,
+        cls: r.cls,
+        reportedNet,
+        transitionNet: r.net,
+        discrepancy: r.net - reportedNet,
+        reconciled: isReconciled(reportedNet, r.net)
+      };
+    }).filter(Boolean);
+  });
+};
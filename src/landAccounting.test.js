@@ -0,0 +1,36 @@
+import { computeClassAccounting, reconcileWithTimeSeries } from './landAccounting';
+
+const records = [
+  { year: 2024, from: 'Forest', to: 'Agriculture', area_sq_km: 6, confidence: 0.9 },
+  { year: 2024, from: 'Agriculture', to: 'Forest', area_sq_km: 2, confidence: 0.9 },
+  { year: 2024, from: 'Agriculture', to: 'Built-up', area_sq_km: 5, confidence: 0.9 }
+];
+
+test('decomposes change into gain, loss, net and swap per class', () => {
+  const { rows, totalChange, totalSwap, totalNet } = computeClassAccounting(records);
+  const agri = rows.find(r => r.cls === 'Agriculture');
+  expect(agri).toEqual({ cls: 'Agriculture', gain: 6, loss: 7, net: -1, swap: 12, totalChange: 13 });
+  const forest = rows.find(r => r.cls === 'Forest');
+  expect(forest.net).toBe(-4);
+  expect(forest.swap).toBe(4);
+  expect(totalChange).toBe(13);
+  expect(totalSwap).toBe(8);
+  expect(totalNet).toBe(5);
+});
+
+test('flags periods where transitions and class areas disagree', () => {
+  const timeSeries = [
+    { year: 2022, lulc_class: 'Built-up', area_sq_km: 100 },
+    { year: 2024, lulc_class: 'Built-up', area_sq_km: 105 },
+    { year: 2022, lulc_class: 'Forest', area_sq_km: 50 },
+    { year: 2024, lulc_class: 'Forest', area_sq_km: 40 }
+  ];
+  const result = reconcileWithTimeSeries(records, timeSeries);
+  const built = result.find(r => r.cls === 'Built-up');
+  const forest = result.find(r => r.cls === 'Forest');
+  expect(built.reconciled).toBe(true);
+  expect(forest.reportedNet).toBe(-10);
+  expect(forest.discrepancy).toBe(6);
+  expect(forest.reconciled).toBe(false);
+  expect(result.find(r => r.cls === 'Water')).toBeUndefined();
+});
@@ -0,0 +1,35 @@
+// LULC CLASS REGISTRY
+// Single source of truth for class names. Every loader and engine resolves class
+// labels through here so "Water", "Water Body" and "waterbody" are the same class.
+
+export const LULC_CLASS_REGISTRY = [
+  { name: 'Forest', aliases: ['Forests', 'Forest Cover', 'Tree Cover'], color: '#10B981', category: 'ecological' },
+  { name: 'Water', aliases: ['Water Body', 'Waterbody', 'Water Bodies'], color: '#3B82F6', category: 'ecological' },
+  { name: 'Agriculture', aliases: ['Agricultural', 'Cropland', 'Farmland'], color: '#F59E0B', category: 'agricultural' },
+  { name: 'Built-up', aliases: ['Built up', 'Builtup', 'Urban', 'Settlement'], color: '#EF4444', category: 'urban' },
+  { name: 'Barren', aliases: ['Barren Land', 'Bare Soil', 'Wasteland'], color: '#A8A29E', category: 'degraded' }
+];
+
+export const LULC_CLASS_NAMES = LULC_CLASS_REGISTRY.map(c => c.name);
+
+const normalizeLabel = (label) => String(label).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+const LOOKUP = LULC_CLASS_REGISTRY.reduce((acc, cls) => {
+  [cls.name, ...cls.aliases].forEach(label => { acc[normalizeLabel(label)] = cls; });
+  return acc;
+}, {});
+
+export const getLulcClass = (label) => (label === undefined || label === null ? null : LOOKUP[normalizeLabel(label)] || null);
+
+// Canonical name, or null when the label matches no class or alias
+export const resolveLulcClass = (label) => getLulcClass(label)?.name ?? null;
+
+export const isClass = (label, canonicalName) => resolveLulcClass(label) === canonicalName;
+
+export const getClassCategory = (label) => getLulcClass(label)?.category ?? null;
+
+export const isEcologicalClass = (label) => getClassCategory(label) === 'ecological';
+
+export const isUrbanClass = (label) => getClassCategory(label) === 'urban';
+
+export const getClassColor = (label) => getLulcClass(label)?.color ?? '#64748B';
@@ -0,0 +1,24 @@
+import { resolveLulcClass, isEcologicalClass, isUrbanClass } from './lulcClasses';
+import { parseTransitionRows } from './dataLoader';
+
+test('resolves aliases to canonical class names regardless of case and spacing', () => {
+  expect(resolveLulcClass('Water Body')).toBe('Water');
+  expect(resolveLulcClass('waterbody')).toBe('Water');
+  expect(resolveLulcClass(' built_up ')).toBe('Built-up');
+  expect(resolveLulcClass('Wetland')).toBeNull();
+});
+
+test('classifies ecological and urban classes through their aliases', () => {
+  expect(isEcologicalClass('Water Body')).toBe(true);
+  expect(isEcologicalClass('Forest')).toBe(true);
+  expect(isEcologicalClass('Agriculture')).toBe(false);
+  expect(isUrbanClass('Urban')).toBe(true);
+});
+
+test('loader stores canonical names so engines see one spelling', () => {
+  const { records } = parseTransitionRows([
+    { year: '2024', from_lulc: 'Water Body', to_lulc: 'Barren Land', area_sq_km: '1.3', confidence: '0.9', region_id: '' }
+  ]);
+  expect(records[0].from).toBe('Water');
+  expect(records[0].to).toBe('Barren');
+});
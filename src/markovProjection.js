@@ -0,0 +1,119 @@
+import { LULC_CLASS_NAMES } from "./lulcClasses";
+
+// MARKOV-CHAIN PROJECTION
+// Calibrates an annual transition probability matrix from the observed transitions and
+// the class areas at the start of each period, then propagates every class forward.
+// Rows of the matrix sum to 1, so the total area is conserved at every step.
+
+// Pooled annual rate for each i → j: Σ flow(i→j) / Σ (area_i at period start × period length).
+// Dividing by the period length linearises the per-period probability; the observed
+// rates are a few percent a year, where the approximation is well within data error.
+export const buildMarkovModel = (records, timeSeries, classes = LULC_CLASS_NAMES) => {
+  const tsYears = [...new Set(timeSeries.map(d => d.year))].sort((a, b) => a - b);
+  if (tsYears.length === 0) return null;
+  const areaAt = (year, cls) => timeSeries.find(d => d.year === year && d.lulc_class === cls)?.area_sq_km;
+
+  const flows = {};
+  const exposure = {};
+  classes.forEach(from => {
+    flows[from] = {};
+    exposure[from] = 0;
+    classes.forEach(to => { flows[from][to] = 0; });
+  });
+
+  const calibrationPeriods = [];
+  tsYears.slice(1).forEach((year, i) => {
+    const startYear = tsYears[i];
+    const periodRecords = records.filter(d => d.year === year && d.from !== d.to);
+    if (periodRecords.length === 0) return;
+
+    const span = year - startYear;
+    classes.forEach(cls => { exposure[cls] += (areaAt(startYear, cls) ?? 0) * span; });
+    periodRecords.forEach(d => {
+      if (flows[d.from]?.[d.to] === undefined) return;
+      flows[d.from][d.to] += d.area_sq_km;
+    });
+    calibrationPeriods.push({ startYear, year });
+  });
+
+  if (calibrationPeriods.length === 0) return null;
+
+  const annual = {};
+  classes.forEach(from => {
+    annual[from] = {};
+    classes.forEach(to => {
+      annual[from][to] = from !== to && exposure[from] > 0 ? flows[from][to] / exposure[from] : 0;
+    });
+  });
+
+  const baseYear = tsYears[tsYears.length - 1];
+  const baseAreas = {};
+  classes.forEach(cls => { baseAreas[cls] = areaAt(baseYear, cls) ?? 0; });
+
+  return { classes, annual: withPersistence(annual, classes), baseYear, baseAreas, calibrationPeriods };
+};
+
+// Diagonal = whatever stays put. Outflows are scaled down if they would exceed the stock.
+const withPersistence = (annual, classes) => {
+  const out = {};
+  classes.forEach(from => {
+    const outflow = classes.filter(to => to !== from).reduce((sum, to) => sum + annual[from][to], 0);
+    const scale = outflow > 1 ? 1 / outflow : 1;
+    out[from] = {};
+    classes.forEach(to => { out[from][to] = to === from ? 0 : annual[from][to] * scale; });
+    out[from][from] = 1 - outflow * scale;
+  });
+  return out;
+};
+
+// Returns a new model with every off-diagonal probability multiplied by multiplierFor(from, to)
+export const scaleTransitionRates = (model, multiplierFor) => {
+  const { classes } = model;
+  const scaled = {};
+  classes.forEach(from => {
+    scaled[from] = {};
+    classes.forEach(to => {
+      scaled[from][to] = from === to ? 0 : model.annual[from][to] * Math.max(0, multiplierFor(from, to));
+    });
+  });
+  return { ...model, annual: withPersistence(scaled, classes) };
+};
+
+// Year-by-year projection from the base year to horizonYear (inclusive).
+// Each step: [{ year, areas: { [cls]: sq km }, total, flows: { [from]: { [to]: cumulative sq km } } }]
+export const projectMarkov = (model, horizonYear) => {
+  const { classes, annual, baseYear, baseAreas } = model;
+  const flows = {};
+  classes.forEach(from => {
+    flows[from] = {};
+    classes.forEach(to => { flows[from][to] = 0; });
+  });
+
+  const snapshot = (year, areas) => ({
+    year,
+    areas: { ...areas },
+    total: classes.reduce((sum, cls) => sum + areas[cls], 0),
+    flows: classes.reduce((acc, from) => ({ ...acc, [from]: { ...flows[from] } }), {})
+  });
+
+  let areas = { ...baseAreas };
+  const steps = [snapshot(baseYear, areas)];
+
+  const step = (current) => {
+    const next = {};
+    classes.forEach(cls => { next[cls] = 0; });
+    classes.forEach(from => classes.forEach(to => {
+      const moved = current[from] * annual[from][to];
+      next[to] += moved;
+      if (from !== to) flows[from][to] += moved;
+    }));
+    return next;
+  };
+
+  for (let year = baseYear + 1; year <= horizonYear; year++) {
+    areas = step(areas);
+    steps.push(snapshot(year, areas));
+  }
+
+  return steps;
+};
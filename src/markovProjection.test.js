@@ -0,0 +1,38 @@
+import { buildMarkovModel, scaleTransitionRates, projectMarkov } from './markovProjection';
+
+const classes = ['Forest', 'Built-up'];
+const timeSeries = [
+  { year: 2020, lulc_class: 'Forest', area_sq_km: 100 },
+  { year: 2020, lulc_class: 'Built-up', area_sq_km: 50 },
+  { year: 2022, lulc_class: 'Forest', area_sq_km: 90 },
+  { year: 2022, lulc_class: 'Built-up', area_sq_km: 60 }
+];
+const records = [{ year: 2022, from: 'Forest', to: 'Built-up', area_sq_km: 10, confidence: 0.9 }];
+
+test('calibrates annual rates from period flows and start-of-period areas', () => {
+  const model = buildMarkovModel(records, timeSeries, classes);
+  expect(model.baseYear).toBe(2022);
+  expect(model.annual.Forest['Built-up']).toBeCloseTo(0.05);
+  expect(model.annual.Forest.Forest).toBeCloseTo(0.95);
+  expect(model.annual['Built-up']['Built-up']).toBe(1);
+  expect(model.calibrationPeriods).toEqual([{ startYear: 2020, year: 2022 }]);
+});
+
+test('projects every class and conserves total area', () => {
+  const steps = projectMarkov(buildMarkovModel(records, timeSeries, classes), 2030);
+  expect(steps.map(s => s.year)).toEqual([2022, 2023, 2024, 2025, 2026, 2027, 2028, 2029, 2030]);
+  steps.forEach(s => expect(s.total).toBeCloseTo(150));
+  expect(steps[1].areas.Forest).toBeCloseTo(85.5);
+  expect(steps[8].flows.Forest['Built-up']).toBeCloseTo(90 - steps[8].areas.Forest);
+});
+
+test('scaling rates keeps rows stochastic', () => {
+  const model = scaleTransitionRates(buildMarkovModel(records, timeSeries, classes), () => 0.4);
+  expect(model.annual.Forest['Built-up']).toBeCloseTo(0.02);
+  expect(model.annual.Forest.Forest).toBeCloseTo(0.98);
+});
+
+test('returns null without a calibration period', () => {
+  expect(buildMarkovModel(records, [], classes)).toBeNull();
+  expect(buildMarkovModel([], timeSeries, classes)).toBeNull();
+});
@@ -0,0 +1,197 @@
+import { readStored, writeStored, removeStored } from "./storage";
+import { recordMatches, validateRecordMatch, fillTemplate } from "./alertRules";
+
+// STAKEHOLDER PERSONAS
+// Each persona is configuration (editable in Settings), not code:
+//   { id, name, icon, badge, defaultScenario: 'all' | 'urban' | 'eco',
+//     weights:   [{ match, weight }]  priority weight of a transition; first match wins, else 1.0
+//     focus:     [match]              transitions this persona looks at first (action ranking
+//                                     and the headline narrative); empty means no preference
+//     narrative: { lead, accelerating, steady, certain, uncertain }
+//                the headline is lead + (accelerating | steady) + (certain | uncertain) for the
+//                top trend; a CPRI at the ready cut-off counts as certain. Placeholders: {from}, {to},
+//                {transition}, {flow}, {trend}, {cpri}
+//     story:     { label, icon, match, text }  change-story line; {area} sums the matching
+//                records, plus {from}, {to} and {largestArea} of the largest change.
+//                Wrap text in **double asterisks** to emphasise it. }
+// match uses the alert rule record filter (see alertRules.js).
+// Alert rules may override their wording per persona id through titles / messages.
+
+export const PERSONA_SCENARIOS = ['all', 'urban', 'eco'];
+export const DEFAULT_PERSONA_ID = 'policy_maker';
+
+export const DEFAULT_PERSONAS = [
+  {
+    id: 'urban_planner',
+    name: 'Urban Planner',
+    icon: '🏙️',
+    badge: 'Infrastructure Focus',
+    defaultScenario: 'urban',
+    weights: [{ match: { toCategory: ['urban'] }, weight: 2.0 }],
+    focus: [{ toCategory: ['urban'] }, { fromCategory: ['urban'] }],
+    narrative: {
+      lead: 'Urban Expansion Alert: {to} zones are expanding at {flow} sq km/yr. ',
+      accelerating: 'Growth is accelerating rapidly, requiring immediate infrastructure scaling. ',
+      steady: 'Growth is steady, allowing for planned zoning updates. ',
+      certain: '',
+      uncertain: ''
+    },
+    story: { label: 'Urban Report', icon: '🏗️', match: { toCategory: ['urban'] }, text: 'Total built-up expansion is **{area} sq km**. Focus infrastructure audit on {to} zones.' }
+  },
+  {
+    id: 'environmental_officer',
+    name: 'Environmental Officer',
+    icon: '🌱',
+    badge: 'Conservation Focus',
+    defaultScenario: 'eco',
+    weights: [{ match: { fromCategory: ['ecological'] }, weight: 3.0 }],
+    focus: [{ fromCategory: ['ecological'] }],
+    narrative: {
+      lead: 'Ecological Warning: {from} loss is tracking at {flow} sq km/yr. This represents a critical depletion of natural capital. ',
+      accelerating: '',
+      steady: '',
+      certain: 'Conservation enforcement is urgently required. ',
+      uncertain: 'Conservation enforcement is dependent on field verification. '
+    },
+    story: {
+      label: 'Eco-Status',
+      icon: '🌲',
+      match: { fromCategory: ['ecological'], toCategory: ['agricultural', 'urban', 'degraded'] },
+      text: 'Critical loss of **{area} sq km** in protected biomes. Immediate conservation orders recommended.'
+    }
+  },
+  {
+    id: 'policy_maker',
+    name: 'Policy Maker',
+    icon: '🏛️',
+    badge: 'Action Focus',
+    defaultScenario: 'all',
+    weights: [
+      { match: { from: ['Forest'], toCategory: ['urban'] }, weight: 1.5 },
+      { match: { from: ['Water'] }, weight: 2.0 },
+      { match: { from: ['Agriculture'], toCategory: ['urban'] }, weight: 1.2 }
+    ],
+    focus: [],
+    narrative: {
+      lead: 'The most significant land-use change is the conversion of {from} to {to}. This trend is currently {trend} with a flow of {flow} sq km/yr. ',
+      accelerating: '',
+      steady: '',
+      certain: 'Given the high certainty (CPRI {cpri}), immediate policy intervention is recommended.',
+      uncertain: 'However, ambiguity remains (CPRI {cpri}), necessitating field verification before regulation.'
+    },
+    story: { label: 'Executive Summary', icon: '📉', text: 'Primary transition trend is **{from} → {to}** covering {largestArea} sq km.' }
+  }
+];
+
+// Starting point for a persona added in Settings
+export const PERSONA_TEMPLATE = {
+  id: 'revenue_officer',
+  name: 'Revenue Officer',
+  icon: '🧾',
+  badge: 'Land Records Focus',
+  defaultScenario: 'all',
+  weights: [{ match: { from: ['Agriculture'] }, weight: 2.5 }],
+  focus: [{ from: ['Agriculture'] }],
+  narrative: {
+    lead: 'Land Records Alert: {from} → {to} conversion is running at {flow} sq km/yr. ',
+    accelerating: 'Conversions are accelerating; reassess land revenue classifications. ',
+    steady: 'Conversions are steady. ',
+    certain: 'Mutation entries can be updated (CPRI {cpri}).',
+    uncertain: 'Verify on the ground before changing records (CPRI {cpri}).'
+  },
+  story: { label: 'Revenue Brief', icon: '🧾', match: { from: ['Agriculture'] }, text: '**{area} sq km** of farmland changed use this period.' }
+};
+
+const NARRATIVE_PARTS = ['lead', 'accelerating', 'steady', 'certain', 'uncertain'];
+
+// Returns a list of human-readable problems; an empty list means the personas can be saved.
+export const validatePersonas = (personas) => {
+  if (!Array.isArray(personas)) return ['Personas must be a JSON array'];
+  if (personas.length === 0) return ['Keep at least one persona'];
+  const problems = [];
+  const ids = new Set();
+
+  personas.forEach((persona, i) => {
+    const label = persona && persona.id ? `Persona "${persona.id}"` : `Persona ${i + 1}`;
+    if (!persona || typeof persona !== 'object') {
+      problems.push(`${label}: must be an object`);
+      return;
+    }
+    if (!persona.id || !/^[a-z0-9_]+$/.test(persona.id)) problems.push(`${label}: id must use lowercase letters, digits and underscores`);
+    else if (ids.has(persona.id)) problems.push(`${label}: duplicate id`);
+    ids.add(persona.id);
+
+    if (!persona.name) problems.push(`${label}: missing name`);
+    if (!PERSONA_SCENARIOS.includes(persona.defaultScenario)) problems.push(`${label}: defaultScenario must be one of ${PERSONA_SCENARIOS.join(', ')}`);
+
+    if (!Array.isArray(persona.weights)) problems.push(`${label}: weights must be a list`);
+    else persona.weights.forEach((w, j) => {
+      if (!w || typeof w !== 'object') {
+        problems.push(`${label}: weights[${j}] must be an object`);
+        return;
+      }
+      if (typeof w.weight !== 'number' || w.weight <= 0) problems.push(`${label}: weights[${j}].weight must be a positive number`);
+      problems.push(...validateRecordMatch(w.match || {}, label, `weights[${j}].match`));
+    });
+
+    if (!Array.isArray(persona.focus)) problems.push(`${label}: focus must be a list`);
+    else persona.focus.forEach((m, j) => problems.push(...validateRecordMatch(m || {}, label, `focus[${j}]`)));
+
+    const narrative = persona.narrative || {};
+    if (!narrative.lead) problems.push(`${label}: narrative.lead is required`);
+    NARRATIVE_PARTS.forEach(part => {
+      if (narrative[part] !== undefined && typeof narrative[part] !== 'string') problems.push(`${label}: narrative.${part} must be text`);
+    });
+
+    if (!persona.story || !persona.story.text) problems.push(`${label}: story.text is required`);
+    else if (persona.story.match) problems.push(...validateRecordMatch(persona.story.match, label, 'story.match'));
+  });
+
+  return problems;
+};
+
+// PERSONA PERSISTENCE
+const PERSONAS_KEY = 'personas';
+
+export const loadPersonas = () => {
+  const stored = readStored(PERSONAS_KEY, null);
+  return stored && validatePersonas(stored).length === 0 ? stored : DEFAULT_PERSONAS;
+};
+
+export const savePersonas = (personas) => writeStored(PERSONAS_KEY, personas);
+
+export const resetPersonas = () => removeStored(PERSONAS_KEY);
+
+// PERSONA LOGIC
+export const getPersona = (personas, id) => personas.find(p => p.id === id) || personas[0];
+
+export const getPersonaWeight = (persona, d) => persona.weights.find(w => recordMatches(w.match, d))?.weight ?? 1.0;
+
+export const isPersonaFocus = (persona, d) => persona.focus.some(m => recordMatches(m, d));
+
+// Stable re-order: transitions in focus first. rowOf maps an item to a { from, to } record.
+export const sortByPersonaFocus = (persona, items, rowOf = (x) => x) => (
+  persona.focus.length === 0 ? [...items] : [...items].sort((a, b) => isPersonaFocus(persona, rowOf(b)) - isPersonaFocus(persona, rowOf(a)))
+);
+
+// vars: { from, to, transition, flow, trend, cpri }; isAccelerating and isCertain pick the clauses
+export const composeNarrative = (persona, vars, { isAccelerating, isCertain }) => {
+  const n = persona.narrative;
+  return fillTemplate([
+    n.lead,
+    (isAccelerating ? n.accelerating : n.steady) || '',
+    (isCertain ? n.certain : n.uncertain) || ''
+  ].join(''), vars);
+};
+
+// Story text for the persona over the given records; largest is the biggest change
+export const composeStory = (persona, records, largest) => {
+  const matching = persona.story.match ? records.filter(d => recordMatches(persona.story.match, d)) : records;
+  const area = matching.reduce((sum, d) => sum + parseFloat(d.area_sq_km), 0);
+  return fillTemplate(persona.story.text, {
+    area: area.toFixed(1),
+    from: largest.from,
+    to: largest.to,
+    largestArea: largest.area_sq_km
+  });
+};
@@ -0,0 +1,38 @@
+import { DEFAULT_PERSONAS, PERSONA_TEMPLATE, validatePersonas, loadPersonas, savePersonas, getPersona, getPersonaWeight, sortByPersonaFocus, composeNarrative, composeStory } from './personas';
+
+const byId = (id) => getPersona(DEFAULT_PERSONAS, id);
+const forestToUrban = { from: 'Forest', to: 'Built-up', area_sq_km: 4, confidence: 0.9 };
+const agriToUrban = { from: 'Agriculture', to: 'Built-up', area_sq_km: 6, confidence: 0.8 };
+const waterToBarren = { from: 'Water', to: 'Barren', area_sq_km: 1, confidence: 0.7 };
+
+beforeEach(() => window.localStorage.clear());
+
+test('weights come from the first matching rule, else 1.0', () => {
+  expect(getPersonaWeight(byId('policy_maker'), forestToUrban)).toBe(1.5);
+  expect(getPersonaWeight(byId('policy_maker'), waterToBarren)).toBe(2.0);
+  expect(getPersonaWeight(byId('environmental_officer'), agriToUrban)).toBe(1.0);
+  expect(getPersonaWeight(byId('urban_planner'), agriToUrban)).toBe(2.0);
+});
+
+test('focus transitions sort first and narratives fill their templates', () => {
+  const sorted = sortByPersonaFocus(byId('environmental_officer'), [agriToUrban, waterToBarren, forestToUrban]);
+  expect(sorted).toEqual([waterToBarren, forestToUrban, agriToUrban]);
+
+  const text = composeNarrative(byId('urban_planner'), { to: 'Built-up', flow: 6 }, { isAccelerating: true, isCertain: false });
+  expect(text).toBe('Urban Expansion Alert: Built-up zones are expanding at 6 sq km/yr. Growth is accelerating rapidly, requiring immediate infrastructure scaling. ');
+  expect(composeStory(byId('environmental_officer'), [forestToUrban, agriToUrban, waterToBarren], agriToUrban)).toContain('**5.0 sq km**');
+});
+
+test('validates personas and falls back to the defaults for invalid storage', () => {
+  expect(validatePersonas(DEFAULT_PERSONAS)).toEqual([]);
+  expect(validatePersonas([...DEFAULT_PERSONAS, PERSONA_TEMPLATE])).toEqual([]);
+  const broken = { ...PERSONA_TEMPLATE, id: 'Revenue Officer', defaultScenario: 'coastal', weights: [{ match: { from: ['Mangrove'] }, weight: 0 }] };
+  expect(validatePersonas([broken])).toHaveLength(4);
+  expect(validatePersonas([])).toEqual(['Keep at least one persona']);
+  expect(validatePersonas([{ ...PERSONA_TEMPLATE, weights: [null] }])).toEqual([`Persona "${PERSONA_TEMPLATE.id}": weights[0] must be an object`]);
+
+  savePersonas([broken]);
+  expect(loadPersonas()).toBe(DEFAULT_PERSONAS);
+  savePersonas([PERSONA_TEMPLATE]);
+  expect(loadPersonas()[0].name).toBe('Revenue Officer');
+});
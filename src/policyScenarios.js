@@ -0,0 +1,78 @@
+import { readStored, writeStored } from "./storage";
+import { LULC_CLASS_NAMES } from "./lulcClasses";
+
+// POLICY SCENARIOS
+// A scenario is a named set of per-transition rate modifiers applied to the Markov
+// projection: { from, to, multiplier }. 'from' or 'to' may be '*' to match any class;
+// a multiplier of 0.4 means that conversion happens at 40% of its observed rate.
+// When several modifiers match a transition their multipliers compound.
+
+export const ANY_CLASS = '*';
+export const BAU_SCENARIO_ID = 'bau';
+
+export const BUILTIN_POLICY_SCENARIOS = [
+  {
+    id: BAU_SCENARIO_ID,
+    name: 'Business as Usual',
+    description: 'Observed transition rates continue unchanged.',
+    modifiers: [],
+    builtin: true
+  },
+  {
+    id: 'green-belt',
+    name: 'Green Belt Enforcement',
+    description: 'Forest clearance for construction and farming is largely halted.',
+    modifiers: [
+      { from: 'Forest', to: 'Built-up', multiplier: 0.2 },
+      { from: 'Forest', to: 'Agriculture', multiplier: 0.5 }
+    ],
+    builtin: true
+  },
+  {
+    id: 'agri-protection',
+    name: 'Agri-Land Protection',
+    description: 'Farmland conversion to urban use needs special approval; fallowing is discouraged.',
+    modifiers: [
+      { from: 'Agriculture', to: 'Built-up', multiplier: 0.4 },
+      { from: 'Agriculture', to: 'Barren', multiplier: 0.5 }
+    ],
+    builtin: true
+  }
+];
+
+const SCENARIOS_KEY = 'policyScenarios';
+
+export const listPolicyScenarios = () => [...BUILTIN_POLICY_SCENARIOS, ...readStored(SCENARIOS_KEY, [])];
+
+// Returns the list of problems; empty when the scenario can be saved
+export const validatePolicyScenario = (scenario) => {
+  const problems = [];
+  if (!scenario.name || !scenario.name.trim()) problems.push('Scenario needs a name');
+  if (BUILTIN_POLICY_SCENARIOS.some(s => s.id === scenario.id)) problems.push('Built-in scenarios cannot be changed');
+
+  const classOk = (cls) => cls === ANY_CLASS || LULC_CLASS_NAMES.includes(cls);
+  scenario.modifiers.forEach((m, i) => {
+    if (!classOk(m.from) || !classOk(m.to)) problems.push(`Rule ${i + 1}: unknown class`);
+    else if (m.from === m.to && m.from !== ANY_CLASS) problems.push(`Rule ${i + 1}: ${m.from} → ${m.to} is persistence, not a transition`);
+    if (typeof m.multiplier !== 'number' || Number.isNaN(m.multiplier) || m.multiplier < 0) problems.push(`Rule ${i + 1}: multiplier must be zero or more`);
+  });
+  return problems;
+};
+
+// Returns the updated custom list, or null when storage rejected the write
+export const savePolicyScenario = (scenario) => {
+  const custom = readStored(SCENARIOS_KEY, []);
+  const next = [...custom.filter(s => s.id !== scenario.id), { ...scenario, builtin: false }];
+  return writeStored(SCENARIOS_KEY, next) ? next : null;
+};
+
+export const deletePolicyScenario = (id) => {
+  const next = readStored(SCENARIOS_KEY, []).filter(s => s.id !== id);
+  writeStored(SCENARIOS_KEY, next);
+  return next;
+};
+
+// (from, to) => multiplier, for scaleTransitionRates
+export const scenarioRateMultiplier = (scenario) => (from, to) => scenario.modifiers
+  .filter(m => (m.from === ANY_CLASS || m.from === from) && (m.to === ANY_CLASS || m.to === to))
+  .reduce((product, m) => product * m.multiplier, 1);
@@ -0,0 +1,33 @@
+import { ANY_CLASS, BAU_SCENARIO_ID, listPolicyScenarios, savePolicyScenario, deletePolicyScenario, validatePolicyScenario, scenarioRateMultiplier } from './policyScenarios';
+
+beforeEach(() => window.localStorage.clear());
+
+test('saves custom scenarios alongside the built-ins', () => {
+  savePolicyScenario({ id: 'ps-1', name: 'Lake Buffer', description: '', modifiers: [{ from: 'Water', to: ANY_CLASS, multiplier: 0 }] });
+  expect(listPolicyScenarios().map(s => s.id)).toEqual([BAU_SCENARIO_ID, 'green-belt', 'agri-protection', 'ps-1']);
+
+  deletePolicyScenario('ps-1');
+  expect(listPolicyScenarios()).toHaveLength(3);
+});
+
+test('compounds matching modifiers and leaves other transitions untouched', () => {
+  const rate = scenarioRateMultiplier({
+    modifiers: [
+      { from: 'Forest', to: ANY_CLASS, multiplier: 0.5 },
+      { from: 'Forest', to: 'Built-up', multiplier: 0.4 }
+    ]
+  });
+  expect(rate('Forest', 'Built-up')).toBeCloseTo(0.2);
+  expect(rate('Forest', 'Agriculture')).toBe(0.5);
+  expect(rate('Agriculture', 'Built-up')).toBe(1);
+});
+
+test('rejects unnamed scenarios, persistence rules and negative multipliers', () => {
+  const problems = validatePolicyScenario({
+    id: 'ps-2',
+    name: ' ',
+    modifiers: [{ from: 'Forest', to: 'Forest', multiplier: 0.5 }, { from: 'Water', to: 'Barren', multiplier: -1 }]
+  });
+  expect(problems).toHaveLength(3);
+  expect(validatePolicyScenario({ id: BAU_SCENARIO_ID, name: 'BAU', modifiers: [] })).toEqual(['Built-in scenarios cannot be changed']);
+});
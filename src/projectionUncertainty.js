@@ -0,0 +1,65 @@
+import { LULC_CLASS_NAMES } from "./lulcClasses";
+import { buildMarkovModel, scaleTransitionRates, projectMarkov } from "./markovProjection";
+
+// PROJECTION UNCERTAINTY (Monte Carlo)
+// Every mapped area carries a confidence c, so a share m = 1 − c of it may be misclassified.
+// Each run redraws every transition and class area as area × (c + 2m·U), U ~ Uniform(0, 1):
+// the mean is the reported area and the spread grows with the misclassification share.
+// The Markov model is recalibrated and projected per run; the bands are run percentiles.
+
+// Small seeded PRNG (mulberry32) so the bands are stable between renders
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Linear interpolation between order statistics; values must be sorted ascending
+export const quantile = (sorted, q) => {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+const resampleArea = (area, confidence, rng) => {
+  const misclassified = Number.isNaN(confidence) ? 0 : Math.min(Math.max(1 - confidence, 0), 1);
+  return area * (1 - misclassified + 2 * misclassified * rng());
+};
+
+// Returns [{ year, classes: { [cls]: { p10, p50, p90 } } }] from the base year to horizonYear,
+// or null when the data cannot calibrate a Markov model.
+export const simulateProjectionBands = (records, timeSeries, {
+  horizonYear,
+  multiplierFor = () => 1,
+  runs = 200,
+  seed = 2030,
+  classes = LULC_CLASS_NAMES
+}) => {
+  if (!buildMarkovModel(records, timeSeries, classes)) return null;
+
+  const rng = createRng(seed);
+  const samples = []; // samples[run] = projectMarkov steps
+
+  for (let run = 0; run < runs; run++) {
+    const sampledRecords = records.map(d => ({ ...d, area_sq_km: resampleArea(d.area_sq_km, d.confidence, rng) }));
+    const sampledSeries = timeSeries.map(d => ({ ...d, area_sq_km: resampleArea(d.area_sq_km, d.confidence, rng) }));
+    const model = scaleTransitionRates(buildMarkovModel(sampledRecords, sampledSeries, classes), multiplierFor);
+    samples.push(projectMarkov(model, horizonYear));
+  }
+
+  return samples[0].map((step, i) => ({
+    year: step.year,
+    classes: classes.reduce((acc, cls) => {
+      const values = samples.map(s => s[i].areas[cls]).sort((a, b) => a - b);
+      acc[cls] = { p10: quantile(values, 0.1), p50: quantile(values, 0.5), p90: quantile(values, 0.9) };
+      return acc;
+    }, {})
+  }));
+};
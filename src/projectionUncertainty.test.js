@@ -0,0 +1,45 @@
+import { createRng, quantile, simulateProjectionBands } from './projectionUncertainty';
+
+const classes = ['Forest', 'Built-up'];
+const timeSeries = [
+  { year: 2020, lulc_class: 'Forest', area_sq_km: 100, confidence: 0.9 },
+  { year: 2020, lulc_class: 'Built-up', area_sq_km: 50, confidence: 0.9 },
+  { year: 2022, lulc_class: 'Forest', area_sq_km: 90, confidence: 0.9 },
+  { year: 2022, lulc_class: 'Built-up', area_sq_km: 60, confidence: 0.9 }
+];
+const records = [{ year: 2022, from: 'Forest', to: 'Built-up', area_sq_km: 10, confidence: 0.7 }];
+
+test('seeded generator is reproducible', () => {
+  const a = createRng(7);
+  const b = createRng(7);
+  expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+});
+
+test('quantile interpolates between order statistics', () => {
+  expect(quantile([1, 2, 3, 4, 5], 0.5)).toBe(3);
+  expect(quantile([0, 10], 0.1)).toBeCloseTo(1);
+  expect(quantile([], 0.5)).toBeNull();
+});
+
+test('produces ordered bands that widen with the horizon', () => {
+  const bands = simulateProjectionBands(records, timeSeries, { horizonYear: 2030, runs: 100, classes });
+  expect(bands.map(b => b.year)).toEqual([2022, 2023, 2024, 2025, 2026, 2027, 2028, 2029, 2030]);
+
+  const first = bands[1].classes['Built-up'];
+  const last = bands[8].classes['Built-up'];
+  expect(last.p10).toBeLessThan(last.p50);
+  expect(last.p50).toBeLessThan(last.p90);
+  expect(last.p90 - last.p10).toBeGreaterThan(first.p90 - first.p10);
+});
+
+test('certain inputs collapse the band to the point projection', () => {
+  const certain = records.map(d => ({ ...d, confidence: 1 }));
+  const exactSeries = timeSeries.map(d => ({ ...d, confidence: 1 }));
+  const band = simulateProjectionBands(certain, exactSeries, { horizonYear: 2023, runs: 20, classes })[1].classes.Forest;
+  expect(band.p10).toBeCloseTo(85.5);
+  expect(band.p90).toBeCloseTo(85.5);
+});
+
+test('returns null when no Markov model can be calibrated', () => {
+  expect(simulateProjectionBands(records, [], { horizonYear: 2030, classes })).toBeNull();
+});
@@ -0,0 +1,37 @@
+import { LULC_CLASS_NAMES } from "./lulcClasses";
+
+// REGIONAL CLASS SERIES
+// The time series CSV is district-wide, so a ward's class trajectory is rebuilt from its
+// transition records: each class's value is its cumulative net change (gains − losses)
+// since the start of the first analysis period. The absolute stock is unknown, so values
+// are relative to a zero baseline. Returns the same shape the district series uses.
+export const deriveClassSeries = (records) => {
+  const transitionYears = [...new Set(records.map(d => d.year))].sort((a, b) => a - b);
+  if (transitionYears.length === 0) return { years: [], byClass: {}, builtUp: [], forest: [], water: [], isDerived: true };
+
+  // A record's year is the END of its period, so add the period start as the zero baseline
+  const firstPeriod = transitionYears.length > 1 ? transitionYears[1] - transitionYears[0] : 1;
+  const years = [transitionYears[0] - firstPeriod, ...transitionYears];
+
+  const byClass = {};
+  LULC_CLASS_NAMES.forEach(cls => {
+    let running = 0;
+    byClass[cls] = years.map((year, i) => {
+      if (i === 0) return 0;
+      records.filter(d => d.year === year && d.from !== d.to).forEach(d => {
+        if (d.to === cls) running += d.area_sq_km;
+        if (d.from === cls) running -= d.area_sq_km;
+      });
+      return parseFloat(running.toFixed(2));
+    });
+  });
+
+  return {
+    years,
+    byClass,
+    builtUp: byClass['Built-up'],
+    forest: byClass['Forest'],
+    water: byClass['Water'],
+    isDerived: true
+  };
+};
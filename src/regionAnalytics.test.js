@@ -0,0 +1,18 @@
+import { deriveClassSeries } from './regionAnalytics';
+
+test('rebuilds cumulative net change per class from a region\'s transitions', () => {
+  const series = deriveClassSeries([
+    { year: 2020, from: 'Forest', to: 'Built-up', area_sq_km: 2, confidence: 0.9 },
+    { year: 2022, from: 'Forest', to: 'Built-up', area_sq_km: 3, confidence: 0.9 },
+    { year: 2022, from: 'Water', to: 'Barren', area_sq_km: 0.5, confidence: 0.8 }
+  ]);
+  expect(series.years).toEqual([2018, 2020, 2022]);
+  expect(series.builtUp).toEqual([0, 2, 5]);
+  expect(series.forest).toEqual([0, -2, -5]);
+  expect(series.water).toEqual([0, 0, -0.5]);
+  expect(series.isDerived).toBe(true);
+});
+
+test('returns an empty series for a region without records', () => {
+  expect(deriveClassSeries([]).years).toEqual([]);
+});
@@ -0,0 +1,105 @@
+import { readStored, writeStored } from "./storage";
+
+// REPORT ARCHIVE
+// Archiving a Planning Intelligence Report stores what it said at that moment: the
+// narrative, alerts, actions, thresholds, persona, scenario and data version. Snapshots
+// are frozen and never edited, only listed, reopened, compared and deleted, so the
+// archive shows exactly what a meeting was given. Newest first.
+//
+//   { id: 'RPT-20261019-001', createdAt, createdBy: { username, name },
+//     context: { region, dataVersion, datasetId, datasetName, regionScope, persona: { id, name }, scenario },
+//     thresholds, narrative: { title, body },
+//     metrics: { urbanVelocity, urbanStatus, stabilityScore, stabilityLabel, topCpri },
+//     alerts: [{ id, title, desc, severity, icon, status }],
+//     actions: [{ transition, action, details, dept, urgency }],
+//     fieldTasks: [{ task, reason, priority, status: 'pending' | 'dispatched' }] }
+
+const ARCHIVE_KEY = 'reportArchive';
+const LAST_ID_KEY = 'reportArchiveLastId';
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+export const listReports = () => deepFreeze(readStored(ARCHIVE_KEY, []));
+
+const persist = (reports) => (writeStored(ARCHIVE_KEY, reports) ? deepFreeze(reports) : null);
+
+// Sequence numbers restart every local day (createdAt is UTC, which would date reports
+// made just after midnight in IST to the day before). The last issued id is remembered
+// separately so a deleted report's id is never handed to a different report.
+const nextReportId = (reports, now) => {
+  const date = new Date(now);
+  const pad = (n) => String(n).padStart(2, '0');
+  const prefix = `RPT-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-`;
+  const issued = [readStored(LAST_ID_KEY, null), ...reports.map(r => r.id)].filter(id => id && id.startsWith(prefix));
+  const last = Math.max(0, ...issued.map(id => parseInt(id.slice(prefix.length), 10)));
+  return `${prefix}${String(last + 1).padStart(3, '0')}`;
+};
+
+// report: everything but id / createdAt / createdBy, as shown on screen.
+// Returns the updated archive, or null when storage is full.
+export const archiveReport = (report, user, now = new Date().toISOString()) => {
+  const reports = listReports();
+  const snapshot = {
+    id: nextReportId(reports, now),
+    createdAt: now,
+    createdBy: { username: user.username, name: user.name },
+    ...JSON.parse(JSON.stringify(report))
+  };
+  const next = persist([snapshot, ...reports]);
+  if (next) writeStored(LAST_ID_KEY, snapshot.id);
+  return next;
+};
+
+export const deleteReport = (id) => persist(listReports().filter(r => r.id !== id));
+
+// COMPARISON
+const DIFF_FIELDS = [
+  ['Region', r => r.context.region],
+  ['Data version', r => r.context.dataVersion],
+  ['Dataset', r => r.context.datasetName],
+  ['Region scope', r => r.context.regionScope || 'District'],
+  ['Persona', r => r.context.persona.name],
+  ['Scenario', r => r.context.scenario],
+  ['Safe to Act at confidence ≥', r => r.thresholds.decision.act],
+  ['Review Required at confidence ≥', r => r.thresholds.decision.review],
+  ['CPRI ready cut-off', r => r.thresholds.cpri.ready],
+  ['CPRI review cut-off', r => r.thresholds.cpri.review],
+  ['Headline', r => r.narrative.title],
+  ['Executive summary', r => r.narrative.body],
+  ['Net urban growth (km²/yr)', r => r.metrics.urbanVelocity],
+  ['Confidence stability', r => r.metrics.stabilityScore],
+  ['Top trend CPRI', r => r.metrics.topCpri]
+];
+
+const diffList = (before, after, keyOf, fields) => {
+  const beforeByKey = new Map(before.map(item => [keyOf(item), item]));
+  const afterByKey = new Map(after.map(item => [keyOf(item), item]));
+  return {
+    added: after.filter(item => !beforeByKey.has(keyOf(item))),
+    removed: before.filter(item => !afterByKey.has(keyOf(item))),
+    changed: after
+      .filter(item => beforeByKey.has(keyOf(item)))
+      .map(item => ({ before: beforeByKey.get(keyOf(item)), after: item }))
+      .filter(({ before: b, after: a }) => fields.some(f => b[f] !== a[f]))
+  };
+};
+
+// What changed from `before` to `after` (both snapshots)
+export const diffReports = (before, after) => ({
+  fields: DIFF_FIELDS
+    .map(([label, read]) => ({ label, before: read(before), after: read(after) }))
+    .filter(f => f.before !== f.after),
+  alerts: diffList(before.alerts, after.alerts, a => a.id, ['status', 'desc', 'severity']),
+  actions: diffList(before.actions, after.actions, a => a.transition, ['action', 'dept', 'urgency'])
+});
+
+export const isEmptyDiff = (diff) => (
+  diff.fields.length === 0 &&
+  ['alerts', 'actions'].every(k => ['added', 'removed', 'changed'].every(part => diff[k][part].length === 0))
+);
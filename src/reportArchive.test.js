@@ -0,0 +1,66 @@
+import { listReports, archiveReport, deleteReport, diffReports, isEmptyDiff } from './reportArchive';
+import { DEFAULT_SETTINGS } from './systemSettings';
+
+const admin = { username: 'admin', name: 'District Administrator', role: 'admin' };
+
+const report = (overrides = {}) => ({
+  context: { region: 'Tirupati District', dataVersion: 'v2.1 (Sentinel-2)', datasetId: 'builtin', datasetName: 'Built-in', regionScope: null, persona: { id: 'policy_maker', name: 'Policy Maker' }, scenario: 'all' },
+  thresholds: DEFAULT_SETTINGS.thresholds,
+  narrative: { title: 'Major Shift: Agriculture → Built-up', body: 'Conversion is steady.' },
+  metrics: { urbanVelocity: '1.2', urbanStatus: 'Stable', stabilityScore: '0.9', stabilityLabel: 'High', topCpri: '0.81' },
+  alerts: [
+    { id: 'district|urban_sprawl', title: 'Urban Sprawl', desc: '4 sq km', severity: 'high', icon: '🏙️', status: 'open' },
+    { id: 'district|water_loss', title: 'Water Loss', desc: '1 sq km', severity: 'medium', icon: '💧', status: 'open' }
+  ],
+  actions: [{ transition: 'Agriculture → Built-up', action: 'Formalize Zoning', details: '4 sq km', dept: 'Urban Planning', urgency: 'Immediate' }],
+  ...overrides
+});
+
+beforeEach(() => window.localStorage.clear());
+
+test('archives frozen snapshots with daily sequence ids, newest first', () => {
+  archiveReport(report(), admin, '2026-03-01T09:00:00.000Z');
+  archiveReport(report(), admin, '2026-03-01T15:00:00.000Z');
+  const archive = archiveReport(report(), admin, '2026-03-02T09:00:00.000Z');
+  expect(archive.map(r => r.id)).toEqual(['RPT-20260302-001', 'RPT-20260301-002', 'RPT-20260301-001']);
+  expect(archive[0].createdBy).toEqual({ username: 'admin', name: 'District Administrator' });
+
+  const [stored] = listReports();
+  expect(Object.isFrozen(stored.alerts[0])).toBe(true);
+  expect(() => { stored.narrative.body = 'edited'; }).toThrow(TypeError);
+
+  // Deleting never frees an id for reuse
+  deleteReport('RPT-20260302-001');
+  expect(archiveReport(report(), admin, '2026-03-02T18:00:00.000Z')[0].id).toBe('RPT-20260302-002');
+  expect(listReports()).toHaveLength(3);
+});
+
+test('dates report ids by the local day, not the UTC one', () => {
+  const justAfterMidnight = new Date(2026, 2, 2, 0, 30).toISOString();
+  expect(archiveReport(report(), admin, justAfterMidnight)[0].id).toBe('RPT-20260302-001');
+});
+
+test('diffs context, thresholds, alerts and actions between two reports', () => {
+  const before = report();
+  expect(isEmptyDiff(diffReports(before, report()))).toBe(true);
+
+  const after = report({
+    context: { ...before.context, dataVersion: 'v2.2 (Sentinel-2)' },
+    thresholds: { ...before.thresholds, cpri: { ready: 0.8, review: 0.45 } },
+    alerts: [
+      { ...before.alerts[0], status: 'resolved' },
+      { id: 'district|forest_loss', title: 'Forest Loss', desc: '2 sq km', severity: 'high', icon: '🌲', status: 'open' }
+    ],
+    actions: [{ ...before.actions[0], urgency: 'High', dept: 'Planning Committee' }]
+  });
+  const diff = diffReports(before, after);
+  expect(diff.fields).toEqual([
+    { label: 'Data version', before: 'v2.1 (Sentinel-2)', after: 'v2.2 (Sentinel-2)' },
+    { label: 'CPRI ready cut-off', before: 0.75, after: 0.8 }
+  ]);
+  expect(diff.alerts.added.map(a => a.title)).toEqual(['Forest Loss']);
+  expect(diff.alerts.removed.map(a => a.title)).toEqual(['Water Loss']);
+  expect(diff.alerts.changed.map(c => c.after.status)).toEqual(['resolved']);
+  expect(diff.actions.changed).toHaveLength(1);
+  expect(isEmptyDiff(diff)).toBe(false);
+});
@@ -0,0 +1,198 @@
+import { jsPDF } from "jspdf";
+import { autoTable } from "jspdf-autotable";
+import { Chart } from "chart.js";
+
+// POLICY REPORT PDF
+// Lays out a report (the snapshot form from reportArchive.js) as an A4 PDF in the browser:
+// a cover page with the table of contents, then the sections, paginated as they fill.
+// Tables split across pages with their header repeated, and every page carries the
+// region, data version and report reference in the header and page numbers in the footer.
+// The table of contents is filled in last, once the section page numbers are known.
+
+const PAGE = { width: 210, height: 297, margin: 18, top: 24, bottom: 20 };
+const CONTENT_WIDTH = PAGE.width - 2 * PAGE.margin;
+const INK = [15, 23, 42];
+const BODY = [51, 65, 85];
+const MUTED = [100, 116, 139];
+const PT_TO_MM = 0.3528;
+
+const STATUS_LABELS = { open: 'Open', acknowledged: 'Acknowledged', resolved: 'Resolved' };
+
+// The standard PDF fonts only cover Latin-1: spell out arrows and comparisons, drop emoji
+const PDF_REPLACEMENTS = [[/→/g, '->'], [/←/g, '<-'], [/≥/g, '>='], [/≤/g, '<='], [/−/g, '-'], [/σ/g, 'sd'], [/\*\*/g, '']];
+
+export const toPdfText = (value) => PDF_REPLACEMENTS
+  .reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), String(value ?? ''))
+  .replace(/[^\n -ÿ•–—…‘’“”]/gu, '')
+  .replace(/ {2,}/g, ' ')
+  .trim();
+
+export const reportPdfFileName = (report) => (
+  `${report.id || 'planning-report-draft'}-${toPdfText(report.context.region).toLowerCase().replace(/[^a-z0-9]+/g, '-')}.pdf`
+);
+
+// Draws a chart off-screen at a fixed size, so the PDF does not depend on which tab is
+// mounted or how wide the window is. chart: { title, data, options } for a line chart.
+export const renderChartImage = ({ title, data, options = {} }, { width = 900, height = 420 } = {}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const chart = new Chart(canvas, {
+    type: 'line',
+    data,
+    options: { ...options, responsive: false, animation: false, devicePixelRatio: 2, plugins: { ...options.plugins, tooltip: { enabled: false } } }
+  });
+  try {
+    return { title, dataUrl: chart.toBase64Image('image/png'), width, height };
+  } finally {
+    chart.destroy();
+  }
+};
+
+// report: snapshot-shaped report; charts: [{ title, dataUrl, width, height }].
+// Returns the jsPDF document; call .save(name) to download it.
+export const buildReportPdf = (report, { charts = [], generatedAt = new Date() } = {}) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const { context, thresholds, narrative, metrics } = report;
+  const reference = report.id || 'Live view (not archived)';
+  const sections = [];
+  let y = PAGE.top;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE.height - PAGE.bottom) {
+      doc.addPage();
+      y = PAGE.top;
+    }
+  };
+
+  const paragraph = (text, { size = 10, bold = false, color = BODY, gap = 3 } = {}) => {
+    const lineHeight = size * PT_TO_MM * 1.4;
+    doc.setFont('helvetica', bold ? 'bold' : 'normal').setFontSize(size).setTextColor(...color);
+    doc.splitTextToSize(toPdfText(text), CONTENT_WIDTH).forEach(line => {
+      ensureSpace(lineHeight);
+      doc.text(line, PAGE.margin, y + lineHeight * 0.75);
+      y += lineHeight;
+    });
+    y += gap;
+  };
+
+  const heading = (title) => {
+    ensureSpace(20); // keep a heading with the start of its content
+    sections.push({ title, page: doc.getNumberOfPages() });
+    doc.setFont('helvetica', 'bold').setFontSize(14).setTextColor(...INK);
+    doc.text(`${sections.length}. ${title}`, PAGE.margin, y + 5);
+    doc.setDrawColor(59, 130, 246).setLineWidth(0.6).line(PAGE.margin, y + 7.5, PAGE.margin + 30, y + 7.5);
+    y += 13;
+  };
+
+  const table = (head, body) => {
+    autoTable(doc, {
+      head: [head.map(toPdfText)],
+      body: body.map(row => row.map(toPdfText)),
+      startY: y,
+      margin: { top: PAGE.top, bottom: PAGE.bottom, left: PAGE.margin, right: PAGE.margin },
+      showHead: 'everyPage',
+      rowPageBreak: 'avoid',
+      styles: { font: 'helvetica', fontSize: 9, cellPadding: 2, textColor: BODY },
+      headStyles: { fillColor: INK, textColor: 255, fontStyle: 'bold' },
+      alternateRowStyles: { fillColor: [248, 250, 252] }
+    });
+    y = doc.lastAutoTable.finalY + 8;
+  };
+
+  // COVER
+  doc.setFont('helvetica', 'bold').setFontSize(24).setTextColor(...INK);
+  doc.text('Planning Intelligence Report', PAGE.margin, 60);
+  doc.setFont('helvetica', 'normal').setFontSize(13).setTextColor(...MUTED);
+  doc.text(toPdfText(`Official Strategic Briefing • ${context.region}`), PAGE.margin, 70);
+  y = 85;
+  [
+    ['Reference', reference],
+    ['Generated', generatedAt.toLocaleString()],
+    ...(report.createdAt ? [['Archived', `${new Date(report.createdAt).toLocaleString()} by ${report.createdBy.name}`]] : []),
+    ['Dataset', context.regionScope ? `${context.datasetName} • Region ${context.regionScope}` : context.datasetName],
+    ['Persona / Scenario', `${context.persona.name} / ${context.scenario}`],
+    ['Data version', context.dataVersion]
+  ].forEach(([label, value]) => {
+    doc.setFont('helvetica', 'bold').setFontSize(10).setTextColor(...BODY).text(`${label}:`, PAGE.margin, y);
+    doc.setFont('helvetica', 'normal').text(toPdfText(value), PAGE.margin + 40, y);
+    y += 6;
+  });
+  const tocTop = y + 12;
+
+  // SECTIONS
+  doc.addPage();
+  y = PAGE.top;
+
+  heading('Executive Summary');
+  paragraph(narrative.title, { size: 11, bold: true, color: INK });
+  paragraph(narrative.body);
+  table(['Metric', 'Value', 'Assessment'], [
+    ['Net urban growth', `${metrics.urbanVelocity} km²/yr`, metrics.urbanStatus],
+    ['Confidence stability', `${metrics.stabilityScore}/1.0`, metrics.stabilityLabel],
+    ['Policy readiness (top trend CPRI)', metrics.topCpri, '']
+  ]);
+
+  heading('Strategic Action Plan');
+  if (report.actions.length > 0) {
+    table(['Priority Action', 'Transition', 'Department', 'Timeline'], report.actions.map(a => [a.action, a.details, a.dept, a.urgency.toUpperCase()]));
+  } else {
+    paragraph('No actions were recommended.');
+  }
+
+  heading('Governance Alerts');
+  if (report.alerts.length > 0) {
+    table(['Severity', 'Alert', 'Details', 'Status'], report.alerts.map(a => [a.severity.toUpperCase(), a.title, a.desc, STATUS_LABELS[a.status] || a.status]));
+  } else {
+    paragraph('No critical alerts were triggered.');
+  }
+
+  if (report.fieldTasks && report.fieldTasks.length > 0) {
+    heading('Field Validation Tasks');
+    table(['Task', 'Reason', 'Priority', 'Status'], report.fieldTasks.map(t => [t.task, t.reason, t.priority, t.status === 'dispatched' ? 'Team dispatched' : 'Pending']));
+  }
+
+  if (charts.length > 0) {
+    heading('Trends and Projections');
+    charts.forEach(chart => {
+      const imageHeight = CONTENT_WIDTH * (chart.height / chart.width);
+      ensureSpace(imageHeight + 10);
+      paragraph(chart.title, { size: 10, bold: true, color: INK, gap: 1 });
+      doc.addImage(chart.dataUrl, 'PNG', PAGE.margin, y, CONTENT_WIDTH, imageHeight);
+      y += imageHeight + 8;
+    });
+  }
+
+  heading('Decision Thresholds & Methodology');
+  paragraph(`Transitions mapped with confidence of at least ${thresholds.decision.act} are Safe to Act; at least ${thresholds.decision.review} need review; anything lower is flagged for field validation.`);
+  paragraph(`A CPRI score of at least ${thresholds.cpri.ready} routes a transition to the responsible department, at least ${thresholds.cpri.review} to committee review, and below that to field validation. The CPRI dampens low-confidence signals to prevent false positives in policy making.`);
+  paragraph('This platform is a Decision Support System. All halt orders and legal notices are recommendations requiring human ratification under the District Planning Act, Section 402.', { color: MUTED });
+
+  // TABLE OF CONTENTS (page numbers are known now)
+  doc.setPage(1);
+  doc.setFont('helvetica', 'bold').setFontSize(14).setTextColor(...INK).text('Contents', PAGE.margin, tocTop);
+  doc.setFont('helvetica', 'normal').setFontSize(11).setTextColor(...BODY);
+  sections.forEach((section, i) => {
+    const lineY = tocTop + 10 + i * 8;
+    doc.textWithLink(`${i + 1}. ${section.title}`, PAGE.margin, lineY, { pageNumber: section.page });
+    doc.text(String(section.page), PAGE.width - PAGE.margin, lineY, { align: 'right' });
+    doc.setDrawColor(203, 213, 225).setLineDashPattern([0.5, 1], 0).setLineWidth(0.2)
+      .line(PAGE.margin + doc.getTextWidth(`${i + 1}. ${section.title}`) + 2, lineY, PAGE.width - PAGE.margin - 8, lineY)
+      .setLineDashPattern([], 0);
+  });
+
+  // HEADERS AND FOOTERS
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal').setFontSize(8).setTextColor(...MUTED);
+    doc.text(toPdfText(`${context.region} • ${context.dataVersion}`), PAGE.margin, 12);
+    doc.text(toPdfText(`Ref: ${reference}`), PAGE.width - PAGE.margin, 12, { align: 'right' });
+    doc.setDrawColor(226, 232, 240).setLineWidth(0.3).line(PAGE.margin, 15, PAGE.width - PAGE.margin, 15);
+    doc.line(PAGE.margin, PAGE.height - 14, PAGE.width - PAGE.margin, PAGE.height - 14);
+    doc.text('District Planning Authority • Internal Decision Document', PAGE.margin, PAGE.height - 9);
+    doc.text(`Page ${page} of ${pageCount}`, PAGE.width - PAGE.margin, PAGE.height - 9, { align: 'right' });
+  }
+
+  return doc;
+};
@@ -0,0 +1,48 @@
+import { buildReportPdf, toPdfText, reportPdfFileName } from './reportPdf';
+import { DEFAULT_SETTINGS } from './systemSettings';
+
+// 1×1 white PNG
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==';
+
+const report = (overrides = {}) => ({
+  context: { region: 'Tirupati District', dataVersion: 'v2.1 (Sentinel-2)', datasetId: 'builtin', datasetName: 'Built-in', regionScope: null, persona: { id: 'policy_maker', name: 'Policy Maker' }, scenario: 'all' },
+  thresholds: DEFAULT_SETTINGS.thresholds,
+  narrative: { title: '📈 Accelerating Scale: Agriculture → Built-up', body: 'Conversion is accelerating.' },
+  metrics: { urbanVelocity: '1.2', urbanStatus: 'Stable', stabilityScore: '0.9', stabilityLabel: 'High', topCpri: '0.81' },
+  alerts: [{ id: 'district|urban_sprawl', title: 'Urban Sprawl', desc: '4 sq km', severity: 'high', icon: '🏙️', status: 'open' }],
+  actions: [{ transition: 'Agriculture → Built-up', action: 'Formalize Zoning', details: 'Agriculture → Built-up (4 sq km)', dept: 'Urban Planning', urgency: 'Immediate' }],
+  fieldTasks: [{ task: 'Validate Forest → Barren', reason: 'Low model confidence', priority: 'High', status: 'pending' }],
+  ...overrides
+});
+
+const pagesOf = (doc) => Array.from({ length: doc.getNumberOfPages() }, (_, i) => doc.internal.pages[i + 1].join('\n'));
+
+test('spells out symbols the standard PDF fonts cannot draw', () => {
+  expect(toPdfText('🚨 Surge Alert: Forest → Built-up (CPRI ≥ 0.75)')).toBe('Surge Alert: Forest -> Built-up (CPRI >= 0.75)');
+  expect(toPdfText('Total **4.2 sq km** • 1.2 km²/yr')).toBe('Total 4.2 sq km • 1.2 km²/yr');
+  expect(reportPdfFileName({ ...report(), id: 'RPT-20260301-001' })).toBe('RPT-20260301-001-tirupati-district.pdf');
+});
+
+test('puts the region and data version on every page and the section pages in the contents', () => {
+  const doc = buildReportPdf(report(), { charts: [{ title: 'Urban growth', dataUrl: PIXEL, width: 900, height: 420 }], generatedAt: new Date('2026-03-01T09:00:00Z') });
+  const pages = pagesOf(doc);
+  expect(pages.length).toBeGreaterThanOrEqual(2);
+  pages.forEach((page, i) => {
+    // • is written as its WinAnsi byte
+    expect(page).toMatch(/\(Tirupati District . v2\.1 \\\(Sentinel-2\\\)\)/);
+    expect(page).toContain(`(Page ${i + 1} of ${pages.length})`);
+  });
+  expect(pages[0]).toContain('(Contents)');
+  expect(pages[0]).toContain('(5. Trends and Projections)');
+  expect(pages[0]).toContain('(Ref: Live view \\(not archived\\))');
+  expect(pages.slice(1).join('\n')).toMatch(/\/I\d+ Do/);
+});
+
+test('splits long tables across pages and repeats their header', () => {
+  const actions = Array.from({ length: 120 }, (_, i) => ({ transition: `T${i}`, action: `Action ${i}`, details: `Forest → Built-up (${i} sq km)`, dept: 'Urban Planning', urgency: 'High' }));
+  const pages = pagesOf(buildReportPdf(report({ actions })));
+  const withHeader = pages.filter(page => page.includes('(Priority Action)'));
+  expect(withHeader.length).toBeGreaterThan(1);
+  expect(pages.join('\n')).toContain('(Action 119)');
+  expect(pages.some(page => page.includes('(Forest -> Built-up \\(3 sq km\\))'))).toBe(true);
+});
@@ -0,0 +1,68 @@
+import { matchPath } from "react-router";
+
+// APP ROUTES
+// Each sidebar tab is a path; the detail being looked at nests beneath it:
+//   /dashboard[/regions/:regionId][/transitions/:from/:to | /alerts/:alertId]
+//   /reports[/regions/:regionId][/archive/:reportId]
+//   /map[/regions/:regionId]
+//   /settings
+// The region scopes every tab that reads region data, so it sits in front of the detail
+// and survives switching between those tabs. Settings has no region in its path; the app
+// remembers the last one and puts it back when the user returns to a regional tab.
+// View settings (persona, filters, ...) stay in the query string, see viewState.js.
+
+export const ROUTE_TABS = ['dashboard', 'reports', 'map', 'settings'];
+export const DEFAULT_TAB = 'dashboard';
+
+const REGIONAL_TABS = ['dashboard', 'reports', 'map'];
+
+export const isRegionalTab = (tab) => REGIONAL_TABS.includes(tab);
+
+const DETAIL_PATHS = {
+  dashboard: ['', '/transitions/:from/:to', '/alerts/:alertId'],
+  reports: ['', '/archive/:reportId'],
+  map: [''],
+  settings: ['']
+};
+
+// Most specific first, so '/dashboard/regions/:regionId' is not read as a shorter match
+const ROUTE_PATTERNS = ROUTE_TABS.flatMap(tab => {
+  const scopes = isRegionalTab(tab) ? ['/regions/:regionId', ''] : [''];
+  return scopes.flatMap(scope => DETAIL_PATHS[tab].map(detail => ({ tab, path: `/${tab}${scope}${detail}` })));
+});
+
+// pathname -> { tab, regionId, transition: { from, to }, alertId, reportId } (absent parts are null),
+// or null when the path is not an app route
+export const parseRoute = (pathname) => {
+  for (const { tab, path } of ROUTE_PATTERNS) {
+    const match = matchPath({ path, end: true }, pathname);
+    if (!match) continue;
+    // The location keeps the path percent-encoded; a malformed segment is not a route (the caller redirects)
+    let params;
+    try {
+      params = Object.fromEntries(Object.entries(match.params).map(([key, value]) => [key, decodeURIComponent(value)]));
+    } catch (err) {
+      return null;
+    }
+    const { regionId, from, to, alertId, reportId } = params;
+    return {
+      tab,
+      regionId: regionId ?? null,
+      transition: from && to ? { from, to } : null,
+      alertId: alertId ?? null,
+      reportId: reportId ?? null
+    };
+  }
+  return null;
+};
+
+// Inverse of parseRoute. Parts a tab has no place for are dropped.
+export const routePath = ({ tab, regionId = null, transition = null, alertId = null, reportId = null }) => {
+  const segment = encodeURIComponent;
+  let path = `/${tab}`;
+  if (regionId && isRegionalTab(tab)) path += `/regions/${segment(regionId)}`;
+  if (tab === 'dashboard' && transition) path += `/transitions/${segment(transition.from)}/${segment(transition.to)}`;
+  else if (tab === 'dashboard' && alertId) path += `/alerts/${segment(alertId)}`;
+  if (tab === 'reports' && reportId) path += `/archive/${segment(reportId)}`;
+  return path;
+};
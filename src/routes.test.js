@@ -0,0 +1,27 @@
+import { parseRoute, routePath } from './routes';
+
+const route = (overrides) => ({ tab: 'dashboard', regionId: null, transition: null, alertId: null, reportId: null, ...overrides });
+
+test('reads the tab and the nested detail from the path', () => {
+  expect(parseRoute('/settings')).toEqual(route({ tab: 'settings' }));
+  expect(parseRoute('/map/regions/Sector-12')).toEqual(route({ tab: 'map', regionId: 'Sector-12' }));
+  expect(parseRoute('/dashboard/regions/Sector-12/transitions/Forest/Built-up')).toEqual(route({ regionId: 'Sector-12', transition: { from: 'Forest', to: 'Built-up' } }));
+  expect(parseRoute('/reports/archive/RPT-20260301-001')).toEqual(route({ tab: 'reports', reportId: 'RPT-20260301-001' }));
+});
+
+test('rejects paths that are not app routes', () => {
+  expect(parseRoute('/')).toBeNull();
+  expect(parseRoute('/admin')).toBeNull();
+  expect(parseRoute('/settings/regions/Sector-12')).toBeNull();
+  expect(parseRoute('/map/transitions/Forest/Built-up')).toBeNull();
+  expect(parseRoute('/dashboard/alerts/%E0%A4%A')).toBeNull();
+});
+
+test('builds paths that parse back, encoding ids and dropping parts a tab has no place for', () => {
+  const alert = route({ regionId: 'Sector 12', alertId: 'eco-risk:Sector 12:a1/b2' });
+  expect(routePath(alert)).toBe('/dashboard/regions/Sector%2012/alerts/eco-risk%3ASector%2012%3Aa1%2Fb2');
+  expect(parseRoute(routePath(alert))).toEqual(alert);
+
+  expect(routePath(route({ tab: 'settings', regionId: 'Sector-12' }))).toBe('/settings');
+  expect(routePath(route({ tab: 'map', regionId: 'Sector-12', transition: { from: 'Forest', to: 'Water' } }))).toBe('/map/regions/Sector-12');
+});
@@ -0,0 +1,34 @@
+// BROWSER PERSISTENCE
+// Thin JSON wrapper over localStorage. Storage can be full, disabled (private mode)
+// or hold a corrupt value; callers always get the fallback instead of an exception.
+
+const PREFIX = 'lulc.';
+
+export const readStored = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.warn(`Ignoring unreadable stored value "${key}":`, err);
+    return fallback;
+  }
+};
+
+// Returns false when the browser refused the write (e.g. quota exceeded)
+export const writeStored = (key, value) => {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.warn(`Could not persist "${key}":`, err);
+    return false;
+  }
+};
+
+export const removeStored = (key) => {
+  try {
+    window.localStorage.removeItem(PREFIX + key);
+  } catch (err) {
+    console.warn(`Could not remove "${key}":`, err);
+  }
+};
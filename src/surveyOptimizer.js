@@ -0,0 +1,138 @@
+import { getClassCategory } from "./lulcClasses";
+
+// FIELD SURVEY BUDGET OPTIMIZER
+// Every ambiguous transition in every region is a candidate site. Each site has its own
+// visit cost (crew day + area to walk + travel + terrain) and a value: the expected area
+// of wrongly mapped land the visit would settle, area × (1 − confidence), weighted up for
+// losses of ecological cover. That weighted value is a score, not an area; the unweighted
+// area × (1 − confidence) is kept alongside as uncertainArea for reporting. Choosing sites is a 0/1 knapsack solved by dynamic
+// programming over costs rounded up to the budget step, so a plan never overspends.
+
+export const SURVEY_COST_MODEL = {
+  baseVisit: 600,     // crew day and equipment, INR
+  perSqKm: 250,       // walking the parcel
+  perKm: 18,          // travel from the district centre and back
+  // Harder ground takes longer to traverse and verify
+  terrain: { Forest: 1.5, Water: 1.4, Agriculture: 1.0, 'Built-up': 0.9, Barren: 1.1 }
+};
+
+const ECOLOGICAL_VALUE_WEIGHT = 1.5;
+const MAX_CAPACITY_STEPS = 4000;
+
+export const estimateSiteCost = ({ area_sq_km, distanceKm = 0, from, to }, model = SURVEY_COST_MODEL) => {
+  const terrain = Math.max(model.terrain[from] ?? 1, model.terrain[to] ?? 1);
+  return Math.round((model.baseVisit + model.perSqKm * area_sq_km + model.perKm * 2 * distanceKm) * terrain);
+};
+
+export const estimateUncertainArea = ({ area_sq_km, confidence }) => area_sq_km * (1 - confidence);
+
+export const estimateSiteValue = (site) => (
+  estimateUncertainArea(site) * (getClassCategory(site.from) === 'ecological' ? ECOLOGICAL_VALUE_WEIGHT : 1)
+);
+
+// trends: transition trend rows (history, cpri); records: the scoped transition records.
+// distancesKm: { [region_id]: km from the district centre }. Returns one candidate per
+// latest-year record of every trend below the CPRI threshold.
+export const buildSurveyCandidates = (trends, records, { distancesKm = {}, cpriThreshold = 0.45, costModel = SURVEY_COST_MODEL } = {}) => (
+  trends
+    .filter(t => parseFloat(t.cpri) < cpriThreshold)
+    .flatMap(t => {
+      const latest = t.history[t.history.length - 1];
+      const sites = records.filter(d => d.year === latest.year && d.from === latest.from && d.to === latest.to);
+      return (sites.length > 0 ? sites : [latest]).map(d => {
+        const site = {
+          id: `${d.year}|${d.from}|${d.to}|${d.region_id || 'district'}`,
+          transition: t.transition,
+          from: d.from,
+          to: d.to,
+          region_id: d.region_id || null,
+          area_sq_km: d.area_sq_km,
+          confidence: d.confidence,
+          distanceKm: distancesKm[d.region_id] ?? 0,
+          target: { year: d.year, from: d.from, to: d.to, region_id: d.region_id || null }
+        };
+        return { ...site, cost: estimateSiteCost(site, costModel), value: estimateSiteValue(site), uncertainArea: estimateUncertainArea(site) };
+      });
+    })
+);
+
+// Best value for every capacity 0..steps; keep[i][w] records whether item i is in the
+// optimum at capacity w so the plan for any capacity can be read back.
+const solveKnapsack = (items, stepCosts, steps) => {
+  const best = new Array(steps + 1).fill(0);
+  const keep = items.map(() => new Uint8Array(steps + 1));
+  items.forEach((item, i) => {
+    for (let w = steps; w >= stepCosts[i]; w--) {
+      const withItem = best[w - stepCosts[i]] + item.value;
+      if (withItem > best[w]) {
+        best[w] = withItem;
+        keep[i][w] = 1;
+      }
+    }
+  });
+  const pick = (capacity) => {
+    const chosen = new Set();
+    let w = capacity;
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (keep[i][w]) {
+        chosen.add(items[i].id);
+        w -= stepCosts[i];
+      }
+    }
+    return chosen;
+  };
+  return { best, pick };
+};
+
+// locks: { [candidate id]: 'in' | 'out' }. Locked-in sites are funded first (even past the
+// budget, which is then reported); locked-out sites are never chosen. The marginal curve
+// shows the best value reachable at budgets up to `extension` × budget, and nextGain is
+// the smallest extra spend that buys more value.
+export const optimizeSurveyBudget = (candidates, budget, { locks = {}, extension = 1.5 } = {}) => {
+  const lockedIn = candidates.filter(c => locks[c.id] === 'in');
+  const lockedOut = candidates.filter(c => locks[c.id] === 'out');
+  const free = candidates.filter(c => !locks[c.id]);
+
+  const lockedCost = lockedIn.reduce((sum, c) => sum + c.cost, 0);
+  const lockedValue = lockedIn.reduce((sum, c) => sum + c.value, 0);
+  const available = Math.max(budget - lockedCost, 0);
+  const ceiling = Math.max(available * extension, available + Math.max(0, ...free.map(c => c.cost)));
+
+  const step = Math.max(1, Math.ceil(ceiling / MAX_CAPACITY_STEPS));
+  const steps = Math.floor(ceiling / step);
+  const budgetSteps = Math.floor(available / step);
+  const stepCosts = free.map(c => Math.ceil(c.cost / step));
+  const { best, pick } = solveKnapsack(free, stepCosts, steps);
+
+  const chosen = pick(budgetSteps);
+  const selected = [...lockedIn, ...free.filter(c => chosen.has(c.id))].sort((a, b) => b.value / b.cost - a.value / a.cost);
+  const deferred = free.filter(c => !chosen.has(c.id)).sort((a, b) => b.value - a.value);
+  const totalCost = selected.reduce((sum, c) => sum + c.cost, 0);
+
+  let nextGain = null;
+  for (let w = budgetSteps + 1; w <= steps; w++) {
+    if (best[w] > best[budgetSteps] + 1e-9) {
+      nextGain = { extraCost: (w - budgetSteps) * step, extraValue: best[w] - best[budgetSteps] };
+      break;
+    }
+  }
+
+  const curveStride = Math.max(1, Math.floor(steps / 20));
+  const marginalCurve = [];
+  for (let w = 0; w <= steps; w += curveStride) {
+    marginalCurve.push({ budget: lockedCost + w * step, value: lockedValue + best[w] });
+  }
+
+  return {
+    selected,
+    deferred,
+    lockedOut,
+    totalCost,
+    totalValue: selected.reduce((sum, c) => sum + c.value, 0),
+    uncertainArea: selected.reduce((sum, c) => sum + c.uncertainArea, 0),
+    remaining: budget - totalCost,
+    overBudget: lockedCost > budget,
+    nextGain: nextGain && { ...nextGain, valuePerRupee: nextGain.extraValue / nextGain.extraCost },
+    marginalCurve
+  };
+};
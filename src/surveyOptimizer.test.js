@@ -0,0 +1,49 @@
+import { estimateSiteCost, buildSurveyCandidates, optimizeSurveyBudget } from './surveyOptimizer';
+
+const site = (id, cost, value) => ({ id, cost, value });
+
+test('costs grow with area, distance and difficult terrain', () => {
+  const near = estimateSiteCost({ area_sq_km: 2, distanceKm: 0, from: 'Agriculture', to: 'Built-up' });
+  const far = estimateSiteCost({ area_sq_km: 2, distanceKm: 10, from: 'Agriculture', to: 'Built-up' });
+  const forest = estimateSiteCost({ area_sq_km: 2, distanceKm: 0, from: 'Forest', to: 'Built-up' });
+  expect(near).toBe(1100);
+  expect(far).toBe(1460);
+  expect(forest).toBe(1650);
+});
+
+test('builds one candidate per region for ambiguous trends only', () => {
+  const history = [{ year: 2024, from: 'Forest', to: 'Barren', area_sq_km: 3, confidence: 0.6 }];
+  const trends = [{ transition: 'Forest → Barren', cpri: '0.30', history }, { transition: 'x', cpri: '0.80', history }];
+  const records = [
+    { year: 2024, from: 'Forest', to: 'Barren', area_sq_km: 2, confidence: 0.6, region_id: 'Sector-03' },
+    { year: 2024, from: 'Forest', to: 'Barren', area_sq_km: 1, confidence: 0.5, region_id: 'Sector-08' }
+  ];
+  const candidates = buildSurveyCandidates(trends, records, { distancesKm: { 'Sector-08': 5 } });
+  expect(candidates.map(c => c.region_id)).toEqual(['Sector-03', 'Sector-08']);
+  expect(candidates[0].value).toBeCloseTo(2 * 0.4 * 1.5);
+  expect(candidates[0].uncertainArea).toBeCloseTo(2 * 0.4);
+  expect(candidates[1].distanceKm).toBe(5);
+  expect(candidates[1].target).toEqual({ year: 2024, from: 'Forest', to: 'Barren', region_id: 'Sector-08' });
+});
+
+test('maximises value within the budget rather than taking the biggest first', () => {
+  // Greedy by value would take A (value 10) and nothing else; B + C is worth more
+  const plan = optimizeSurveyBudget([site('A', 1000, 10), site('B', 500, 6), site('C', 500, 6)], 1000);
+  expect(plan.selected.map(c => c.id).sort()).toEqual(['B', 'C']);
+  expect(plan.totalValue).toBe(12);
+  expect(plan.remaining).toBe(0);
+  expect(plan.nextGain).toMatchObject({ extraCost: 500, extraValue: 4 });
+  expect(plan.nextGain.valuePerRupee).toBeCloseTo(0.008);
+});
+
+test('honours locked-in and locked-out tasks', () => {
+  const candidates = [site('A', 1000, 10), site('B', 500, 6), site('C', 500, 6)];
+  const plan = optimizeSurveyBudget(candidates, 1000, { locks: { A: 'in', B: 'out' } });
+  expect(plan.selected.map(c => c.id)).toEqual(['A']);
+  expect(plan.lockedOut.map(c => c.id)).toEqual(['B']);
+  expect(plan.deferred.map(c => c.id)).toEqual(['C']);
+
+  const over = optimizeSurveyBudget(candidates, 600, { locks: { A: 'in' } });
+  expect(over.overBudget).toBe(true);
+  expect(over.selected.map(c => c.id)).toEqual(['A']);
+});
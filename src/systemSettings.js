@@ -0,0 +1,114 @@
+import { readStored, writeStored, removeStored } from "./storage";
+
+// SYSTEM SETTINGS
+// District-specific configuration, edited in Settings and persisted in the browser.
+// Every engine reads its thresholds from here rather than from constants, so a district
+// can tune the system by importing a settings file instead of forking the code.
+//
+//   thresholds.decision  record confidence: ≥ act → Safe to Act, ≥ review → Review
+//                        Required, below → Field Validation Needed
+//   thresholds.cpri      CPRI: ≥ ready → Ready for Action (auto-route to a department),
+//                        ≥ review → Committee Review, below → Field Validation
+
+export const DEFAULT_SETTINGS = {
+  region: "Tirupati District",
+  masterPlanYear: 2030,
+  analysisPeriod: { start: 2023, end: 2024 },
+  dataVersion: "v2.1 (Sentinel-2)",
+  thresholds: {
+    decision: { act: 0.85, review: 0.75 },
+    cpri: { ready: 0.75, review: 0.45 }
+  }
+};
+
+const SETTINGS_KEY = 'settings';
+const EXPORT_FORMAT = 'lulc-settings';
+const EXPORT_VERSION = 1;
+
+const isYear = (y) => Number.isInteger(y) && y >= 1900 && y <= 2200;
+const isShare = (v) => typeof v === 'number' && v > 0 && v <= 1;
+
+// Returns a list of human-readable problems; an empty list means the settings can be saved.
+export const validateSettings = (settings) => {
+  if (!settings || typeof settings !== 'object') return ['Settings must be a JSON object'];
+  const problems = [];
+  const { region, masterPlanYear, analysisPeriod, dataVersion, thresholds } = settings;
+
+  if (typeof region !== 'string' || !region.trim()) problems.push('Region name is required');
+  if (typeof dataVersion !== 'string' || !dataVersion.trim()) problems.push('Data version is required');
+  if (!analysisPeriod || !isYear(analysisPeriod.start) || !isYear(analysisPeriod.end)) problems.push('Analysis period needs whole start and end years');
+  else if (analysisPeriod.start > analysisPeriod.end) problems.push('Analysis period starts after it ends');
+  if (!isYear(masterPlanYear)) problems.push('Master plan year must be a whole year');
+  else if (analysisPeriod && isYear(analysisPeriod.end) && masterPlanYear <= analysisPeriod.end) problems.push('Master plan year must fall after the analysis period');
+
+  const decision = thresholds?.decision;
+  if (!decision || !isShare(decision.act) || !isShare(decision.review)) problems.push('Decision thresholds must be between 0 and 1');
+  else if (decision.review >= decision.act) problems.push('The review threshold must be below the act threshold');
+
+  const cpri = thresholds?.cpri;
+  if (!cpri || !isShare(cpri.ready) || !isShare(cpri.review)) problems.push('CPRI thresholds must be between 0 and 1');
+  else if (cpri.review >= cpri.ready) problems.push('The CPRI review cut-off must be below the ready cut-off');
+
+  return problems;
+};
+
+// The Settings form keeps number fields as typed, so a field can be cleared and retyped.
+// Converts them before validation; a blank field becomes NaN and fails it.
+const toNumber = (value) => (typeof value !== 'string' ? value : value.trim() === '' ? NaN : Number(value));
+
+export const parseSettingsForm = (draft) => ({
+  ...draft,
+  masterPlanYear: toNumber(draft.masterPlanYear),
+  analysisPeriod: { start: toNumber(draft.analysisPeriod.start), end: toNumber(draft.analysisPeriod.end) },
+  thresholds: {
+    decision: { act: toNumber(draft.thresholds.decision.act), review: toNumber(draft.thresholds.decision.review) },
+    cpri: { ready: toNumber(draft.thresholds.cpri.ready), review: toNumber(draft.thresholds.cpri.review) }
+  }
+});
+
+// Stored values win over the defaults; fields added in later versions fall back to them
+const withDefaults = (settings) => ({
+  ...DEFAULT_SETTINGS,
+  ...settings,
+  analysisPeriod: { ...DEFAULT_SETTINGS.analysisPeriod, ...settings.analysisPeriod },
+  thresholds: {
+    decision: { ...DEFAULT_SETTINGS.thresholds.decision, ...settings.thresholds?.decision },
+    cpri: { ...DEFAULT_SETTINGS.thresholds.cpri, ...settings.thresholds?.cpri }
+  }
+});
+
+export const loadSettings = () => {
+  const stored = readStored(SETTINGS_KEY, null);
+  if (!stored) return DEFAULT_SETTINGS;
+  const merged = withDefaults(stored);
+  return validateSettings(merged).length === 0 ? merged : DEFAULT_SETTINGS;
+};
+
+export const saveSettings = (settings) => writeStored(SETTINGS_KEY, settings);
+
+export const resetSettings = () => removeStored(SETTINGS_KEY);
+
+// IMPORT / EXPORT
+export const exportSettings = (settings, now = new Date().toISOString()) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: now,
+  settings
+}, null, 2);
+
+// Accepts an exported file or a bare settings object. Throws with every problem found.
+export const parseSettingsImport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (parsed && parsed.format !== undefined && parsed.format !== EXPORT_FORMAT) throw new Error(`Not a settings export (format "${parsed.format}")`);
+  if (parsed && parsed.version > EXPORT_VERSION) throw new Error(`Settings file version ${parsed.version} is newer than this app supports`);
+
+  const settings = withDefaults(parsed && parsed.format === EXPORT_FORMAT ? parsed.settings || {} : parsed || {});
+  const problems = validateSettings(settings);
+  if (problems.length > 0) throw new Error(problems.join(' • '));
+  return settings;
+};
@@ -0,0 +1,57 @@
+import { DEFAULT_SETTINGS, validateSettings, loadSettings, saveSettings, resetSettings, exportSettings, parseSettingsImport, parseSettingsForm } from './systemSettings';
+
+const withThresholds = (decision, cpri) => ({ ...DEFAULT_SETTINGS, thresholds: { decision, cpri } });
+
+beforeEach(() => window.localStorage.clear());
+
+test('validates names, years and threshold ordering', () => {
+  expect(validateSettings(DEFAULT_SETTINGS)).toEqual([]);
+  expect(validateSettings({ ...DEFAULT_SETTINGS, region: ' ', masterPlanYear: 2024 })).toEqual([
+    'Region name is required',
+    'Master plan year must fall after the analysis period'
+  ]);
+  expect(validateSettings({ ...DEFAULT_SETTINGS, analysisPeriod: { start: 2025, end: 2024 } })).toEqual(['Analysis period starts after it ends']);
+  expect(validateSettings(withThresholds({ act: 0.7, review: 0.8 }, { ready: 1.2, review: 0.4 }))).toEqual([
+    'The review threshold must be below the act threshold',
+    'CPRI thresholds must be between 0 and 1'
+  ]);
+});
+
+test('converts the number fields typed into the form, failing blank ones', () => {
+  const typed = { ...DEFAULT_SETTINGS, masterPlanYear: '2035', thresholds: { ...DEFAULT_SETTINGS.thresholds, cpri: { ready: '0.8', review: '' } } };
+  const parsed = parseSettingsForm(typed);
+  expect(parsed.masterPlanYear).toBe(2035);
+  expect(parsed.thresholds.cpri.ready).toBe(0.8);
+  expect(parsed.analysisPeriod).toEqual(DEFAULT_SETTINGS.analysisPeriod);
+  expect(validateSettings(parsed)).toEqual(['CPRI thresholds must be between 0 and 1']);
+});
+
+test('loads stored settings over the defaults and ignores invalid ones', () => {
+  expect(loadSettings()).toBe(DEFAULT_SETTINGS);
+
+  saveSettings({ region: 'Chittoor District', thresholds: { cpri: { ready: 0.8 } } });
+  const loaded = loadSettings();
+  expect(loaded.region).toBe('Chittoor District');
+  expect(loaded.thresholds.cpri).toEqual({ ready: 0.8, review: 0.45 });
+  expect(loaded.thresholds.decision).toEqual(DEFAULT_SETTINGS.thresholds.decision);
+
+  saveSettings({ ...DEFAULT_SETTINGS, thresholds: { decision: { act: 0.5, review: 0.9 } } });
+  expect(loadSettings()).toBe(DEFAULT_SETTINGS);
+
+  saveSettings({ region: 'Chittoor District' });
+  resetSettings();
+  expect(loadSettings()).toBe(DEFAULT_SETTINGS);
+});
+
+test('exports round-trip through import; foreign or invalid files are rejected', () => {
+  const tuned = { ...withThresholds({ act: 0.9, review: 0.7 }, { ready: 0.7, review: 0.5 }), region: 'Nellore District' };
+  const text = exportSettings(tuned, '2026-01-01T00:00:00.000Z');
+  expect(JSON.parse(text)).toMatchObject({ format: 'lulc-settings', version: 1, exportedAt: '2026-01-01T00:00:00.000Z' });
+  expect(parseSettingsImport(text)).toEqual(tuned);
+  expect(parseSettingsImport(JSON.stringify({ dataVersion: 'v3.0 (Landsat-9)' })).dataVersion).toBe('v3.0 (Landsat-9)');
+
+  expect(() => parseSettingsImport('{oops')).toThrow(/Invalid JSON/);
+  expect(() => parseSettingsImport(JSON.stringify({ format: 'lulc-alert-rules' }))).toThrow(/Not a settings export/);
+  expect(() => parseSettingsImport(JSON.stringify({ format: 'lulc-settings', version: 2, settings: {} }))).toThrow(/newer/);
+  expect(() => parseSettingsImport(JSON.stringify({ masterPlanYear: 2020, region: '' }))).toThrow('Region name is required • Master plan year must fall after the analysis period');
+});
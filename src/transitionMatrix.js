@@ -0,0 +1,48 @@
+import { LULC_CLASS_NAMES } from "./lulcClasses";
+
+// TRANSITION MATRIX
+// Cross-tabulates transition records into an N×N from/to matrix. Off-diagonal cells are
+// change; the diagonal is persistence, which is only known when the data supplies
+// from == to rows. Row totals are gross loss and column totals gross gain per class.
+export const buildTransitionMatrix = (records, classes = LULC_CLASS_NAMES) => {
+  const cells = {};
+  classes.forEach(from => {
+    cells[from] = {};
+    classes.forEach(to => { cells[from][to] = { from, to, area: 0, weightedConf: 0, count: 0 }; });
+  });
+
+  records.forEach(d => {
+    const cell = cells[d.from]?.[d.to];
+    if (!cell) return;
+    cell.area += d.area_sq_km;
+    cell.weightedConf += d.area_sq_km * d.confidence;
+    cell.count += 1;
+  });
+
+  classes.forEach(from => classes.forEach(to => {
+    const cell = cells[from][to];
+    cell.confidence = cell.area > 0 ? cell.weightedConf / cell.area : null;
+    delete cell.weightedConf;
+  }));
+
+  const grossLoss = {};
+  const grossGain = {};
+  const persistence = {};
+  classes.forEach(cls => {
+    grossLoss[cls] = classes.filter(to => to !== cls).reduce((sum, to) => sum + cells[cls][to].area, 0);
+    grossGain[cls] = classes.filter(from => from !== cls).reduce((sum, from) => sum + cells[from][cls].area, 0);
+    persistence[cls] = cells[cls][cls].count > 0 ? cells[cls][cls].area : null;
+  });
+
+  const changeCells = classes.flatMap(from => classes.filter(to => to !== from).map(to => cells[from][to]));
+
+  return {
+    classes,
+    cells,
+    grossLoss,
+    grossGain,
+    persistence,
+    totalChange: changeCells.reduce((sum, c) => sum + c.area, 0),
+    maxChangeArea: Math.max(0, ...changeCells.map(c => c.area))
+  };
+};
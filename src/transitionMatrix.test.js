@@ -0,0 +1,24 @@
+import { buildTransitionMatrix } from './transitionMatrix';
+
+const rows = [
+  { from: 'Forest', to: 'Built-up', area_sq_km: 10, confidence: 0.9 },
+  { from: 'Forest', to: 'Built-up', area_sq_km: 5, confidence: 0.6 },
+  { from: 'Agriculture', to: 'Built-up', area_sq_km: 4, confidence: 0.8 },
+  { from: 'Forest', to: 'Forest', area_sq_km: 400, confidence: 0.95 }
+];
+
+test('sums cells with area-weighted confidence', () => {
+  const m = buildTransitionMatrix(rows);
+  expect(m.cells.Forest['Built-up'].area).toBe(15);
+  expect(m.cells.Forest['Built-up'].confidence).toBeCloseTo(0.8);
+  expect(m.cells.Water.Barren.confidence).toBeNull();
+});
+
+test('row and column totals exclude the persistence diagonal', () => {
+  const m = buildTransitionMatrix(rows);
+  expect(m.grossLoss.Forest).toBe(15);
+  expect(m.grossGain['Built-up']).toBe(19);
+  expect(m.totalChange).toBe(19);
+  expect(m.persistence.Forest).toBe(400);
+  expect(m.persistence.Water).toBeNull();
+});
@@ -0,0 +1,62 @@
+import { DEFAULT_PERSONA_ID, PERSONA_SCENARIOS } from "./personas";
+import { BAU_SCENARIO_ID } from "./policyScenarios";
+
+// SHAREABLE VIEW STATE
+// The dashboard view is mirrored into the URL query so a copied link reopens it:
+//   ?persona=environmental_officer&scenario=eco&conf=0.8&rank=area&policy=bau&budget=8000
+// Values at their defaults are left out (the scenario defaults to the persona's own).
+// Parsing drops unknown or out-of-range values, so a stale or hand-edited link falls back
+// to the defaults instead of breaking the app. Custom personas and policy scenarios live
+// in the sender's browser, so only ids that also exist here are restored. The tab and the
+// region, transition, alert or report in view are part of the path, see routes.js.
+
+export const RANK_MODES = ['impact', 'area', 'confidence'];
+
+export const DEFAULT_VIEW = {
+  persona: DEFAULT_PERSONA_ID,
+  minConfidence: 0,
+  rankMode: 'impact',
+  policyScenario: BAU_SCENARIO_ID,
+  budget: 5000
+};
+
+// view key -> query parameter, in the order they appear in a link
+const PARAMS = {
+  persona: 'persona',
+  scenario: 'scenario',
+  minConfidence: 'conf',
+  rankMode: 'rank',
+  policyScenario: 'policy',
+  budget: 'budget'
+};
+
+// known: { personaIds, policyScenarioIds } available in this browser.
+// Returns only the keys the link sets validly.
+export const parseViewState = (search, { personaIds, policyScenarioIds }) => {
+  const params = new URLSearchParams(search);
+  const read = (key) => params.get(PARAMS[key]);
+  const view = {};
+
+  if (personaIds.includes(read('persona'))) view.persona = read('persona');
+  if (PERSONA_SCENARIOS.includes(read('scenario'))) view.scenario = read('scenario');
+  if (RANK_MODES.includes(read('rankMode'))) view.rankMode = read('rankMode');
+  if (policyScenarioIds.includes(read('policyScenario'))) view.policyScenario = read('policyScenario');
+
+  const minConfidence = Number(read('minConfidence'));
+  if (read('minConfidence') && minConfidence >= 0 && minConfidence <= 1) view.minConfidence = minConfidence;
+
+  const budget = Number(read('budget'));
+  if (read('budget') && Number.isInteger(budget) && budget >= 0) view.budget = budget;
+
+  return view;
+};
+
+// defaults: DEFAULT_VIEW plus the current persona's default scenario. Returns '' or '?…'.
+export const serializeViewState = (view, defaults) => {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    if (view[key] !== undefined && view[key] !== defaults[key]) params.set(param, String(view[key]));
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
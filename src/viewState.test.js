@@ -0,0 +1,25 @@
+import { DEFAULT_VIEW, parseViewState, serializeViewState } from './viewState';
+
+const known = { personaIds: ['policy_maker', 'environmental_officer'], policyScenarioIds: ['bau', 'green_belt'] };
+
+test('restores a shared view from the link', () => {
+  expect(parseViewState('?persona=environmental_officer&scenario=eco&conf=0.8&rank=area&policy=green_belt&budget=8000', known)).toEqual({
+    persona: 'environmental_officer', scenario: 'eco', minConfidence: 0.8, rankMode: 'area', policyScenario: 'green_belt', budget: 8000
+  });
+});
+
+test('drops unknown and out-of-range values', () => {
+  expect(parseViewState('?persona=someone_else&scenario=mars&conf=1.5&rank=random&policy=deleted&budget=-5', known)).toEqual({});
+  expect(parseViewState('?conf=&budget=12.5', known)).toEqual({});
+  expect(parseViewState('', known)).toEqual({});
+});
+
+test('leaves defaults out of the link and round-trips the rest', () => {
+  const defaults = { ...DEFAULT_VIEW, scenario: 'eco' };
+  expect(serializeViewState({ ...DEFAULT_VIEW, scenario: 'eco' }, defaults)).toBe('');
+
+  const view = { ...DEFAULT_VIEW, persona: 'environmental_officer', scenario: 'all', minConfidence: 0.8 };
+  const query = serializeViewState(view, defaults);
+  expect(query).toBe('?persona=environmental_officer&scenario=all&conf=0.8');
+  expect(parseViewState(query, known)).toEqual({ persona: 'environmental_officer', scenario: 'all', minConfidence: 0.8 });
+});